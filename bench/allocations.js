@@ -0,0 +1,57 @@
+/*
+* Solver allocation micro-benchmark.
+*
+* Usage: node bench/allocations.js [steps]
+*
+* Steps the default 150-ball scene until it settles, then counts the garbage collections and the time spent
+* in them over the timed steps, for both collision paths. A steady-state step allocates nothing, so the
+* collection count should be zero.
+*/
+
+"use strict";
+
+const { PerformanceObserver } = require('perf_hooks');
+const { World } = require('../verletPhysics.js');
+const { loadScene, DEFAULT_SCENE } = require('../verletScene.js');
+
+const steps = parseInt(process.argv[2], 10) || 600;
+
+function measure(broadPhase, done) {
+    const world = loadScene(new World({ width: 800, height: 1200, seed: 42, fixedTimestep: 1 / 60, broadPhase: broadPhase }), DEFAULT_SCENE);
+    // Settle the pile and let the JIT optimize the solver
+    for (let i = 0; i < 600; i++) world.step();
+
+    let collections = 0;
+    let gcMs = 0;
+    const observer = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+            collections++;
+            gcMs += entry.duration;
+        }
+    });
+    observer.observe({ entryTypes: ['gc'] });
+
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < steps; i++) world.step();
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+    // GC entries are delivered asynchronously
+    setTimeout(() => {
+        observer.disconnect();
+        done({ bodies: world.bodies.length, collections: collections, gcMs: gcMs, msPerStep: ms / steps });
+    }, 100);
+}
+
+function report(broadPhase, result) {
+    console.log(
+        `${(broadPhase ? 'spatial hash' : 'brute force').padEnd(14)} | ${String(result.bodies).padStart(6)} | ` +
+        `${String(result.collections).padStart(3)} | ${result.gcMs.toFixed(1).padStart(5)} | ${result.msPerStep.toFixed(2).padStart(7)}`
+    );
+}
+
+console.log(`${steps} steady-state steps (8 sub-steps x 5 solver iterations each)\n`);
+console.log('collision path | bodies | GCs | GC ms | ms/step');
+measure(false, (brute) => {
+    report(false, brute);
+    measure(true, (hashed) => report(true, hashed));
+});
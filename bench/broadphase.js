@@ -0,0 +1,65 @@
+/*
+* Broad phase benchmark: spatial hash vs brute-force pair loop.
+*
+* Usage: node bench/broadphase.js [steps]
+*
+* Runs the same seeded world through both collision paths at several body counts, reports the average
+* time per step and checks that both paths end with identical body positions.
+*/
+
+"use strict";
+
+const { World, Body, Wall } = require('../verletPhysics.js');
+
+const steps = parseInt(process.argv[2], 10) || 20;
+const bodyCounts = [150, 500, 1000, 2000];
+
+// Square arena sized so the balls fill roughly the bottom half
+function buildWorld(count, broadPhase) {
+    const minRadius = 4, maxRadius = 8;
+    const size = Math.ceil(Math.sqrt(count * Math.PI * maxRadius * maxRadius * 4));
+    const world = new World({ width: size, height: size, seed: 1234, fixedTimestep: 1 / 60, broadPhase: broadPhase });
+
+    let failures = 0;
+    while (world.bodies.length < count && failures < count * 50) {
+        const radius = minRadius + world.random() * (maxRadius - minRadius);
+        const x = radius + world.random() * (size - 2 * radius);
+        const y = radius + world.random() * (size - 2 * radius);
+        if (world.overlapsBody(x, y, radius)) {
+            failures++;
+            continue;
+        }
+        world.addBody(new Body(x, y, radius, '#ff0000', Math.PI * radius * radius));
+    }
+
+    world.addWall(new Wall(0, 0, 0, size, 10));
+    world.addWall(new Wall(size, 0, size, size, 10));
+    world.addWall(new Wall(0, 0, size, 0, 10));
+    world.addWall(new Wall(0, size, size, size, 10));
+    world.addWall(new Wall(size * 0.2, size * 0.3, size * 0.6, size * 0.5, 10));
+    return world;
+}
+
+function run(count, broadPhase) {
+    const world = buildWorld(count, broadPhase);
+    world.step(); // warm up
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < steps; i++) world.step();
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    return { msPerStep: ms / steps, positions: world.bodies.map((b) => b.position.x + ',' + b.position.y).join(';') };
+}
+
+// Let the JIT settle on both paths before timing
+run(150, false);
+run(150, true);
+
+console.log(`${steps} steps per run (8 sub-steps x 5 solver iterations each)\n`);
+console.log('bodies | brute force ms/step | spatial hash ms/step | speedup | identical');
+for (const count of bodyCounts) {
+    const brute = run(count, false);
+    const hashed = run(count, true);
+    console.log(
+        `${String(count).padStart(6)} | ${brute.msPerStep.toFixed(2).padStart(19)} | ${hashed.msPerStep.toFixed(2).padStart(20)} | ` +
+        `${(brute.msPerStep / hashed.msPerStep).toFixed(1).padStart(6)}x | ${brute.positions === hashed.positions}`
+    );
+}
@@ -0,0 +1,102 @@
+/*
+* Wall tunnelling stress check.
+*
+* Usage: node bench/tunneling.js [shots]
+*
+* Fires balls at extreme speeds in random directions inside a closed box of thin walls, and pulls balls
+* into the walls with the touch attractor, then counts the balls that end up outside the box. Runs with
+* continuous collision on and off; with it on, no ball may escape and the exit code is 1 if one does.
+*/
+
+"use strict";
+
+const { World, Body, Wall, createRandom } = require('../verletPhysics.js');
+
+const shots = parseInt(process.argv[2], 10) || 200;
+const SPEEDS = [1e3, 1e4, 1e5, 1e6, 1e7];  // pixels per second
+const THICKNESSES = [1, 2, 10];
+const BOX = { x: 100, y: 100, width: 600, height: 400 };
+
+function makeWorld(thickness, continuousCollision) {
+    const world = new World({ width: 800, height: 600, fixedTimestep: 1 / 60, continuousCollision: continuousCollision });
+    const { x, y, width, height } = BOX;
+    world.addWall(new Wall(x, y, x + width, y, thickness));
+    world.addWall(new Wall(x + width, y, x + width, y + height, thickness));
+    world.addWall(new Wall(x + width, y + height, x, y + height, thickness));
+    world.addWall(new Wall(x, y + height, x, y, thickness));
+    // A corner-to-corner diagonal, so balls also meet walls at shallow angles and in acute corners
+    world.addWall(new Wall(x, y, x + width, y + height, thickness));
+    return world;
+}
+
+function inside(body) {
+    const p = body.position;
+    return p.x > BOX.x && p.x < BOX.x + BOX.width && p.y > BOX.y && p.y < BOX.y + BOX.height;
+}
+
+function side(body) {
+    const { x, y, width, height } = BOX;
+    return Math.sign(width * (body.position.y - y) - height * (body.position.x - x));
+}
+
+// One fast ball per shot; counts the shots that leave the box or cross the diagonal
+function fire(thickness, speed, continuousCollision) {
+    const random = createRandom(7);
+    let escaped = 0;
+    for (let shot = 0; shot < shots; shot++) {
+        const world = makeWorld(thickness, continuousCollision);
+        const radius = 2 + random() * 10;
+        // Start in the triangle below the diagonal, clear of every wall
+        const body = world.addBody(new Body(BOX.x + 40, BOX.y + BOX.height - 40, radius, 0xffffff, radius * radius));
+        const startSide = side(body);
+        const angle = random() * Math.PI * 2;
+        const perSubStep = speed / 60 / world.sub_steps;
+        body.previouspos.set(body.position.x - Math.cos(angle) * perSubStep, body.position.y - Math.sin(angle) * perSubStep);
+
+        for (let i = 0; i < 120; i++) {
+            world.step();
+            if (!inside(body) || side(body) !== startSide) {
+                escaped++;
+                break;
+            }
+        }
+    }
+    return escaped;
+}
+
+// A pile of balls yanked by the touch attractor towards a point just outside the box, one ball at a time
+function pull(thickness, continuousCollision) {
+    const random = createRandom(11);
+    const world = makeWorld(thickness, continuousCollision);
+    while (world.bodies.length < 60) {
+        const radius = 4 + random() * 8;
+        const x = BOX.x + 20 + random() * 200, y = BOX.y + BOX.height - 20 - random() * 100;
+        if (!world.overlapsBody(x, y, radius)) world.addBody(new Body(x, y, radius, 0xffffff, radius * radius));
+    }
+    world.gravityVec.set(0, 0);
+    let escaped = 0;
+    for (let target = 0; target < world.bodies.length; target++) {
+        world.touch_Pos.set(BOX.x - 20, BOX.y + BOX.height - 60);
+        world.touch_Sel = target;
+        for (let i = 0; i < 30; i++) world.step();
+    }
+    for (const body of world.bodies) if (!inside(body)) escaped++;
+    return escaped;
+}
+
+let failed = false;
+for (const thickness of THICKNESSES) {
+    for (const speed of SPEEDS) {
+        const on = fire(thickness, speed, true);
+        const off = fire(thickness, speed, false);
+        if (on > 0) failed = true;
+        console.log(`wall ${String(thickness).padStart(2)}px  ${speed.toExponential(0).padStart(5)} px/s  escaped ${String(on).padStart(3)}/${shots}  (without CCD ${off}/${shots})`);
+    }
+    const on = pull(thickness, true);
+    const off = pull(thickness, false);
+    if (on > 0) failed = true;
+    console.log(`wall ${String(thickness).padStart(2)}px  attractor pull    escaped ${String(on).padStart(3)}/60  (without CCD ${off}/60)`);
+}
+
+console.log(failed ? 'FAIL: balls tunnelled through walls' : 'OK: no ball passed through a wall');
+process.exitCode = failed ? 1 : 0;
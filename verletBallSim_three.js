@@ -1,763 +1,2412 @@
-/*
-* Verlet Ball Physics Demo using Three.JS - V.3.01
-*
-* JavaScript Ball Physics 2D Simulation using Verlet Integration. Project goal is to learn JavaScript along with physics collision simulaton. 
-* This demo is a work in progress and not intended to be a robust application for every device / Web browser, but should work on most devices. 
-* Please submit an Issue if it is not working and include info on the device and browser version. Tested on iOS iPhone, iPAD, and Google Android Pixel 11.
-* * By Jeff Miller. Released under MIT License. 
-* * Features:
-* - Touching near a ball will pull it to the mouse or touch location. Spring force will hold it in place when dragged.
-* - General sloped wall collision detection
-* - Stable stacked balls
-* - Balls move based on gravity vector when tilted on a mobile device after pressing the "Enable Tilt" button is pressed. If mobile device is in landscape, the simulation is paused and user is prompted to rotate to Portrait. Recommend turning orientation lock on in portrait mode. On iOS devices, you will be prompted for permission to use the gyro. 
-* - Desktop users without an accelerometer have the option to turn "Gravity" on and off which creates some interesting effects
-* * Demo: https://jmogl.github.io/VerletPhysicsDemo_3JS/	
-*
-* References: *
-* - [Verlet Collision with Impulse Preservation](https://web.archive.org/web/20180118011218/http://codeflow.org/entries/2010/nov/29/verlet-collision-with-impulse-preservation/), an excellent physics tutorial by Florian Boesch. Approach to solving instability when objects are at rest.
-* * - [Physics for Games, Animations, and Simulations with HTML5 by Dev Ramtel and Adrian Dobre, ISBN-13: 978-1-4302-6338-8](https://github.com/devramtal/Physics-for-JavaScript-Games-Animation-Simulations). A great reference for starting out with physics simulations in JavaScript. Made modifications to angled wall collision algorithm for multiple ball stability.
-* - Used Google Gemini V2.5 Pro to convert the 2D javascript simulation into WebGL three.js
-* - [Temporary wood floor background is free texture from Polyhaven](https://polyhaven.com/a/laminate_floor_02)
-* * Dependencies:*
-* - verletBallSim_three.js: JavaScript physics simulation code
-* - [Mainloop.js](https://github.com/IceCreamYou/MainLoop.js): Managing main loop & FPS
-* - index.html: Web page to launch the app
-* * To Do:
-* May add an option to dynamically change the interior wall obstructions, but need to fix an issue where the ball sticks if the wall is shallow or slow velocity.
-* Replace the Enable Tilt button with a proper pop up UI menu
-*
-*	Change Log: 
-*	See 2D version for previous changes.
-* Three JS Version:
-*	 - Initial Release v3.01 (7/27/25)
-
-*	To Do:
-*	- May add an option to dynamically change the interior wall obstructions, but need to fix an issue where the ball sticks if the wall is shallow. 
-*	- Replace the Enable Tilt button with a proper pop up menu
-*/
-
-// Force restrictive declarations
-"use strict";
-
-//================================//
-//  THREE.JS SCENE GLOBALS
-//================================//
-let scene, camera, renderer;
-let directionalLight, groundPlane; 
-
-//================================//
-//  SIMULATION GLOBALS
-//================================//
-var fpsCounter = document.getElementById('fpscounter');
-let simulationPaused = false;
-let tiltEnabled = false;
-
-// Dimensions for physics simulation boundaries
-let simWidth, simHeight;
-
-const GRAVITY_Y = 980;
-var gravityVec = new THREE.Vector2(0.0, GRAVITY_Y);
-
-// Touch/Mouse state
-var isDragging = false;
-var touch_Pos = new THREE.Vector2(0, 0);
-var touch_Sel = -1;
-
-// OS flags
-var OS_Android = false;
-var OS_iPAD = false;
-var OS_iOS = false;
-
-// Initialize function
-window.onload = init;
-
-// --- OS DETECTION & ORIENTATION ---
-function detectOperatingSystem() {
-    const ua = navigator.userAgent;
-    const hasTouch = "ontouchend" in document;
-    if (ua.includes("iPad") || (ua.includes("Macintosh") && hasTouch)) {
-        OS_iPAD = true;
-    } else if (/iPhone|iPod/.test(ua)) {
-        OS_iOS = true;
-    } else if (/Android/i.test(ua)) {
-        OS_Android = true;
-    } else if (hasTouch) {
-        OS_Android = true;
-    }
-}
-
-function isMobileDevice() {
-    return OS_iOS || OS_iPAD || OS_Android;
-}
-
-function isLandscape() {
-    return window.matchMedia("(orientation: landscape)").matches;
-}
-
-function getOrientation() {
-    if (isMobileDevice()) {
-        simulationPaused = isLandscape();
-    }
-}
-
-async function requestOrientationPermission() {
-    if (typeof DeviceOrientationEvent !== "undefined" && typeof DeviceOrientationEvent.requestPermission === "function") {
-        try {
-            const response = await DeviceOrientationEvent.requestPermission();
-            if (response === "granted") {
-                window.addEventListener('devicemotion', handleMotionEvent);
-                return true;
-            }
-        } catch (e) {
-            console.error("Error requesting orientation permission:", e);
-        }
-    } else {
-        window.addEventListener('devicemotion', handleMotionEvent);
-        return true;
-    }
-    return false;
-}
-
-// A dedicated function to update all screen layout elements.
-function updateLayout() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-
-    simWidth = width;
-    simHeight = height;
-
-    // Update main camera
-    if (camera) {
-        camera.left = 0;
-        camera.right = width;
-        camera.top = 0;
-        camera.bottom = -height;
-        camera.updateProjectionMatrix();
-    }
-    
-    // Update renderer
-    if (renderer) {
-        renderer.setSize(width, height);
-    }
-
-    // Update ground plane position and scale
-    if (groundPlane) {
-        groundPlane.position.set(width / 2, -height / 2, -10);
-        groundPlane.scale.set(width * 2, height * 2, 1);
-        
-        // Update texture repeat based on new size and scale factor
-        if (groundPlane.material.map) {
-            // Access the scale factor defined in init()
-            const textureScale = groundPlane.userData.textureScale;
-            groundPlane.material.map.repeat.set(width * 2 / textureScale, height * 2 / textureScale);
-        }
-    }
-
-    // Update light and shadow camera
-    if (directionalLight) {
-        directionalLight.position.set(width / 2, height * 0.1, 500); 
-        directionalLight.target.position.set(width / 2, -height / 2, 0);
-
-        const frustumSize = Math.max(width, height) * 1.5;
-        const shadowCam = directionalLight.shadow.camera;
-        shadowCam.left = -frustumSize / 2;
-        shadowCam.right = frustumSize / 2;
-        shadowCam.top = frustumSize / 2;
-        shadowCam.bottom = -frustumSize / 2;
-        shadowCam.updateProjectionMatrix();
-    }
-    
-    getOrientation();
-}
-
-//================================//
-//      INITIALIZE SIMULATION
-//================================//
-function init() {
-    console.clear();
-    detectOperatingSystem();
-
-    const canvas = document.getElementById('simulation-canvas');
-
-    // Texture Configuration
-    const textureRotation = Math.PI / 2; // Rotate texture by 90 degrees (in radians)
-    const textureScale = 750;            // Smaller number = larger texture pattern
-
-    // --- THREE.JS INITIALIZATION ---
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x505050);
-
-    camera = new THREE.OrthographicCamera(0, 0, 0, 0, 1, 1000);
-    camera.position.z = 500;
-
-    renderer = new THREE.WebGLRenderer({
-        canvas: canvas,
-        antialias: true
-    });
-    
-    // --- ROBUST RESIZE HANDLING ---
-    // Listen for the window to resize to reliably handle orientation changes.
-    window.addEventListener('resize', updateLayout);
-    
-    // --- SHADOWS ---
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
-    scene.add(ambientLight);
-    directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-
-    directionalLight.castShadow = true;
-    scene.add(directionalLight);
-    scene.add(directionalLight.target);
-    
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
-    directionalLight.shadow.bias = -0.0005; 
-    directionalLight.shadow.normalBias = 0.05;
-    directionalLight.shadow.camera.near = 1;
-    directionalLight.shadow.camera.far = 2000; 
-
-    // --- GROUND PLANE & TEXTURE ---
-    const groundGeometry = new THREE.PlaneGeometry(1, 1);
-    const groundMaterial = new THREE.MeshStandardMaterial({
-        color: 0xcccccc
-    });
-    groundPlane = new THREE.Mesh(groundGeometry, groundMaterial);
-    groundPlane.userData.textureScale = textureScale; 
-    groundPlane.receiveShadow = true;
-    scene.add(groundPlane);
-
-    const textureLoader = new THREE.TextureLoader();
-    textureLoader.load(
-        './textures/laminate_floor_02_diff_4k.jpg',
-        function(texture) {
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            texture.rotation = textureRotation;
-            texture.center.set(0.5, 0.5);
-            groundMaterial.map = texture;
-            groundMaterial.color.set(0xffffff);
-            groundMaterial.needsUpdate = true;
-            
-            // Re-run layout to apply texture repeat *after* the texture has loaded
-            updateLayout(); 
-        },
-        undefined,
-        function(err) {
-            console.error('An error happened loading the texture. Using fallback color.');
-        }
-    );
-
-    // *** FIX ***
-    // Call updateLayout() ONCE here to set the initial simWidth and simHeight
-    // BEFORE creating the simulation objects.
-    updateLayout();
-
-    // --- START SIMULATION & ATTACH LISTENERS ---
-    new Simulation(renderer);
-
-    // --- UI BUTTONS ---
-    const enableBtn = document.getElementById("enableTiltButton");
-    const mobileDevice = isMobileDevice();
-    if (!mobileDevice) enableBtn.textContent = "Toggle Gravity Off";
-    enableBtn.addEventListener("click", () => {
-        if (mobileDevice) {
-            if (!tiltEnabled) {
-                requestOrientationPermission().then((granted) => {
-                    if (granted) {
-                        tiltEnabled = true;
-                        enableBtn.textContent = "Disable Tilt";
-                    }
-                });
-            } else {
-                tiltEnabled = false;
-                gravityVec.set(0.0, GRAVITY_Y);
-                enableBtn.textContent = "Enable Tilt";
-                updateLayout();
-            }
-        } else {
-            tiltEnabled = !tiltEnabled;
-            if (tiltEnabled) {
-                gravityVec.set(0.0, 0.0);
-                enableBtn.textContent = "Toggle Gravity On";
-            } else {
-                gravityVec.set(0.0, GRAVITY_Y);
-                enableBtn.textContent = "Toggle Gravity Off";
-            }
-        }
-    });
-    
-    getOrientation();
-}
-
-// Motion handler
-function handleMotionEvent(event) {
-    if (!tiltEnabled) return;
-    let ax = event.accelerationIncludingGravity.x;
-    let ay = event.accelerationIncludingGravity.y;
-    if (ax === null || ay === null) return;
-
-    // --- 1. Update Physics Gravity Vector ---
-    const tilt_scale = 1000;
-    let finalX, finalY;
-    if (OS_iPAD || OS_iOS) {
-        finalX = ax * tilt_scale;
-        finalY = -ay * tilt_scale;
-    } else if (OS_Android) {
-        finalX = -ax * tilt_scale;
-        finalY = ay * tilt_scale;
-    } else {
-        finalX = ax * tilt_scale;
-        finalY = -ay * tilt_scale;
-    }
-    gravityVec.x = finalX;
-    gravityVec.y = finalY;
-
-    // --- 2. Update Light Position for Shadow Effect ---
-    if (directionalLight) {
-        const maxGravity = 9.8;
-        const lightMoveScale = simWidth * 0.4;
-
-        let lightAx = ax;
-        let lightAy = ay;
-        if (OS_iPAD || OS_iOS) {
-            lightAy = -ay;
-        } else if (OS_Android) {
-            lightAx = -ax;
-        } else {
-            lightAy = -ay;
-        }
-
-        const normalizedX = Math.max(-1, Math.min(1, lightAx / maxGravity));
-        const normalizedY = Math.max(-1, Math.min(1, lightAy / maxGravity));
-
-        const newLightX = (simWidth / 2) + (normalizedX * lightMoveScale);
-        const newLightY = (simHeight * 0.1) + (normalizedY * lightMoveScale);
-
-        directionalLight.position.x = newLightX;
-        directionalLight.position.y = newLightY;
-    }
-}
-
-//================================//
-//      BODY (BALL) CLASS
-//================================//
-var Body = function(x, y, radius, color, mass) {
-    this.position = new THREE.Vector2(x, y);
-    this.previouspos = new THREE.Vector2(x, y);
-    this.acceleration = new THREE.Vector2(0, 0);
-    this.radius = radius;
-    this.mass = mass;
-
-    const geometry = new THREE.SphereGeometry(radius, 32, 16);
-    const material = new THREE.MeshStandardMaterial({
-        color: new THREE.Color(color),
-        metalness: 0.3,
-        roughness: 0.25,
-    });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.castShadow = true;
-    scene.add(this.mesh);
-
-    this.bodies_array = null;
-
-    this.updatePosition = function(delta) {
-        const velocity = new THREE.Vector2().subVectors(this.position, this.previouspos);
-        velocity.multiplyScalar(0.999);
-
-        this.previouspos.copy(this.position);
-
-        const deltaSq = delta * delta;
-        this.position.add(velocity).add(this.acceleration.multiplyScalar(deltaSq));
-
-        this.acceleration.set(0, 0);
-    };
-};
-
-//================================//
-//      WALL CLASS
-//================================//
-var Wall = function(p1x, p1y, p2x, p2y, thickness) {
-    this.p1 = new THREE.Vector2(p1x, p1y);
-    this.p2 = new THREE.Vector2(p2x, p2y);
-    this.thickness = thickness;
-
-    this.dir = new THREE.Vector2().subVectors(this.p2, this.p1);
-    this.lenSq = this.dir.lengthSq();
-
-    const normal = new THREE.Vector2(this.dir.y, -this.dir.x).normalize();
-    const halfThick = this.thickness / 2;
-
-    const c1 = this.p1.clone().add(normal.clone().multiplyScalar(halfThick));
-    const c2 = this.p2.clone().add(normal.clone().multiplyScalar(halfThick));
-    const c3 = this.p2.clone().sub(normal.clone().multiplyScalar(halfThick));
-    const c4 = this.p1.clone().sub(normal.clone().multiplyScalar(halfThick));
-
-    const wallShape = new THREE.Shape();
-    wallShape.moveTo(c1.x, -c1.y);
-    wallShape.lineTo(c2.x, -c2.y);
-    wallShape.lineTo(c3.x, -c3.y);
-    wallShape.lineTo(c4.x, -c4.y);
-    wallShape.closePath();
-
-    const extrudeSettings = {
-        steps: 1,
-        depth: 20,
-        bevelEnabled: false
-    };
-    const geometry = new THREE.ExtrudeGeometry(wallShape, extrudeSettings);
-
-    const material = new THREE.MeshStandardMaterial({
-        color: 0xff4500,
-        metalness: 0.3,
-        roughness: 0.9,
-    });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.position.z = -15;
-    this.mesh.castShadow = true;
-    this.mesh.receiveShadow = true;
-    scene.add(this.mesh);
-};
-
-//================================//
-//      SIMULATION ENGINE
-//================================//
-var Simulation = function(renderer) {
-    var bodies = this.bodies = [];
-    var walls = [];
-    const posDisplay = document.getElementById('position-display');
-    const balls_Max = 150;
-    const colors = ['#ff0000', '#0000ff', '#00ff00', '#ffff00', '#ff00ff'];
-    let creationFailures = 0;
-    const wallThickness = 10;
-    
-    const k = 0.2;
-
-    // --- Touch Velocity Tracking ---
-    const touch_Prev_Pos = new THREE.Vector2(0, 0);
-    const touch_Vel = new THREE.Vector2(0, 0);
-    let lastMoveTime = 0;
-
-
-    while (bodies.length < balls_Max) {
-        var bodyRadius = Math.random() * 20 + 6;
-
-        const spawnableWidth = Math.max(0, simWidth - 2 * bodyRadius);
-        const spawnableHeight = Math.max(0, (simHeight / 4) - 2 * bodyRadius);
-
-        var body = new Body(
-            bodyRadius + (Math.random() * spawnableWidth),
-            bodyRadius + (Math.random() * spawnableHeight),
-            bodyRadius,
-            colors[Math.floor(Math.random() * colors.length)],
-            Math.PI * bodyRadius * bodyRadius
-        );
-
-        let collides = false;
-        for (let other of bodies) {
-            if (body.position.distanceTo(other.position) < body.radius + other.radius) {
-                collides = true;
-                break;
-            }
-        }
-
-        if (!collides) {
-            body.bodies_array = bodies;
-            bodies.push(body);
-        } else {
-            scene.remove(body.mesh);
-        }
-
-        creationFailures++;
-        if (creationFailures > balls_Max * 20) {
-            console.error("Aborting simulation: Unable to place balls without collision.");
-            break;
-        }
-    }
-
-    // Interior walls
-    walls.push(new Wall(simWidth / 3, simHeight * 0.175, simWidth / 2.2, simHeight * 0.355, wallThickness));
-    walls.push(new Wall(simWidth * 0.68, simHeight * 0.175, simWidth / 1.8, simHeight * 0.355, wallThickness));
-    walls.push(new Wall(simWidth / 3, simHeight * 0.625, simWidth / 2.2, simHeight * 0.475, wallThickness));
-    walls.push(new Wall(simWidth * 0.68, simHeight * 0.625, simWidth / 1.8, simHeight * 0.475, wallThickness));
-
-    // Border walls
-    walls.push(new Wall(0, 0, 0, simHeight, wallThickness)); // Left
-    walls.push(new Wall(simWidth, 0, simWidth, simHeight, wallThickness)); // Right
-    walls.push(new Wall(0, 0, simWidth, 0, wallThickness)); // Top
-    walls.push(new Wall(0, simHeight, simWidth, simHeight, wallThickness)); // Bottom
-
-
-    // --- NATIVE EVENT LISTENERS ---
-    const canvas = renderer.domElement;
-
-    function selectObject() {
-        let distTestMax = Infinity;
-        let selectedIndex = -1;
-        for (let i = 0; i < bodies.length; i++) {
-            const distTest = bodies[i].position.distanceTo(touch_Pos);
-            if (distTest < distTestMax) {
-                distTestMax = distTest;
-                selectedIndex = i;
-            }
-        }
-        
-        if (selectedIndex !== -1 && distTestMax < simWidth / 3) {
-            touch_Sel = selectedIndex;
-        } else {
-            touch_Sel = -1;
-        }
-    }
-
-    function updateTouchPos(event) {
-        if (event.type.includes('touch')) {
-            const rect = canvas.getBoundingClientRect();
-            const touch = event.touches[0];
-            touch_Pos.set(touch.clientX - rect.left, touch.clientY - rect.top);
-        } else {
-            touch_Pos.set(event.offsetX, event.offsetY);
-        }
-    }
-
-    function handleInteractionStart(event) {
-        isDragging = true;
-        if (event.type === 'touchstart') event.preventDefault();
-        updateTouchPos(event);
-        // Initialize positions and reset velocity for the new gesture
-        touch_Prev_Pos.copy(touch_Pos);
-        touch_Vel.set(0, 0);
-        selectObject();
-    }
-
-    function handleInteractionMove(event) {
-        if (isDragging) {
-            if (event.type === 'touchmove') event.preventDefault();
-            // Store last position, get new position, and calculate velocity
-            touch_Prev_Pos.copy(touch_Pos);
-            updateTouchPos(event);
-            touch_Vel.subVectors(touch_Pos, touch_Prev_Pos);
-            // Record the time of the last movement
-            lastMoveTime = Date.now();
-        }
-    }
-
-    function handleInteractionEnd() {
-        if (isDragging && touch_Sel > -1) {
-            const body = bodies[touch_Sel];
-            const timeSinceLastMove = Date.now() - lastMoveTime;
-
-            // Only apply velocity if the release is quick after a move, creating a "flick"
-            const releaseThreshold = 100; // ms
-            if (timeSinceLastMove < releaseThreshold) {
-                // The calculated touch_Vel is raw displacement and too large.
-                // It must be scaled down to prevent breaking the collision engine.
-                const velocity_scale_factor = 0.2;
-                const final_flick_velocity = touch_Vel.clone().multiplyScalar(velocity_scale_factor);
-
-                // Set the ball's velocity by adjusting its previous position
-                body.previouspos.subVectors(body.position, final_flick_velocity);
-            }
-        }
-        isDragging = false;
-        touch_Sel = -1;
-    }
-
-    canvas.addEventListener('mousedown', handleInteractionStart);
-    canvas.addEventListener('mousemove', handleInteractionMove);
-    canvas.addEventListener('mouseup', handleInteractionEnd);
-    canvas.addEventListener('mouseleave', handleInteractionEnd);
-    canvas.addEventListener('touchstart', handleInteractionStart, {
-        passive: false
-    });
-    canvas.addEventListener('touchmove', handleInteractionMove, {
-        passive: false
-    });
-    canvas.addEventListener('touchend', handleInteractionEnd);
-    canvas.addEventListener('touchcancel', handleInteractionEnd);
-    canvas.addEventListener('contextmenu', (event) => {
-        event.preventDefault();
-        updateTouchPos(event);
-
-        const testBallRadius = 25;
-        const testBallColor = '#00ffff';
-        const testBallMass = Math.PI * testBallRadius * testBallRadius;
-
-        const newBall = new Body(
-            touch_Pos.x,
-            touch_Pos.y,
-            testBallRadius,
-            testBallColor,
-            testBallMass
-        );
-        newBall.bodies_array = bodies;
-        bodies.push(newBall);
-    });
-
-
-    // --- SIMULATION LOGIC ---
-    
-    function UseTheForce(body) {
-        // **MODIFIED**: Increased gravitational constant for a stronger pull on all devices.
-        const G = 6.674e2;
-        const touchMass = 1e6; 
-        
-        const toCursor = new THREE.Vector2().subVectors(touch_Pos, body.position);
-        const distanceSq = toCursor.lengthSq();
-
-        // Prevent extreme gravitational forces when the ball is very close
-        if (distanceSq < (body.radius * body.radius * 4)) { 
-            return;
-        }
-        
-        const forceMagnitude = G * (touchMass * body.mass) / distanceSq;
-        const force = toCursor.normalize().multiplyScalar(forceMagnitude);
-        
-        body.acceleration.add(force.clone().divideScalar(body.mass));
-    }
-
-    var applyForces = function() {
-        for (const body of bodies) {
-            body.acceleration.add(gravityVec);
-        }
-
-        if (touch_Sel > -1) {
-            const selectedBody = bodies[touch_Sel];
-            // Only apply the gravity attraction when not actively dragging with the spring.
-            if (!isDragging) {
-                UseTheForce(selectedBody);
-            }
-            const antiGravity = gravityVec.clone().negate();
-            selectedBody.acceleration.add(antiGravity);
-        }
-    };
-
-    var solveCollisions = function() {
-        const wall_damping = 0.9;
-        const restitution = 0.9;
-        const solverIterations = 5;
-
-        for (let iter = 0; iter < solverIterations; iter++) {
-            for (let i = 0; i < bodies.length; i++) {
-                const body = bodies[i];
-
-                for (const wall of walls) {
-                    const p1_to_body = new THREE.Vector2().subVectors(body.position, wall.p1);
-                    let t = p1_to_body.dot(wall.dir) / wall.lenSq;
-                    t = Math.max(0, Math.min(1, t));
-
-                    const closest_point = wall.p1.clone().add(wall.dir.clone().multiplyScalar(t));
-                    const dist_vec = new THREE.Vector2().subVectors(body.position, closest_point);
-                    const distance = dist_vec.length();
-
-                    const collision_dist = body.radius + (wall.thickness / 2);
-
-                    if (distance < collision_dist) {
-                        const overlap = collision_dist - distance;
-                        const normal = dist_vec.normalize();
-                        body.position.add(normal.clone().multiplyScalar(overlap));
-
-                        const velocity = new THREE.Vector2().subVectors(body.position, body.previouspos);
-                        const vDotN = velocity.dot(normal);
-
-                        if (vDotN < 0) {
-                            const impulseMagnitude = -(1 + wall_damping) * vDotN;
-                            const impulse = normal.clone().multiplyScalar(impulseMagnitude);
-                            body.previouspos.sub(impulse);
-                        }
-                    }
-                }
-
-                for (let j = i + 1; j < bodies.length; j++) {
-                    const other = bodies[j];
-                    const axis = new THREE.Vector2().subVectors(body.position, other.position);
-                    const dist = axis.length();
-                    const target = body.radius + other.radius;
-
-                    if (dist > 0 && dist < target) {
-                        const normal = axis.clone().normalize();
-                        const overlap = target - dist;
-
-                        const totalMass = body.mass + other.mass;
-                        const correction = normal.clone().multiplyScalar(overlap);
-                        body.position.add(correction.clone().multiplyScalar(other.mass / totalMass));
-                        other.position.sub(correction.clone().multiplyScalar(body.mass / totalMass));
-
-                        const v1 = new THREE.Vector2().subVectors(body.position, body.previouspos);
-                        const v2 = new THREE.Vector2().subVectors(other.position, other.previouspos);
-
-                        const v_rel_n = v1.clone().sub(v2).dot(normal);
-
-                        if (v_rel_n > 0) continue;
-
-                        const total_inv_mass = 1 / body.mass + 1 / other.mass;
-                        const j = -(1 + restitution) * v_rel_n / total_inv_mass;
-                        const impulse_vec = normal.clone().multiplyScalar(j);
-
-                        body.previouspos.sub(impulse_vec.clone().multiplyScalar(1 / body.mass));
-                        other.previouspos.add(impulse_vec.clone().multiplyScalar(1 / other.mass));
-                    }
-                }
-            }
-        }
-        
-        if (isDragging && touch_Sel > -1) {
-            const body = bodies[touch_Sel];
-            const toCursor = new THREE.Vector2().subVectors(touch_Pos, body.position);
-            
-            if (toCursor.length() < (body.radius * 4)) {
-                const spring_velocity = toCursor.multiplyScalar(k);
-                body.position.add(spring_velocity);
-            } else {
-                UseTheForce(body);
-            }
-        }
-    };
-
-    var updateMeshPositions = function() {
-        for (const body of bodies) {
-            body.mesh.position.set(body.position.x, -body.position.y, 0);
-        }
-    };
-
-    var step = function(delta) {
-        if (simulationPaused) return;
-
-        const sub_steps = 8;
-        const sub_delta = delta / sub_steps;
-        for (let i = 0; i < sub_steps; i++) {
-            applyForces();
-            for (const body of bodies) body.updatePosition(sub_delta);
-            solveCollisions();
-        }
-    };
-
-    var draw = function() {
-        updateMeshPositions();
-        renderer.render(scene, camera);
-
-        if (posDisplay) {
-            const mouseX = touch_Pos.x.toFixed(1);
-            const mouseY = touch_Pos.y.toFixed(1);
-            let displayText = `Mouse: (${mouseX}, ${mouseY})`;
-
-            if (touch_Sel > -1) {
-                const selectedBody = bodies[touch_Sel];
-                const ballX = selectedBody.position.x.toFixed(1);
-                const ballY = selectedBody.position.y.toFixed(1);
-                displayText += `\nBall:  (${ballX}, ${ballY})`;
-            } else {
-                displayText += `\nBall:  (None)`;
-            }
-            posDisplay.innerText = displayText;
-        }
-    };
-
-    function end(fps, panic) {
-        const status = simulationPaused ? "Paused - Rotate to Portrait" : `${parseInt(fps, 10)} FPS`;
-        fpsCounter.textContent = status;
-        if (panic) MainLoop.resetFrameDelta();
-    }
-
-    MainLoop.setUpdate((delta) => step(delta / 1000)).setDraw(draw).setEnd(end).start();
-};
+/*
+* Verlet Ball Physics Demo using Three.JS - V.3.01
+*
+* JavaScript Ball Physics 2D Simulation using Verlet Integration. Project goal is to learn JavaScript along with physics collision simulaton. 
+* This demo is a work in progress and not intended to be a robust application for every device / Web browser, but should work on most devices. 
+* Please submit an Issue if it is not working and include info on the device and browser version. Tested on iOS iPhone, iPAD, and Google Android Pixel 11.
+* * By Jeff Miller. Released under MIT License. 
+* * Features:
+* - Touching near a ball will pull it to the mouse or touch location. Spring force will hold it in place when dragged.
+* - Multi-touch: every finger drags its own ball, and pinching two fingers together or apart pulls the other balls in or pushes them away
+* - General sloped wall collision detection
+* - Stable stacked balls
+* - Balls move based on gravity vector when tilted on a mobile device after turning on "Tilt" in the settings panel. If mobile device is in landscape, the simulation is paused and user is prompted to rotate to Portrait. Recommend turning orientation lock on in portrait mode. On iOS devices, you will be prompted for permission to use the gyro. 
+* - Settings panel (gear button) for gravity strength and direction, bounce, drag, solver accuracy, ball count and size, the right-click ball, shadows and the floor texture, with pause / step / reset. Settings are remembered and can be shared as a link.
+* - Wall editor (edit button or E): draw new walls, drag wall ends or whole walls through the balls, right-click to delete
+* - Inspector (inspect button or I): click a ball or drag a box to select balls, see their velocity, contacts and impulse, and edit, freeze or delete them
+* - Static pegs, arcs and convex polygons alongside the walls, with smooth contacts around their curves and corners
+* - Ball materials (rubber, steel, wood, foam, ice) with density, bounce, friction, drag and a 3D look of their own
+* - Force fields, ball emitters and sinks from scene files, drawn as outlines
+* - Resizing the window or rotating the device refits the walls and balls to the new screen
+* - Telemetry graphs (T) of energy, momentum, contacts, penetration and speed, with CSV export
+* - Optional physics in a Web Worker (?worker=1), so big piles of balls do not hold up input and rendering
+* - Balls drawn with one InstancedMesh per level of detail instead of a mesh per ball
+* - Flat 2D view (Canvas 2D, or SVG with ?renderer=svg) where WebGL is not available, and SVG / PNG frame export
+* - Drawing interpolated between physics steps, and adaptive quality (sub-steps, solver iterations, shadows, pixel ratio)
+* * Demo: https://jmogl.github.io/VerletPhysicsDemo_3JS/	
+*
+* References: *
+* - [Verlet Collision with Impulse Preservation](https://web.archive.org/web/20180118011218/http://codeflow.org/entries/2010/nov/29/verlet-collision-with-impulse-preservation/), an excellent physics tutorial by Florian Boesch. Approach to solving instability when objects are at rest.
+* * - [Physics for Games, Animations, and Simulations with HTML5 by Dev Ramtel and Adrian Dobre, ISBN-13: 978-1-4302-6338-8](https://github.com/devramtal/Physics-for-JavaScript-Games-Animation-Simulations). A great reference for starting out with physics simulations in JavaScript. Made modifications to angled wall collision algorithm for multiple ball stability.
+* - Used Google Gemini V2.5 Pro to convert the 2D javascript simulation into WebGL three.js
+* - [Temporary wood floor background is free texture from Polyhaven](https://polyhaven.com/a/laminate_floor_02)
+* * Dependencies:*
+* - verletPhysics.js: Headless physics core (bodies, materials, walls, static colliders and the Verlet solver), also runs in Node
+* - verletConstraints.js: Distance constraints, springs and pins, and chain / cloth / soft blob builders
+* - verletFields.js: Force fields (attractors, repulsors, explosions, vortices, wind and drag), ball emitters and sinks
+* - verletScene.js: JSON scene files (walls, colliders, balls, constraints, fields, emitters, sinks and settings) with validation, load and export
+* - verletHistory.js: Snapshot ring buffer behind the rewind bar
+* - verletRecorder.js: Input events, recording and replay
+* - verletTelemetry.js: Per-step energy, momentum and contact totals with CSV export
+* - verletWorker.js: Runs the physics in a Web Worker and keeps the page's world in step with it
+* - verletRender2D.js: Flat Canvas 2D / SVG drawing for the fallback view and frame export
+* - verletBallSim_three.js: three.js rendering, input handling and UI
+* - [Mainloop.js](https://github.com/IceCreamYou/MainLoop.js): Managing main loop & FPS
+* - index.html: Web page to launch the app
+*
+*	Change Log: 
+*	See 2D version for previous changes.
+* Three JS Version:
+*	 - Initial Release v3.01 (7/27/25)
+*/
+
+// Force restrictive declarations
+"use strict";
+
+//================================//
+//  THREE.JS SCENE GLOBALS
+//================================//
+let scene, camera, renderer;
+let directionalLight, groundPlane; 
+
+//================================//
+//  SIMULATION GLOBALS
+//================================//
+var fpsCounter = document.getElementById('fpscounter');
+let simulationPaused = false;
+let tiltEnabled = false;
+
+// Dimensions for physics simulation boundaries
+let simWidth, simHeight;
+
+// Headless physics world (verletPhysics.js). Gravity and touch/mouse drag state live on it.
+let world;
+// Ring buffer of recent snapshots (verletHistory.js) for the rewind bar
+let rewindHistory;
+// Per-step energy, momentum and contact totals (verletTelemetry.js) for the telemetry graphs
+let telemetry;
+// Input recording and replay (verletRecorder.js). All user input goes through dispatchInput.
+let inputRecorder;
+let inputPlayer = null;
+// With ?worker=1, the Web Worker running the physics (verletWorker.js); world is then its copy for rendering
+let physicsWorker = null;
+// Settings panel values (see SETTINGS) and the scene Reset goes back to
+let userSettings;
+let currentScene;
+let simulation;
+
+// OS flags
+var OS_Android = false;
+var OS_iPAD = false;
+var OS_iOS = false;
+
+// Initialize function
+window.onload = init;
+
+// --- OS DETECTION & ORIENTATION ---
+function detectOperatingSystem() {
+    const ua = navigator.userAgent;
+    const hasTouch = "ontouchend" in document;
+    if (ua.includes("iPad") || (ua.includes("Macintosh") && hasTouch)) {
+        OS_iPAD = true;
+    } else if (/iPhone|iPod/.test(ua)) {
+        OS_iOS = true;
+    } else if (/Android/i.test(ua)) {
+        OS_Android = true;
+    } else if (hasTouch) {
+        OS_Android = true;
+    }
+}
+
+function isMobileDevice() {
+    return OS_iOS || OS_iPAD || OS_Android;
+}
+
+function isLandscape() {
+    return window.matchMedia("(orientation: landscape)").matches;
+}
+
+function getOrientation() {
+    if (isMobileDevice()) {
+        simulationPaused = isLandscape();
+    }
+}
+
+async function requestOrientationPermission() {
+    if (typeof DeviceOrientationEvent !== "undefined" && typeof DeviceOrientationEvent.requestPermission === "function") {
+        try {
+            const response = await DeviceOrientationEvent.requestPermission();
+            if (response === "granted") {
+                window.addEventListener('devicemotion', handleMotionEvent);
+                return true;
+            }
+        } catch (e) {
+            console.error("Error requesting orientation permission:", e);
+        }
+    } else {
+        window.addEventListener('devicemotion', handleMotionEvent);
+        return true;
+    }
+    return false;
+}
+
+// A dedicated function to update all screen layout elements.
+function updateLayout() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    simWidth = width;
+    simHeight = height;
+
+    // Refit the world to the new size. It goes through dispatchInput so recordings replay it, and the
+    // rewind frames from before it are dropped since they are laid out for the old size.
+    if (world && !inputPlayer && width > 0 && height > 0 && (world.width !== width || world.height !== height)) {
+        dispatchInput({ type: 'resize', width: width, height: height, mode: world.resizeMode });
+        rewindHistory.clear();
+    }
+
+    // Update main camera
+    if (camera) {
+        camera.left = 0;
+        camera.right = width;
+        camera.top = 0;
+        camera.bottom = -height;
+        camera.updateProjectionMatrix();
+    }
+    
+    // Update renderer
+    if (renderer) {
+        renderer.setSize(width, height);
+    }
+
+    // Update ground plane position and scale
+    if (groundPlane) {
+        groundPlane.position.set(width / 2, -height / 2, -10);
+        groundPlane.scale.set(width * 2, height * 2, 1);
+        
+        // Update texture repeat based on new size and scale factor (kept up to date while the texture is off)
+        const texture = groundPlane.userData.texture;
+        if (texture) {
+            // Access the scale factor defined in init()
+            const textureScale = groundPlane.userData.textureScale;
+            texture.repeat.set(width * 2 / textureScale, height * 2 / textureScale);
+        }
+    }
+
+    // Update light and shadow camera
+    if (directionalLight) {
+        directionalLight.position.set(width / 2, height * 0.1, 500); 
+        directionalLight.target.position.set(width / 2, -height / 2, 0);
+
+        const frustumSize = Math.max(width, height) * 1.5;
+        const shadowCam = directionalLight.shadow.camera;
+        shadowCam.left = -frustumSize / 2;
+        shadowCam.right = frustumSize / 2;
+        shadowCam.top = frustumSize / 2;
+        shadowCam.bottom = -frustumSize / 2;
+        shadowCam.updateProjectionMatrix();
+    }
+    
+    getOrientation();
+}
+
+//================================//
+//      INITIALIZE SIMULATION
+//================================//
+function init() {
+    console.clear();
+    detectOperatingSystem();
+
+    const canvas = document.getElementById('simulation-canvas');
+    const params = new URLSearchParams(window.location.search);
+
+    // Texture Configuration
+    const textureRotation = Math.PI / 2; // Rotate texture by 90 degrees (in radians)
+    const textureScale = 750;            // Smaller number = larger texture pattern
+
+    // --- THREE.JS INITIALIZATION ---
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x505050);
+
+    camera = new THREE.OrthographicCamera(0, 0, 0, 0, 1, 1000);
+    camera.position.z = 500;
+
+    // Optional ?renderer=canvas or ?renderer=svg draws in 2D even where WebGL works
+    renderer = createRenderer(canvas, params.get('renderer'));
+    const flat = renderer instanceof FlatRenderer;
+    
+    // --- ROBUST RESIZE HANDLING ---
+    // Listen for the window to resize to reliably handle orientation changes.
+    window.addEventListener('resize', updateLayout);
+    
+    // --- SHADOWS ---
+    if (!flat) {
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    }
+
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
+    scene.add(ambientLight);
+    directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+
+    directionalLight.castShadow = true;
+    scene.add(directionalLight);
+    scene.add(directionalLight.target);
+    
+    directionalLight.shadow.mapSize.width = 2048;
+    directionalLight.shadow.mapSize.height = 2048;
+    directionalLight.shadow.bias = -0.0005; 
+    directionalLight.shadow.normalBias = 0.05;
+    directionalLight.shadow.camera.near = 1;
+    directionalLight.shadow.camera.far = 2000; 
+
+    // --- GROUND PLANE & TEXTURE ---
+    const groundGeometry = new THREE.PlaneGeometry(1, 1);
+    const groundMaterial = new THREE.MeshStandardMaterial({
+        color: 0xcccccc
+    });
+    groundPlane = new THREE.Mesh(groundGeometry, groundMaterial);
+    groundPlane.userData.textureScale = textureScale; 
+    groundPlane.receiveShadow = true;
+    scene.add(groundPlane);
+
+    // The 2D view has no floor texture, so it is not fetched
+    const textureLoader = new THREE.TextureLoader();
+    if (!flat) textureLoader.load(
+        './textures/laminate_floor_02_diff_4k.jpg',
+        function(texture) {
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.rotation = textureRotation;
+            texture.center.set(0.5, 0.5);
+            groundPlane.userData.texture = texture;
+            applyDisplaySettings();
+            
+            // Re-run layout to apply texture repeat *after* the texture has loaded
+            updateLayout(); 
+        },
+        undefined,
+        function(err) {
+            console.error('An error happened loading the texture. Using fallback color.');
+        }
+    );
+
+    // *** FIX ***
+    // Call updateLayout() ONCE here to set the initial simWidth and simHeight
+    // BEFORE creating the simulation objects.
+    updateLayout();
+
+    // --- START SIMULATION & ATTACH LISTENERS ---
+    // Optional ?seed=N in the URL gives a reproducible run: seeded spawning and a fixed 60 Hz physics step.
+    // Optional ?resize=fit keeps the layout's size when the window is resized instead of stretching it.
+    // Optional ?worker=1 runs the physics in a Web Worker, leaving this thread to input and rendering.
+    // Settings panel values can be given the same way (see SETTINGS).
+    const seedParam = params.get('seed');
+    const seed = seedParam !== null ? parseInt(seedParam, 10) : undefined;
+    const resizeParam = params.get('resize');
+    userSettings = new UserSettings(params);
+    applyDisplaySettings();
+    world = new World({
+        width: simWidth,
+        height: simHeight,
+        seed: seed,
+        fixedTimestep: seed !== undefined ? 1 / 60 : 0,
+        resizeMode: RESIZE_MODES.includes(resizeParam) ? resizeParam : 'scale'
+    });
+    rewindHistory = new SnapshotHistory(world);
+    telemetry = new Telemetry(world);
+    if (params.get('worker') === '1') physicsWorker = startPhysicsWorker(world);
+    // In a worker the recording is made there, since only it knows which step each input landed on
+    inputRecorder = physicsWorker ? physicsWorker.recorder : new InputRecorder(world, world.fixedTimestep || MainLoop.getSimulationTimestep() / 1000);
+    simulation = new Simulation(world, renderer, rewindHistory, telemetry);
+    simulation.load(DEFAULT_SCENE);
+
+    // Optional ?scene=path.json replaces the built-in layout once it has been fetched
+    const sceneUrl = params.get('scene');
+    if (sceneUrl) {
+        fetch(sceneUrl)
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} loading ${sceneUrl}`);
+                return response.text();
+            })
+            .then((text) => simulation.load(text))
+            .catch((err) => {
+                console.error("Error loading scene, keeping the built-in layout:", err);
+                alert(`Could not load scene "${sceneUrl}".\n\n${err.message}`);
+            });
+    }
+    attachSceneFileHandlers(renderer.domElement);
+
+    // --- TILT ---
+    // Mobile only, in the settings panel. Not a stored setting since iOS asks for permission each visit.
+    // Turning it off puts the gravity from the settings back.
+    const tiltRow = document.getElementById("settings-tilt");
+    const tiltBox = tiltRow.querySelector("input");
+    tiltRow.hidden = !isMobileDevice();
+    tiltBox.addEventListener("change", () => {
+        if (tiltBox.checked) {
+            requestOrientationPermission().then((granted) => {
+                tiltEnabled = granted;
+                tiltBox.checked = granted;
+            });
+        } else {
+            tiltEnabled = false;
+            dispatchInput({ type: 'settings', settings: physicsSettings(['gravity']) });
+            updateLayout();
+        }
+    });
+    
+    getOrientation();
+}
+
+// The WebGL renderer, or a FlatRenderer drawing in 2D where WebGL cannot start (locked-down machines, old
+// devices, headless browsers) or kind ('canvas' or 'svg') asks for one
+function createRenderer(canvas, kind) {
+    if (kind === 'canvas' || kind === 'svg') return new FlatRenderer(canvas, kind);
+    try {
+        return new THREE.WebGLRenderer({
+            canvas: canvas,
+            antialias: true
+        });
+    } catch (err) {
+        console.error("WebGL is not available, drawing in 2D instead:", err);
+        return new FlatRenderer(canvas, 'canvas');
+    }
+}
+
+// The physics worker for ?worker=1, or null to keep the physics on this thread where workers cannot run,
+// e.g. on a page opened from a file
+function startPhysicsWorker(world) {
+    if (typeof Worker === 'undefined') {
+        console.error("Web Workers are not available, running the physics on the page");
+        return null;
+    }
+    try {
+        return new PhysicsWorker(world, new Worker('verletWorker.js'), world.fixedTimestep || MainLoop.getSimulationTimestep() / 1000);
+    } catch (err) {
+        console.error("Could not start the physics worker, running the physics on the page:", err);
+        return null;
+    }
+}
+
+// --- INPUT ---
+// Apply a user input event (see verletRecorder.js) to the world, or send it to the physics worker, and
+// record it if a recording is running. Live input is ignored while a recording is being replayed.
+function dispatchInput(event) {
+    if (inputPlayer || (physicsWorker && physicsWorker.replaying)) return;
+    if (physicsWorker) physicsWorker.input(event);
+    else applyInput(world, event);
+    inputRecorder.record(event);
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function downloadFile(text, filename, type) {
+    downloadBlob(new Blob([text], { type: type }), filename);
+}
+
+function downloadJSON(data, filename) {
+    downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
+//================================//
+//      SETTINGS
+//================================//
+// Settings panel entries, by group:
+//   physics  applied to the world straight away as a 'settings' input event, so recordings replay them;
+//            read(world) gives the value the world has now, e.g. from a loaded scene or tilt
+//   spawn    the random balls a scene starts with, applied on Reset
+//   click    the ball a right-click spawns; a mass of 0 means π r²
+//   display  the look of the view only
+// Only values changed from the defaults here are kept. They are stored in localStorage and can be given as
+// URL query parameters under the same keys (e.g. ?gravity=500&gravityAngle=45&shadows=0), which win over
+// the stored ones. gravityAngle is in degrees clockwise from the right, so 90 is straight down.
+const SETTINGS_STORAGE_KEY = 'verletSettings';
+const SETTINGS_GROUPS = [
+    { group: 'physics', label: 'Physics' },
+    { group: 'spawn', label: 'Balls (on Reset)' },
+    { group: 'click', label: 'Right-click ball' },
+    { group: 'display', label: 'Display' }
+];
+const SETTINGS = [
+    { key: 'gravity', group: 'physics', label: 'Gravity (px/s²)', value: GRAVITY_Y, min: 0, max: 3000, step: 10,
+        read: (world) => Math.hypot(world.gravityVec.x, world.gravityVec.y) },
+    { key: 'gravityAngle', group: 'physics', label: 'Gravity direction (°)', value: 90, min: 0, max: 359, step: 1,
+        read: (world) => {
+            const gravity = world.gravityVec;
+            // Without gravity there is no direction to show
+            if (gravity.x === 0 && gravity.y === 0) return undefined;
+            return (Math.round(Math.atan2(gravity.y, gravity.x) * 180 / Math.PI) + 360) % 360;
+        } },
+    { key: 'restitution', group: 'physics', label: 'Restitution', value: 0.9, min: 0, max: 1, step: 0.01,
+        read: (world) => world.restitution },
+    { key: 'wallDamping', group: 'physics', label: 'Wall damping', value: WALL_RESTITUTION, min: 0, max: 1, step: 0.01 },
+    { key: 'airDrag', group: 'physics', label: 'Air drag', value: AIR_DRAG, min: 0, max: 0.02, step: 0.0005,
+        read: (world) => world.airDrag },
+    { key: 'subSteps', group: 'physics', label: 'Sub-steps', value: 8, min: 1, max: 32, step: 1,
+        read: (world) => world.sub_steps },
+    { key: 'solverIterations', group: 'physics', label: 'Solver iterations', value: 5, min: 1, max: 20, step: 1,
+        read: (world) => world.solverIterations },
+    { key: 'ballCount', group: 'spawn', label: 'Ball count', value: DEFAULT_SCENE.spawn.count, min: 0, max: 1500, step: 10 },
+    { key: 'minRadius', group: 'spawn', label: 'Min radius (px)', value: DEFAULT_SCENE.spawn.minRadius, min: 2, max: 60, step: 1 },
+    { key: 'maxRadius', group: 'spawn', label: 'Max radius (px)', value: DEFAULT_SCENE.spawn.maxRadius, min: 2, max: 60, step: 1 },
+    // 'scene' keeps the scene's own materials; 'mixed' picks a preset at random for every ball
+    { key: 'ballMaterial', group: 'spawn', label: 'Material', type: 'select', value: 'scene',
+        options: ['scene', 'mixed'].concat(Object.keys(MATERIALS)) },
+    { key: 'clickRadius', group: 'click', label: 'Radius (px)', value: 25, min: 4, max: 100, step: 1 },
+    { key: 'clickMass', group: 'click', label: 'Mass (0 = π r²)', value: 0, min: 0, max: 30000, step: 100 },
+    { key: 'clickColor', group: 'click', label: 'Color', type: 'color', value: '#00ffff' },
+    { key: 'clickMaterial', group: 'click', label: 'Material', type: 'select', value: 'none',
+        options: ['none'].concat(Object.keys(MATERIALS)) },
+    { key: 'shadows', group: 'display', label: 'Shadows', type: 'checkbox', value: true },
+    { key: 'texture', group: 'display', label: 'Floor texture', type: 'checkbox', value: true },
+    { key: 'adaptiveQuality', group: 'display', label: 'Adaptive quality', type: 'checkbox', value: true }
+];
+
+function findSetting(key) {
+    return SETTINGS.find((setting) => setting.key === key);
+}
+
+// A stored, URL or input value for setting, clamped to its range; undefined if it makes no sense
+function parseSetting(setting, value) {
+    if (setting.type === 'checkbox') {
+        if (value === true || value === 'true' || value === '1') return true;
+        if (value === false || value === 'false' || value === '0') return false;
+        return undefined;
+    }
+    if (setting.type === 'color') {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+    }
+    if (setting.type === 'select') return setting.options.includes(value) ? value : undefined;
+    let number = typeof value === 'number' ? value : parseFloat(value);
+    if (!isFinite(number)) return undefined;
+    if (Number.isInteger(setting.step)) number = Math.round(number);
+    return Math.max(setting.min, Math.min(setting.max, number));
+}
+
+// The settings changed from their defaults, loaded from localStorage and then from the URL's params
+var UserSettings = function(params) {
+    const overrides = {};
+
+    function override(key, raw, source) {
+        const setting = findSetting(key);
+        if (!setting) return;
+        const value = parseSetting(setting, raw);
+        if (value === undefined) {
+            console.warn(`Ignoring ${source} setting ${key}=${raw}`);
+        } else if (value === setting.value) {
+            delete overrides[key];
+        } else {
+            overrides[key] = value;
+        }
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(overrides));
+        } catch (e) {
+            console.warn("Could not store the settings:", e);
+        }
+    }
+
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    } catch (e) {
+        console.warn("Ignoring the stored settings:", e);
+    }
+    for (const key in stored || {}) override(key, stored[key], 'stored');
+    for (const [key, raw] of params) override(key, raw, 'URL');
+
+    this.get = function(key) {
+        return key in overrides ? overrides[key] : findSetting(key).value;
+    };
+
+    this.isChanged = function(key) {
+        return key in overrides;
+    };
+
+    // Set from a panel input and store
+    this.set = function(key, value) {
+        override(key, value, 'panel');
+        save();
+    };
+
+    // Back to the defaults, stored too
+    this.reset = function() {
+        for (const key in overrides) delete overrides[key];
+        save();
+    };
+
+    // params with the changed settings in place of any settings it had, as a query string
+    this.toQuery = function(params) {
+        const query = new URLSearchParams(params);
+        for (const setting of SETTINGS) query.delete(setting.key);
+        for (const key in overrides) {
+            const value = overrides[key];
+            query.set(key, typeof value === 'boolean' ? Number(value) : value);
+        }
+        return query.toString();
+    };
+};
+
+// The named physics settings as scene settings (see applySettings); gravity and gravityAngle both give
+// the gravity vector. values: key => value (default: the user's settings).
+function physicsSettings(keys, values) {
+    values = values || userSettings.get;
+    const settings = {};
+    for (const key of keys) {
+        if (key === 'gravity' || key === 'gravityAngle') {
+            const strength = values('gravity'), angle = values('gravityAngle') * Math.PI / 180;
+            // Rounded so straight down has no stray sideways part
+            settings.gravity = [Math.round(Math.cos(angle) * strength * 1e6) / 1e6, Math.round(Math.sin(angle) * strength * 1e6) / 1e6];
+        } else {
+            settings[key] = values(key);
+        }
+    }
+    return settings;
+}
+
+// Loads a scene into the world with the user's settings: spawn settings change its random balls and
+// changed physics settings win over its own. The solver settings go back to the defaults first so none
+// carry over from the last scene. data may be an object or a JSON string.
+function startScene(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new SceneError([`scene: not valid JSON (${e.message})`]);
+        }
+    }
+
+    let scene = data;
+    if (['ballCount', 'minRadius', 'maxRadius', 'ballMaterial'].some((key) => userSettings.isChanged(key))) {
+        // A scene without random balls gets them across the top, as in the built-in one
+        const spawn = Object.assign({}, data.spawn || { count: userSettings.get('ballCount'), region: DEFAULT_SCENE.spawn.region, units: 'normalized' });
+        if (userSettings.isChanged('ballCount')) spawn.count = userSettings.get('ballCount');
+        if (userSettings.isChanged('minRadius') || userSettings.isChanged('maxRadius')) {
+            const minRadius = userSettings.get('minRadius'), maxRadius = userSettings.get('maxRadius');
+            spawn.minRadius = Math.min(minRadius, maxRadius);
+            spawn.maxRadius = Math.max(minRadius, maxRadius);
+        }
+        if (userSettings.isChanged('ballMaterial')) {
+            const material = userSettings.get('ballMaterial');
+            spawn.materials = material === 'mixed' ? Object.keys(MATERIALS) : [material];
+        }
+        scene = Object.assign({}, data, { spawn: spawn });
+    }
+
+    const physicsKeys = SETTINGS.filter((setting) => setting.group === 'physics').map((setting) => setting.key);
+    applySettings(world, physicsSettings(physicsKeys, (key) => findSetting(key).value));
+    loadScene(world, scene);
+    const changed = physicsKeys.filter((key) => userSettings.isChanged(key));
+    if (changed.length > 0) dispatchInput({ type: 'settings', settings: physicsSettings(changed) });
+
+    currentScene = data;
+    rewindHistory.clear();
+    telemetry.clear();
+}
+
+// Shadows and the floor texture (once it has loaded)
+function applyDisplaySettings() {
+    if (directionalLight) directionalLight.castShadow = userSettings.get('shadows');
+    if (groundPlane) {
+        const material = groundPlane.material;
+        const texture = userSettings.get('texture') && groundPlane.userData.texture || null;
+        if (material.map === texture) return;
+        material.map = texture;
+        material.color.set(texture ? 0xffffff : 0xcccccc);
+        material.needsUpdate = true;
+    }
+}
+
+// --- SCENE FILES ---
+// Drop a scene .json file onto the page to load it, or an input recording to replay it.
+// Ctrl+S / Cmd+S downloads the current state as a scene.
+function attachSceneFileHandlers(canvas) {
+    canvas.addEventListener('dragover', (event) => event.preventDefault());
+    canvas.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (!file) return;
+        file.text().then((text) => {
+            try {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    data = text; // let loadScene report the JSON error
+                }
+                if (data && Array.isArray(data.events)) {
+                    if (physicsWorker) physicsWorker.replay(data);
+                    else inputPlayer = new InputPlayer(world, data);
+                    rewindHistory.clear();
+                    simulation.resetQuality();
+                } else {
+                    simulation.load(data);
+                }
+            } catch (err) {
+                console.error("Error loading file:", err);
+                alert(`Could not load "${file.name}".\n\n${err.message}`);
+            }
+        });
+    });
+
+    window.addEventListener('keydown', (event) => {
+        if (event.key !== 's' || !(event.ctrlKey || event.metaKey)) return;
+        event.preventDefault();
+        if (physicsWorker) physicsWorker.exportScene().then((scene) => downloadJSON(scene, 'scene.json'));
+        else downloadJSON(exportScene(world, { units: 'normalized' }), 'scene.json');
+    });
+}
+
+// Motion handler
+function handleMotionEvent(event) {
+    if (!tiltEnabled) return;
+    let ax = event.accelerationIncludingGravity.x;
+    let ay = event.accelerationIncludingGravity.y;
+    if (ax === null || ay === null) return;
+
+    // --- 1. Update Physics Gravity Vector ---
+    const tilt_scale = 1000;
+    let finalX, finalY;
+    if (OS_iPAD || OS_iOS) {
+        finalX = ax * tilt_scale;
+        finalY = -ay * tilt_scale;
+    } else if (OS_Android) {
+        finalX = -ax * tilt_scale;
+        finalY = ay * tilt_scale;
+    } else {
+        finalX = ax * tilt_scale;
+        finalY = -ay * tilt_scale;
+    }
+    dispatchInput({ type: 'gravity', x: finalX, y: finalY });
+
+    // --- 2. Update Light Position for Shadow Effect ---
+    if (directionalLight) {
+        const maxGravity = 9.8;
+        const lightMoveScale = simWidth * 0.4;
+
+        let lightAx = ax;
+        let lightAy = ay;
+        if (OS_iPAD || OS_iOS) {
+            lightAy = -ay;
+        } else if (OS_Android) {
+            lightAx = -ax;
+        } else {
+            lightAy = -ay;
+        }
+
+        const normalizedX = Math.max(-1, Math.min(1, lightAx / maxGravity));
+        const normalizedY = Math.max(-1, Math.min(1, lightAy / maxGravity));
+
+        const newLightX = (simWidth / 2) + (normalizedX * lightMoveScale);
+        const newLightY = (simHeight * 0.1) + (normalizedY * lightMoveScale);
+
+        directionalLight.position.x = newLightX;
+        directionalLight.position.y = newLightY;
+    }
+}
+
+
+//================================//
+//      INSTANCED BALLS
+//================================//
+// Sphere detail by ball radius: a ball uses the first level whose maxRadius it fits under. Small balls cover
+// too few pixels to show the full sphere's facets, and there can be thousands of them.
+const BALL_LODS = [
+    { maxRadius: 6, widthSegments: 12, heightSegments: 8 },
+    { maxRadius: 16, widthSegments: 20, heightSegments: 12 },
+    { maxRadius: Infinity, widthSegments: 32, heightSegments: 16 }
+];
+const INITIAL_BALL_CAPACITY = 64;
+// How much a highlighted ball's color is mixed with white
+const BALL_HIGHLIGHT = 0.35;
+
+// Draws the balls of one level of detail in a single draw call: an InstancedMesh of a unit sphere, each
+// instance scaled to its ball's radius, turned by its spin and tinted with its color. Fill it every frame
+// with begin(), add() per ball and end(). When the balls outgrow it the mesh is replaced by one twice the
+// size; unused instances are simply not drawn.
+var BallInstances = function(scene, lod, material) {
+    const geometry = new THREE.SphereGeometry(1, lod.widthSegments, lod.heightSegments);
+    const matrix = new THREE.Matrix4();
+    const scale = new THREE.Vector3();
+    const color = new THREE.Color();
+    const white = new THREE.Color(0xffffff);
+    // Parsed body colors, so CSS color strings are not parsed every frame
+    const colors = new Map();
+    let mesh = null;
+    let capacity = 0;
+    let count = 0;
+
+    function grow(size) {
+        const old = mesh;
+        mesh = new THREE.InstancedMesh(geometry, material, size);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.castShadow = true;
+        // The unit sphere's bounds say nothing about where the instances are
+        mesh.frustumCulled = false;
+        // Keep the instances already filled in this frame
+        if (old) {
+            mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+            if (old.instanceColor) {
+                mesh.setColorAt(0, color);
+                mesh.instanceColor.array.set(old.instanceColor.array);
+            }
+            scene.remove(old);
+            if (old.dispose) old.dispose();
+        }
+        capacity = size;
+        scene.add(mesh);
+    }
+
+    function parsedColor(css) {
+        let parsed = colors.get(css);
+        if (!parsed) {
+            parsed = new THREE.Color(css);
+            colors.set(css, parsed);
+        }
+        return parsed;
+    }
+
+    this.begin = function() {
+        count = 0;
+    };
+
+    this.add = function(body, highlighted) {
+        if (count === capacity) grow(Math.max(INITIAL_BALL_CAPACITY, capacity * 2));
+        // Screen y points down, so clockwise spin is a negative rotation in three.js
+        matrix.makeRotationZ(-body.angle);
+        matrix.scale(scale.set(body.radius, body.radius, body.radius));
+        matrix.setPosition(body.position.x, -body.position.y, 0);
+        mesh.setMatrixAt(count, matrix);
+        color.copy(parsedColor(body.color));
+        if (highlighted) color.lerp(white, BALL_HIGHLIGHT);
+        mesh.setColorAt(count, color);
+        count++;
+    };
+
+    this.end = function() {
+        if (!mesh) return;
+        mesh.count = count;
+        mesh.visible = count > 0;
+        mesh.instanceMatrix.needsUpdate = true;
+        if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    };
+};
+
+//================================//
+//      THREE.JS VIEW
+//================================//
+// Builds and updates meshes for the bodies, walls, colliders, fields, emitters and sinks of a World and
+// renders them. The world knows nothing about three.js; meshes are created lazily for new objects and
+// dropped when they leave the world.
+var ThreeView = function(world, scene, renderer, camera) {
+    const wallMeshes = new Map();
+    const colliderMeshes = new Map();
+    const fieldMeshes = new Map();
+    let seamTexture = null;
+
+    // All constraints are drawn as one set of line segments; the buffer is only replaced when it has to grow
+    let linkPositions = new Float32Array(0);
+    const linkGeometry = new THREE.BufferGeometry();
+    const linkLines = new THREE.LineSegments(linkGeometry, new THREE.LineBasicMaterial({ color: 0xdddddd }));
+    linkLines.frustumCulled = false;
+    scene.add(linkLines);
+
+    // Faint seams (an equator and four meridians, one facing the camera) so a ball's spin is visible.
+    // White, so the instance colors tint it; shared by every ball.
+    function getSeamTexture() {
+        if (seamTexture) return seamTexture;
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#b0b0b0';
+        ctx.fillRect(0, canvas.height / 2 - 3, canvas.width, 6);
+        for (let i = 0; i < 4; i++) ctx.fillRect(i * canvas.width / 4 - 3, 0, 6, canvas.height);
+        seamTexture = new THREE.CanvasTexture(canvas);
+        return seamTexture;
+    }
+
+    // Balls are drawn in one set of levels per look of their physical material (DEFAULT_LOOK without one),
+    // which differ in metalness and roughness; the instance colors tint them. Sets are keyed by those two
+    // values, so materials that look alike share one, and are made the first time a look is drawn.
+    const ballSets = new Map();
+    const lookKeys = new WeakMap();
+
+    function ballLevelsFor(look) {
+        let key = lookKeys.get(look);
+        if (key === undefined) {
+            key = `${look.metalness}/${look.roughness}`;
+            lookKeys.set(look, key);
+        }
+        let levels = ballSets.get(key);
+        if (!levels) {
+            const material = new THREE.MeshStandardMaterial({
+                map: getSeamTexture(),
+                metalness: look.metalness,
+                roughness: look.roughness,
+            });
+            levels = BALL_LODS.map((lod) => new BallInstances(scene, lod, material));
+            ballSets.set(key, levels);
+        }
+        return levels;
+    }
+
+    // Each ball goes to the first level of detail its radius fits under
+    function updateBalls() {
+        for (const levels of ballSets.values()) {
+            for (let l = 0; l < levels.length; l++) levels[l].begin();
+        }
+        const bodies = world.bodies;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            const levels = ballLevelsFor(body.material ? body.material.look : DEFAULT_LOOK);
+            let l = 0;
+            while (body.radius > BALL_LODS[l].maxRadius) l++;
+            levels[l].add(body, highlightedBodies.has(body));
+        }
+        for (const levels of ballSets.values()) {
+            for (let l = 0; l < levels.length; l++) levels[l].end();
+        }
+    }
+
+    // A wall one unit long from the origin along +x; each wall mesh scales, turns and moves it into place
+    // every frame, so moving walls need no new geometry. Only a change of thickness rebuilds it.
+    function createWallGeometry(thickness) {
+        const halfThick = thickness / 2;
+        const wallShape = new THREE.Shape();
+        wallShape.moveTo(0, halfThick);
+        wallShape.lineTo(1, halfThick);
+        wallShape.lineTo(1, -halfThick);
+        wallShape.lineTo(0, -halfThick);
+        wallShape.closePath();
+
+        const extrudeSettings = {
+            steps: 1,
+            depth: 20,
+            bevelEnabled: false
+        };
+        return new THREE.ExtrudeGeometry(wallShape, extrudeSettings);
+    }
+
+    function createWallMesh(wall) {
+        const geometry = createWallGeometry(wall.thickness);
+
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xff4500,
+            metalness: 0.3,
+            roughness: 0.9,
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.z = -15;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.userData.thickness = wall.thickness;
+        return mesh;
+    }
+
+    function updateWallMesh(wall, mesh) {
+        if (mesh.userData.thickness !== wall.thickness) {
+            mesh.geometry.dispose();
+            mesh.geometry = createWallGeometry(wall.thickness);
+            mesh.userData.thickness = wall.thickness;
+        }
+        mesh.position.x = wall.p1.x;
+        mesh.position.y = -wall.p1.y;
+        mesh.rotation.z = Math.atan2(-wall.dir.y, wall.dir.x);
+        mesh.scale.x = Math.sqrt(wall.lenSq) || 1e-6;
+    }
+
+    // Outline of a static collider in three.js coordinates (y up, so screen angles change sign). Arcs get
+    // the rounded ends their collision shape has.
+    function createColliderShape(collider) {
+        const shape = new THREE.Shape();
+        if (collider.type === 'peg') {
+            shape.absarc(collider.position.x, -collider.position.y, collider.radius, 0, Math.PI * 2, false);
+        } else if (collider.type === 'arc') {
+            const cx = collider.center.x, cy = -collider.center.y;
+            const halfThick = collider.thickness / 2;
+            const outer = collider.radius + halfThick, inner = Math.max(0, collider.radius - halfThick);
+            if (collider.sweep >= Math.PI * 2) {
+                shape.absarc(cx, cy, outer, 0, Math.PI * 2, false);
+                const hole = new THREE.Path();
+                hole.absarc(cx, cy, inner, 0, Math.PI * 2, true);
+                shape.holes.push(hole);
+            } else {
+                const from = -collider.startAngle, to = from - collider.sweep;
+                shape.absarc(cx, cy, outer, from, to, true);
+                shape.absarc(collider.end.x, -collider.end.y, halfThick, to, to - Math.PI, true);
+                shape.absarc(cx, cy, inner, to, from, false);
+                shape.absarc(collider.start.x, -collider.start.y, halfThick, from + Math.PI, from, true);
+            }
+        } else {
+            const points = collider.points;
+            shape.moveTo(points[0].x, -points[0].y);
+            for (let i = 1; i < points.length; i++) shape.lineTo(points[i].x, -points[i].y);
+            shape.closePath();
+        }
+        return shape;
+    }
+
+    // Colliders never move, so their geometry is built once in place
+    function createColliderMesh(collider) {
+        const geometry = new THREE.ExtrudeGeometry(createColliderShape(collider), {
+            steps: 1,
+            depth: 20,
+            bevelEnabled: false,
+            curveSegments: collider.type === 'arc' ? 48 : 24
+        });
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xff4500,
+            metalness: 0.3,
+            roughness: 0.9,
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.z = -15;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    // Fields, emitters and sinks are drawn as flat outlines under the balls: a circle around round fields
+    // and emitters, a rectangle around wind zones and sinks
+    const FIELD_COLORS = {
+        attractor: 0x1e90ff, repulsor: 0xff6347, explosion: 0xffd700, vortex: 0xba55d3, wind: 0x00ced1,
+        drag: 0x808080, emitter: 0x7cfc00, sink: 0x202020
+    };
+    const EMITTER_MARKER_RADIUS = 10;
+
+    function createFieldMesh(object) {
+        const points = [];
+        if (object.halfWidth !== undefined) {
+            points.push(new THREE.Vector3(-1, -1, 0), new THREE.Vector3(1, -1, 0), new THREE.Vector3(1, 1, 0), new THREE.Vector3(-1, 1, 0));
+        } else {
+            for (let i = 0; i < 48; i++) points.push(new THREE.Vector3(Math.cos(i / 48 * Math.PI * 2), Math.sin(i / 48 * Math.PI * 2), 0));
+        }
+        const color = FIELD_COLORS[object.type] !== undefined ? FIELD_COLORS[object.type] : 0xffffff;
+        const mesh = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color: color }));
+        mesh.position.z = -4;
+        return mesh;
+    }
+
+    // A unit circle or square, moved and scaled into place every frame since a resize moves and stretches them
+    function updateFieldMesh(object, mesh) {
+        mesh.position.x = object.position.x;
+        mesh.position.y = -object.position.y;
+        if (object.halfWidth !== undefined) mesh.scale.set(object.halfWidth, object.halfHeight, 1);
+        else mesh.scale.setScalar(object.type === 'emitter' ? EMITTER_MARKER_RADIUS : object.radius);
+    }
+
+    // Outline of the wall being drawn in the editor
+    const previewPositions = new Float32Array(6);
+    const previewGeometry = new THREE.BufferGeometry();
+    previewGeometry.setAttribute('position', new THREE.BufferAttribute(previewPositions, 3));
+    const previewLine = new THREE.Line(previewGeometry, new THREE.LineBasicMaterial({ color: 0xffffff }));
+    previewLine.frustumCulled = false;
+    previewLine.visible = false;
+    scene.add(previewLine);
+
+    this.showWallPreview = function(x1, y1, x2, y2) {
+        previewPositions[0] = x1;
+        previewPositions[1] = -y1;
+        previewPositions[3] = x2;
+        previewPositions[4] = -y2;
+        previewGeometry.attributes.position.needsUpdate = true;
+        previewLine.visible = true;
+    };
+
+    this.hideWallPreview = function() {
+        previewLine.visible = false;
+    };
+
+    // Rectangle of the inspector's box selection
+    const boxPositions = new Float32Array(12);
+    const boxGeometry = new THREE.BufferGeometry();
+    boxGeometry.setAttribute('position', new THREE.BufferAttribute(boxPositions, 3));
+    const boxLine = new THREE.LineLoop(boxGeometry, new THREE.LineBasicMaterial({ color: 0xffffff }));
+    boxLine.frustumCulled = false;
+    boxLine.visible = false;
+    scene.add(boxLine);
+
+    this.showBoxPreview = function(x1, y1, x2, y2) {
+        const corners = [x1, y1, x2, y1, x2, y2, x1, y2];
+        for (let i = 0; i < 4; i++) {
+            boxPositions[i * 3] = corners[i * 2];
+            boxPositions[i * 3 + 1] = -corners[i * 2 + 1];
+        }
+        boxGeometry.attributes.position.needsUpdate = true;
+        boxLine.visible = true;
+    };
+
+    this.hideBoxPreview = function() {
+        boxLine.visible = false;
+    };
+
+    // Bodies drawn highlighted
+    let highlightedBodies = new Set();
+    this.setHighlighted = function(bodies) {
+        highlightedBodies = new Set(bodies);
+    };
+
+    function disposeMesh(mesh) {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+
+    // Add meshes for new objects and remove meshes for objects no longer in the world
+    function syncMeshes(objects, meshes, createMesh) {
+        // Fast path without allocating: every object already has a mesh and nothing was removed
+        let missing = false;
+        for (let i = 0; i < objects.length && !missing; i++) missing = !meshes.has(objects[i]);
+        if (!missing && meshes.size === objects.length) return;
+
+        const live = new Set(objects);
+        for (const [object, mesh] of meshes) {
+            if (!live.has(object)) {
+                disposeMesh(mesh);
+                meshes.delete(object);
+            }
+        }
+        for (const object of objects) {
+            if (!meshes.has(object)) {
+                const mesh = createMesh(object);
+                scene.add(mesh);
+                meshes.set(object, mesh);
+            }
+        }
+    }
+
+    // One segment per constraint: between its two bodies, or from a pinned body to its anchor
+    function updateLinks() {
+        const constraints = world.constraints;
+        if (linkPositions.length < constraints.length * 6) {
+            linkPositions = new Float32Array(constraints.length * 12);
+            linkGeometry.setAttribute('position', new THREE.BufferAttribute(linkPositions, 3));
+        }
+        for (let c = 0; c < constraints.length; c++) {
+            const constraint = constraints[c];
+            const from = constraint.a.position;
+            const to = constraint.b ? constraint.b.position : constraint.anchor;
+            const o = c * 6;
+            linkPositions[o] = from.x;
+            linkPositions[o + 1] = -from.y;
+            linkPositions[o + 2] = 0;
+            linkPositions[o + 3] = to.x;
+            linkPositions[o + 4] = -to.y;
+            linkPositions[o + 5] = 0;
+        }
+        linkLines.visible = constraints.length > 0;
+        linkGeometry.setDrawRange(0, constraints.length * 2);
+        if (linkGeometry.attributes.position) linkGeometry.attributes.position.needsUpdate = true;
+    }
+
+    // Fields, emitters and sinks share one map of meshes
+    const fieldObjects = [];
+    function updateFieldMeshes() {
+        const fields = world.fields, emitters = world.emitters, sinks = world.sinks;
+        if (fields.length + emitters.length + sinks.length === 0 && fieldMeshes.size === 0) return;
+        fieldObjects.length = 0;
+        for (let i = 0; i < fields.length; i++) fieldObjects.push(fields[i]);
+        for (let i = 0; i < emitters.length; i++) fieldObjects.push(emitters[i]);
+        for (let i = 0; i < sinks.length; i++) fieldObjects.push(sinks[i]);
+        syncMeshes(fieldObjects, fieldMeshes, createFieldMesh);
+        for (let i = 0; i < fieldObjects.length; i++) updateFieldMesh(fieldObjects[i], fieldMeshes.get(fieldObjects[i]));
+    }
+
+    this.render = function() {
+        syncMeshes(world.walls, wallMeshes, createWallMesh);
+        syncMeshes(world.colliders, colliderMeshes, createColliderMesh);
+        updateFieldMeshes();
+        updateLinks();
+        const walls = world.walls;
+        for (let i = 0; i < walls.length; i++) updateWallMesh(walls[i], wallMeshes.get(walls[i]));
+        updateBalls();
+        renderer.render(scene, camera);
+    };
+};
+
+//================================//
+//      FLAT VIEW
+//================================//
+// Stands in for the WebGL renderer: draws in 2D (verletRender2D.js) into a canvas, or into an SVG element
+// for kind 'svg'. It takes the place of element in the page under the same id, since a canvas WebGL
+// failed on may not give out another context.
+var FlatRenderer = function(element, kind) {
+    const svg = kind === 'svg';
+    const domElement = document.createElement(svg ? 'div' : 'canvas');
+    domElement.id = element.id;
+    element.replaceWith(domElement);
+    const backend = svg ? new SvgBackend() : new Canvas2DBackend(domElement.getContext('2d'));
+    let width = 0, height = 0;
+    // Sharp on high-density screens unless the adaptive quality turns it down
+    let pixelRatio = window.devicePixelRatio || 1;
+
+    this.domElement = domElement;
+    this.kind = kind;
+
+    function resize() {
+        domElement.style.width = `${width}px`;
+        domElement.style.height = `${height}px`;
+        if (!svg) {
+            backend.pixelRatio = pixelRatio;
+            domElement.width = Math.round(width * pixelRatio);
+            domElement.height = Math.round(height * pixelRatio);
+        }
+    }
+
+    this.setSize = function(newWidth, newHeight) {
+        width = newWidth;
+        height = newHeight;
+        resize();
+    };
+
+    // Canvas pixels per screen pixel; an SVG has none to set
+    this.setPixelRatio = function(ratio) {
+        pixelRatio = ratio;
+        resize();
+    };
+
+    // options as for drawWorld
+    this.draw = function(world, options) {
+        const frame = drawWorld(world, backend, Object.assign({ width: width, height: height }, options));
+        if (svg) domElement.innerHTML = frame;
+    };
+};
+
+// The ThreeView methods for a FlatRenderer
+var FlatView = function(world, renderer) {
+    let highlighted = [];
+    let wallPreview = null, boxPreview = null;
+
+    this.setHighlighted = function(bodies) {
+        highlighted = bodies.slice();
+    };
+
+    this.showWallPreview = function(x1, y1, x2, y2) {
+        wallPreview = [x1, y1, x2, y2];
+    };
+
+    this.hideWallPreview = function() {
+        wallPreview = null;
+    };
+
+    this.showBoxPreview = function(x1, y1, x2, y2) {
+        boxPreview = [x1, y1, x2, y2];
+    };
+
+    this.hideBoxPreview = function() {
+        boxPreview = null;
+    };
+
+    this.render = function() {
+        renderer.draw(world, {
+            shadows: userSettings.get('shadows'),
+            highlighted: highlighted,
+            wallPreview: wallPreview,
+            boxPreview: boxPreview
+        });
+    };
+};
+
+//================================//
+//      TELEMETRY GRAPHS
+//================================//
+// Graphs drawn by TelemetryPanel, top to bottom
+const TELEMETRY_GRAPHS = [
+    { field: 'kinetic', label: 'Kinetic energy', color: '#ffd700' },
+    { field: 'energy', label: 'Total energy', color: '#ff8c00' },
+    { field: 'momentum', label: 'Momentum', color: '#00bfff' },
+    { field: 'contacts', label: 'Contacts', color: '#7cfc00' },
+    { field: 'maxPenetration', label: 'Max penetration (px)', color: '#ff6347' },
+    { field: 'maxSpeed', label: 'Max speed (px/s)', color: '#ee82ee' }
+];
+
+// Rolling graphs of the telemetry samples on a 2D canvas, each scaled to the range of the samples it shows.
+// New samples come in at the right once the ring is full.
+var TelemetryPanel = function(telemetry, canvas) {
+    const ctx = canvas.getContext('2d');
+    const rowHeight = canvas.height / TELEMETRY_GRAPHS.length;
+
+    function format(value) {
+        return Math.abs(value) >= 1e5 ? value.toExponential(3) : String(+value.toFixed(3));
+    }
+
+    this.draw = function() {
+        const width = canvas.width;
+        const count = telemetry.size();
+        const step = width / (telemetry.capacity - 1);
+        const offset = width - (count - 1) * step;
+        ctx.clearRect(0, 0, width, canvas.height);
+        ctx.font = '11px monospace';
+        ctx.lineWidth = 1;
+
+        for (let g = 0; g < TELEMETRY_GRAPHS.length; g++) {
+            const graph = TELEMETRY_GRAPHS[g];
+            const top = g * rowHeight + 14, bottom = (g + 1) * rowHeight - 4;
+            let min = Infinity, max = -Infinity;
+            for (let i = 0; i < count; i++) {
+                const value = telemetry.value(graph.field, i);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            const range = max - min || Math.abs(max) || 1;
+
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.strokeRect(0.5, top - 0.5, width - 1, bottom - top + 1);
+            ctx.strokeStyle = graph.color;
+            ctx.beginPath();
+            for (let i = 0; i < count; i++) {
+                const x = offset + i * step;
+                const y = bottom - (telemetry.value(graph.field, i) - min) / range * (bottom - top);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+
+            ctx.fillStyle = graph.color;
+            const latest = count > 0 ? format(telemetry.value(graph.field, count - 1)) : '-';
+            ctx.fillText(`${graph.label}: ${latest}`, 2, top - 3);
+            if (count > 0) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                const span = `${format(min)} .. ${format(max)}`;
+                ctx.fillText(span, width - ctx.measureText(span).width - 2, top - 3);
+            }
+        }
+    };
+};
+
+//================================//
+//      SETTINGS PANEL
+//================================//
+// One row per entry of SETTINGS under its group's heading: a slider with its value, a color picker or a
+// checkbox. Each change is stored in userSettings and passed to onChange(setting).
+var SettingsPanel = function(userSettings, container, onChange) {
+    const inputs = {};
+    const outputs = {};
+
+    function format(value) {
+        return String(+value.toFixed(4));
+    }
+
+    function createRow(setting) {
+        const row = document.createElement('label');
+        row.className = 'panel-row';
+        const name = document.createElement('span');
+        name.textContent = setting.label;
+        const input = document.createElement(setting.type === 'select' ? 'select' : 'input');
+        if (setting.type === 'select') {
+            for (const option of setting.options) input.add(new Option(option, option));
+        } else {
+            input.type = setting.type || 'range';
+        }
+        if (input.type === 'range') {
+            input.min = setting.min;
+            input.max = setting.max;
+            input.step = setting.step;
+        }
+        row.append(name, input);
+        if (input.type === 'range') {
+            outputs[setting.key] = document.createElement('output');
+            row.append(outputs[setting.key]);
+        }
+
+        input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+            userSettings.set(setting.key, input.type === 'checkbox' ? input.checked : input.value);
+            if (outputs[setting.key]) outputs[setting.key].textContent = format(userSettings.get(setting.key));
+            onChange(setting);
+        });
+        inputs[setting.key] = input;
+        return row;
+    }
+
+    for (const { group, label } of SETTINGS_GROUPS) {
+        const heading = document.createElement('div');
+        heading.className = 'settings-group';
+        heading.textContent = label;
+        container.append(heading);
+        for (const setting of SETTINGS) {
+            if (setting.group === group) container.append(createRow(setting));
+        }
+    }
+
+    // Show the current values: the world's for physics settings that it has, the user's otherwise
+    this.refresh = function(world) {
+        for (const setting of SETTINGS) {
+            const input = inputs[setting.key];
+            let value = setting.read ? setting.read(world) : undefined;
+            if (value === undefined) value = userSettings.get(setting.key);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            if (outputs[setting.key]) outputs[setting.key].textContent = format(value);
+        }
+    };
+};
+
+//================================//
+//      BODY INSPECTOR
+//================================//
+// Panel for the bodies picked in inspect mode: live stats (index, radius, mass, material, velocity, contacts
+// and the impulse of the last step; totals for a group) and inputs to change them. Edits are handed to
+// actions.edit(changes) in the editBodies event format (see verletRecorder.js); actions.remove() deletes
+// the selection.
+var BodyInspector = function(world, actions) {
+    const panel = document.getElementById('inspect-panel');
+    const stats = document.getElementById('inspect-stats');
+    const radiusInput = document.getElementById('inspect-radius');
+    const massInput = document.getElementById('inspect-mass');
+    const colorInput = document.getElementById('inspect-color');
+    const materialInput = document.getElementById('inspect-material');
+    const velocityXInput = document.getElementById('inspect-vx');
+    const velocityYInput = document.getElementById('inspect-vy');
+    const freezeButton = document.getElementById('inspect-freeze');
+    const contacts = {};
+    let selection = [];
+
+    for (const name of ['none'].concat(Object.keys(MATERIALS), ['custom'])) materialInput.add(new Option(name, name));
+    // Custom materials come from scene files; they can be shown but not picked
+    materialInput.options[materialInput.options.length - 1].disabled = true;
+
+    function materialName(body) {
+        if (!body.material) return 'none';
+        return MATERIALS[body.material.name] === body.material ? body.material.name : 'custom';
+    }
+
+    function velocityOf(body) {
+        const dt = world.subStepSeconds();
+        return [(body.position.x - body.previouspos.x) / dt, (body.position.y - body.previouspos.y) / dt];
+    }
+
+    function format(value) {
+        return Math.abs(value) >= 1e5 ? value.toExponential(2) : value.toFixed(1);
+    }
+
+    // A positive number from a number input, or undefined after putting the input back
+    function positive(input, current) {
+        const value = parseFloat(input.value);
+        if (isFinite(value) && value > 0) return value;
+        input.value = current;
+        return undefined;
+    }
+
+    // Inputs show the first selected body
+    function fillInputs() {
+        const body = selection[0];
+        if (!body) return;
+        const velocity = velocityOf(body);
+        radiusInput.value = +body.radius.toFixed(2);
+        massInput.value = +body.mass.toFixed(2);
+        colorInput.value = /^#[0-9a-f]{6}$/i.test(body.color) ? body.color : '#ffffff';
+        materialInput.value = materialName(body);
+        velocityXInput.value = +velocity[0].toFixed(1);
+        velocityYInput.value = +velocity[1].toFixed(1);
+        freezeButton.textContent = selection.every((b) => b.frozen) ? 'Unfreeze' : 'Freeze';
+    }
+
+    radiusInput.addEventListener('change', () => {
+        const radius = positive(radiusInput, selection[0].radius);
+        if (radius !== undefined) actions.edit({ radius: radius });
+    });
+    massInput.addEventListener('change', () => {
+        const mass = positive(massInput, selection[0].mass);
+        if (mass !== undefined) actions.edit({ mass: mass });
+    });
+    colorInput.addEventListener('change', () => actions.edit({ color: colorInput.value }));
+    // A preset brings its density (so the mass) and its color along
+    materialInput.addEventListener('change', () => {
+        const material = materialInput.value === 'none' ? null : MATERIALS[materialInput.value];
+        actions.edit(material ? { material: material.name, color: material.look.color } : { material: null });
+        fillInputs();
+    });
+    for (const input of [velocityXInput, velocityYInput]) {
+        input.addEventListener('change', () => {
+            const velocity = [parseFloat(velocityXInput.value) || 0, parseFloat(velocityYInput.value) || 0];
+            actions.edit({ velocity: velocity });
+        });
+    }
+    freezeButton.addEventListener('click', () => {
+        actions.edit({ frozen: !selection.every((body) => body.frozen) });
+        fillInputs();
+    });
+    document.getElementById('inspect-delete').addEventListener('click', () => actions.remove());
+
+    // Show the panel for bodies (Body objects), or hide it when there are none
+    this.show = function(bodies) {
+        selection = bodies;
+        panel.hidden = selection.length === 0;
+        fillInputs();
+        this.update();
+    };
+
+    // Refresh the stats
+    this.update = function() {
+        if (selection.length === 0) return;
+        let mass = 0, momentumX = 0, momentumY = 0, impulse = 0, frozen = 0;
+        let touchingBodies = 0, touchingWalls = 0, touchingColliders = 0;
+        for (const body of selection) {
+            const velocity = velocityOf(body);
+            mass += body.mass;
+            momentumX += body.mass * velocity[0];
+            momentumY += body.mass * velocity[1];
+            impulse += body.impulse;
+            if (body.frozen) frozen++;
+            world.countContacts(body, CONTACT_TOLERANCE, contacts);
+            touchingBodies += contacts.bodies;
+            touchingWalls += contacts.walls;
+            touchingColliders += contacts.colliders;
+        }
+        // A group moves at its center of mass velocity
+        const velocityX = momentumX / mass, velocityY = momentumY / mass;
+        const body = selection[0];
+        const lines = selection.length === 1 ?
+            [`Ball ${world.bodies.indexOf(body)}${body.frozen ? ' (frozen)' : ''}`, `Radius ${format(body.radius)} px`, `Mass ${format(body.mass)}`,
+                `Material ${materialName(body)}`] :
+            [`${selection.length} balls${frozen > 0 ? ` (${frozen} frozen)` : ''}`, `Total mass ${format(mass)}`];
+        lines.push(
+            `Velocity (${format(velocityX)}, ${format(velocityY)}) px/s`,
+            `Speed ${format(Math.hypot(velocityX, velocityY))} px/s`,
+            `Contacts ${touchingBodies + touchingWalls + touchingColliders} (balls ${touchingBodies}, walls ${touchingWalls}, colliders ${touchingColliders})`,
+            `Impulse ${format(impulse)} (last step)`
+        );
+        stats.textContent = lines.join('\n');
+    };
+};
+
+//================================//
+//      RENDER INTERPOLATION
+//================================//
+// Draws the world part of the way between its last two physics steps, so motion stays smooth when the
+// screen does not run at the physics rate: a 120 Hz screen draws between steps, and a slow phone does not
+// show the steps it takes in bursts. capture() before each step keeps the state the step starts from;
+// apply(alpha) moves the balls and walls alpha of the way from there to where they are now, and restore()
+// puts back exactly what it moved, so drawing never changes the simulation.
+var RenderInterpolation = function(world) {
+    // Bodies and walls at the last capture, with their x, y, angle (walls: x1, y1, x2, y2) then
+    const bodies = [], walls = [];
+    let bodyStart = new Float64Array(0), wallStart = new Float64Array(0);
+    // The current values apply() replaced
+    let bodyNow = new Float64Array(0), wallNow = new Float64Array(0);
+    let capturedStep = -1;
+    let applied = false;
+
+    function fit(array, length) {
+        return array.length >= length ? array : new Float64Array(length * 2);
+    }
+
+    this.capture = function() {
+        const list = world.bodies, wallList = world.walls;
+        bodyStart = fit(bodyStart, list.length * 3);
+        bodies.length = list.length;
+        for (let i = 0, o = 0; i < list.length; i++, o += 3) {
+            const body = list[i];
+            bodies[i] = body;
+            bodyStart[o] = body.position.x;
+            bodyStart[o + 1] = body.position.y;
+            bodyStart[o + 2] = body.angle;
+        }
+        wallStart = fit(wallStart, wallList.length * 4);
+        walls.length = wallList.length;
+        for (let i = 0, o = 0; i < wallList.length; i++, o += 4) {
+            const wall = wallList[i];
+            walls[i] = wall;
+            wallStart[o] = wall.p1.x;
+            wallStart[o + 1] = wall.p1.y;
+            wallStart[o + 2] = wall.p2.x;
+            wallStart[o + 3] = wall.p2.y;
+        }
+        capturedStep = world.stepCount;
+    };
+
+    // Forget the capture, e.g. while paused, so the world is drawn as it is
+    this.clear = function() {
+        capturedStep = -1;
+    };
+
+    // False, changing nothing, unless the world has taken exactly one step since the capture. Balls added
+    // since are drawn where they are; removed ones are skipped over, since the rest keep their order.
+    this.apply = function(alpha) {
+        if (capturedStep < 0 || world.stepCount !== capturedStep + 1) return false;
+        const list = world.bodies, wallList = world.walls;
+        bodyNow = fit(bodyNow, list.length * 3);
+        let next = 0;
+        for (let i = 0, o = 0; i < list.length; i++, o += 3) {
+            const body = list[i];
+            bodyNow[o] = body.position.x;
+            bodyNow[o + 1] = body.position.y;
+            bodyNow[o + 2] = body.angle;
+            let k = next;
+            while (k < bodies.length && bodies[k] !== body) k++;
+            if (k === bodies.length) continue;
+            next = k + 1;
+            const s = k * 3;
+            body.position.x = bodyStart[s] + (bodyNow[o] - bodyStart[s]) * alpha;
+            body.position.y = bodyStart[s + 1] + (bodyNow[o + 1] - bodyStart[s + 1]) * alpha;
+            body.angle = bodyStart[s + 2] + (bodyNow[o + 2] - bodyStart[s + 2]) * alpha;
+        }
+        wallNow = fit(wallNow, wallList.length * 4);
+        for (let i = 0, o = 0; i < wallList.length; i++, o += 4) {
+            const wall = wallList[i];
+            wallNow[o] = wall.p1.x;
+            wallNow[o + 1] = wall.p1.y;
+            wallNow[o + 2] = wall.p2.x;
+            wallNow[o + 3] = wall.p2.y;
+            if (walls[i] !== wall) continue;
+            if (wallNow[o] === wallStart[o] && wallNow[o + 1] === wallStart[o + 1] && wallNow[o + 2] === wallStart[o + 2] && wallNow[o + 3] === wallStart[o + 3]) continue;
+            wall.p1.set(wallStart[o] + (wallNow[o] - wallStart[o]) * alpha, wallStart[o + 1] + (wallNow[o + 1] - wallStart[o + 1]) * alpha);
+            wall.p2.set(wallStart[o + 2] + (wallNow[o + 2] - wallStart[o + 2]) * alpha, wallStart[o + 3] + (wallNow[o + 3] - wallStart[o + 3]) * alpha);
+            wall.updateGeometry();
+        }
+        applied = true;
+        return true;
+    };
+
+    this.restore = function() {
+        if (!applied) return;
+        const list = world.bodies, wallList = world.walls;
+        for (let i = 0, o = 0; i < list.length; i++, o += 3) {
+            const body = list[i];
+            body.position.x = bodyNow[o];
+            body.position.y = bodyNow[o + 1];
+            body.angle = bodyNow[o + 2];
+        }
+        for (let i = 0, o = 0; i < wallList.length; i++, o += 4) {
+            const wall = wallList[i];
+            if (wall.p1.x === wallNow[o] && wall.p1.y === wallNow[o + 1] && wall.p2.x === wallNow[o + 2] && wall.p2.y === wallNow[o + 3]) continue;
+            wall.p1.set(wallNow[o], wallNow[o + 1]);
+            wall.p2.set(wallNow[o + 2], wallNow[o + 3]);
+            wall.updateGeometry();
+        }
+        applied = false;
+    };
+};
+
+//================================//
+//      ADAPTIVE QUALITY
+//================================//
+// Range each quality knob moves in. The physics maxima are replaced by the world's own values (from the
+// scene and the settings panel) and the pixel ratio's by the screen's, capped at this one.
+const QUALITY_BOUNDS = {
+    subSteps: { min: 2, max: 8 },
+    solverIterations: { min: 2, max: 5 },
+    shadowMapSize: { min: 512, max: 2048 },
+    pixelRatio: { min: 0.75, max: 2 }
+};
+const QUALITY_SAMPLE_FRAMES = 30;   // frames measured for each decision
+const QUALITY_HIGH_LOAD = 0.85;     // share of the frame interval spent working above which quality drops
+const QUALITY_LOW_LOAD = 0.5;       // ... below which it may rise again
+const QUALITY_SLOW_FRAMES = 1.3;    // frames this much slower than the fastest seen mean dropped frames
+const QUALITY_STEP_DOWN = 0.25;
+const QUALITY_STEP_UP = 0.125;
+const QUALITY_PANIC_STEP = 0.5;
+const QUALITY_RAISE_DELAY = 3;      // seconds of headroom before quality rises, doubled after each rise that
+const QUALITY_MAX_RAISE_DELAY = 48; // had to be taken back straight away
+
+// Watches how long frames take and moves a quality level between 0 (every knob at its minimum) and 1 (at
+// its maximum): down when the work per frame nears the frame interval, when frames come slower than the
+// screen can show them (the GPU falling behind, which the JavaScript timing does not see) or at once when
+// the loop drops its lag, and back up slowly after a few seconds of headroom. apply(values) is called with
+// { subSteps, solverIterations, shadowMapSize, pixelRatio } whenever the level changes.
+var QualityController = function(bounds, apply) {
+    const controller = this;
+    let busySum = 0, intervalSum = 0, frames = 0;
+    let fastestInterval = Infinity;
+    let headroom = 0;
+    let raiseDelay = QUALITY_RAISE_DELAY;
+    let windowsSinceRaise = -1;     // -1 when there was no rise since the last drop
+
+    this.level = 1;
+    this.enabled = true;
+
+    function lerp(bound, level) {
+        const min = Math.min(bound.min, bound.max);
+        return min + (bound.max - min) * level;
+    }
+
+    function values(level) {
+        const shadow = bounds.shadowMapSize;
+        return {
+            subSteps: Math.round(lerp(bounds.subSteps, level)),
+            solverIterations: Math.round(lerp(bounds.solverIterations, level)),
+            // Powers of two
+            shadowMapSize: Math.pow(2, Math.round(lerp({ min: Math.log2(shadow.min), max: Math.log2(shadow.max) }, level))),
+            pixelRatio: Math.round(lerp(bounds.pixelRatio, level) * 4) / 4
+        };
+    }
+
+    function setLevel(level) {
+        level = Math.max(0, Math.min(1, level));
+        if (level === controller.level) return;
+        controller.level = level;
+        apply(values(level));
+    }
+
+    function lower(amount) {
+        // A rise that did not hold: wait longer before the next one
+        if (windowsSinceRaise === 1) raiseDelay = Math.min(QUALITY_MAX_RAISE_DELAY, raiseDelay * 2);
+        windowsSinceRaise = -1;
+        headroom = 0;
+        setLevel(controller.level - amount);
+    }
+
+    // Full quality with new bounds (e.g. after a scene load), forgetting what was measured
+    this.reset = function(newBounds) {
+        bounds = newBounds || bounds;
+        busySum = intervalSum = frames = headroom = 0;
+        raiseDelay = QUALITY_RAISE_DELAY;
+        windowsSinceRaise = -1;
+        controller.level = 1;
+        apply(values(1));
+    };
+
+    // Turning it off puts every knob back at its maximum
+    this.setEnabled = function(enabled) {
+        if (enabled === controller.enabled) return;
+        controller.enabled = enabled;
+        controller.reset();
+    };
+
+    // busy: ms spent updating and drawing this frame; interval: ms since the last frame began
+    this.frame = function(busy, interval) {
+        // Skip the first frame and frames after the page was in the background
+        if (!controller.enabled || !(interval > 0) || interval > 1000) return;
+        busySum += busy;
+        intervalSum += interval;
+        if (++frames < QUALITY_SAMPLE_FRAMES) return;
+
+        const load = busySum / intervalSum, averageInterval = intervalSum / frames;
+        fastestInterval = Math.min(fastestInterval, averageInterval);
+        const seconds = intervalSum / 1000;
+        busySum = intervalSum = frames = 0;
+        if (windowsSinceRaise >= 0) windowsSinceRaise++;
+
+        if (load > QUALITY_HIGH_LOAD || averageInterval > fastestInterval * QUALITY_SLOW_FRAMES) {
+            lower(QUALITY_STEP_DOWN);
+        } else if (load < QUALITY_LOW_LOAD && controller.level < 1) {
+            headroom += seconds;
+            if (headroom >= raiseDelay) {
+                headroom = 0;
+                windowsSinceRaise = 0;
+                setLevel(controller.level + QUALITY_STEP_UP);
+            }
+        } else {
+            headroom = 0;
+        }
+    };
+
+    // The loop gave up catching up: the simulation fell far behind
+    this.panic = function() {
+        if (controller.enabled) lower(QUALITY_PANIC_STEP);
+    };
+};
+
+//================================//
+//      SIMULATION (INPUT & LOOP)
+//================================//
+// Most frames one export can download
+const EXPORT_MAX_FRAMES = 600;
+// Most steps of lag the page's loop catches up on; past that it drops the lag, like the worker does
+const MAX_LAG_STEPS = 10;
+
+// Wires canvas input and MainLoop to a World and renders it through a ThreeView, or a FlatView without
+// WebGL. Every step is recorded into history so the rewind bar can scrub back through recent frames, and
+// measured into telemetry for the telemetry graphs.
+var Simulation = function(world, renderer, history, telemetry) {
+    const simulation = this;
+    var bodies = world.bodies;
+    const view = renderer instanceof FlatRenderer ? new FlatView(world, renderer) : new ThreeView(world, scene, renderer, camera);
+    const posDisplay = document.getElementById('position-display');
+
+    // --- NATIVE EVENT LISTENERS ---
+    const canvas = renderer.domElement;
+
+    // Canvas coordinates of a pointer or mouse event
+    const eventPos = new THREE.Vector2(0, 0);
+    function updateTouchPos(event) {
+        const rect = canvas.getBoundingClientRect();
+        eventPos.set(event.clientX - rect.left, event.clientY - rect.top);
+    }
+
+    // --- Pointer Tracking ---
+    // Every mouse, pen or finger pressed on the canvas drags on its own: it takes the lowest free slot in
+    // world.pointers and keeps its own flick velocity history. Input events name the slot rather than the
+    // browser's pointerId, so recordings replay the same whatever ids the browser hands out.
+    // pointerId => { slot, position, previous, velocity, lastMoveTime }
+    const activePointers = new Map();
+
+    function freeSlot() {
+        const taken = new Set();
+        for (const tracked of activePointers.values()) taken.add(tracked.slot);
+        let slot = 0;
+        while (taken.has(slot)) slot++;
+        return slot;
+    }
+
+    function handleInteractionStart(event) {
+        // Other mouse buttons are left to the context menu handler
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        event.preventDefault();
+        updateTouchPos(event);
+        const tracked = {
+            slot: freeSlot(),
+            position: eventPos.clone(),
+            previous: eventPos.clone(),
+            velocity: new THREE.Vector2(0, 0),
+            lastMoveTime: 0
+        };
+        activePointers.set(event.pointerId, tracked);
+        // Keep getting this pointer's events when it leaves the canvas
+        if (canvas.setPointerCapture) canvas.setPointerCapture(event.pointerId);
+        if (editMode) {
+            // Walls are edited with one pointer at a time
+            if (tracked.slot === 0) editStart();
+            return;
+        }
+        if (inspectMode) {
+            if (tracked.slot === 0) inspectStart(event.shiftKey);
+            return;
+        }
+        dispatchInput({ type: 'dragStart', x: eventPos.x, y: eventPos.y, pointer: tracked.slot });
+        updatePinch();
+    }
+
+    function handleInteractionMove(event) {
+        const tracked = activePointers.get(event.pointerId);
+        if (!tracked) return;
+        event.preventDefault();
+        updateTouchPos(event);
+        tracked.position.copy(eventPos);
+        if (wallEdit) {
+            if (tracked.slot === 0) editMove();
+            return;
+        }
+        if (inspectGesture) {
+            if (tracked.slot === 0) inspectMove();
+            return;
+        }
+        const pointer = world.pointers[tracked.slot];
+        if (!pointer || !pointer.dragging) return;
+        // Store last position, get new position, and calculate velocity
+        tracked.previous.set(pointer.position.x, pointer.position.y);
+        tracked.velocity.subVectors(eventPos, tracked.previous);
+        // Record the time of the last movement
+        tracked.lastMoveTime = Date.now();
+        dispatchInput({ type: 'dragMove', x: eventPos.x, y: eventPos.y, pointer: tracked.slot });
+        updatePinch();
+    }
+
+    function handleInteractionEnd(event) {
+        const tracked = activePointers.get(event.pointerId);
+        if (!tracked) return;
+        activePointers.delete(event.pointerId);
+        updatePinch();
+        if (tracked.slot === 0 && wallEdit) {
+            updateTouchPos(event);
+            editEnd();
+        }
+        if (tracked.slot === 0 && inspectGesture) {
+            updateTouchPos(event);
+            inspectEnd();
+        }
+        const pointer = world.pointers[tracked.slot];
+        if (!pointer || !pointer.dragging) return;
+        let flickX = 0, flickY = 0;
+        if (pointer.selected > -1) {
+            const timeSinceLastMove = Date.now() - tracked.lastMoveTime;
+
+            // Only apply velocity if the release is quick after a move, creating a "flick"
+            const releaseThreshold = 100; // ms
+            if (timeSinceLastMove < releaseThreshold) {
+                // The calculated velocity is raw displacement and too large.
+                // It must be scaled down to prevent breaking the collision engine.
+                const velocity_scale_factor = 0.2;
+                flickX = tracked.velocity.x * velocity_scale_factor;
+                flickY = tracked.velocity.y * velocity_scale_factor;
+            }
+        }
+        dispatchInput({ type: 'dragEnd', flickX: flickX, flickY: flickY, pointer: tracked.slot });
+    }
+
+    // --- PINCH ---
+    // While two or more fingers are down, the first two moving together pull the free balls in toward the
+    // point between them and spreading apart pushes them out, at full strength (PINCH_ACCELERATION) once
+    // the fingers are half or twice as far apart as when the second one came down. Small changes are
+    // ignored so dragging two balls side by side does not stir the rest.
+    const PINCH_DEAD_ZONE = 0.15;   // of the full strength
+    let pinchStart = 0;             // finger distance when the pinch began, 0 while there is none
+
+    function updatePinch() {
+        let first = null, second = null;
+        if (!editMode) {
+            for (const tracked of activePointers.values()) {
+                if (!first || tracked.slot < first.slot) {
+                    second = first;
+                    first = tracked;
+                } else if (!second || tracked.slot < second.slot) {
+                    second = tracked;
+                }
+            }
+        }
+        if (!second) {
+            if (world.pinch.strength !== 0) dispatchInput({ type: 'pinch', x: world.pinch.x, y: world.pinch.y, radius: world.pinch.radius, strength: 0 });
+            pinchStart = 0;
+            return;
+        }
+
+        const distance = Math.max(1, first.position.distanceTo(second.position));
+        if (pinchStart === 0) pinchStart = distance;
+        // +1 at twice the starting distance, -1 at half of it
+        let amount = Math.max(-1, Math.min(1, Math.log2(distance / pinchStart)));
+        if (Math.abs(amount) < PINCH_DEAD_ZONE) amount = 0;
+        if (amount === 0 && world.pinch.strength === 0) return;
+        dispatchInput({
+            type: 'pinch',
+            x: (first.position.x + second.position.x) / 2,
+            y: (first.position.y + second.position.y) / 2,
+            radius: Math.max(world.width, world.height) / 3,
+            strength: amount * PINCH_ACCELERATION
+        });
+    }
+
+    canvas.addEventListener('pointerdown', handleInteractionStart);
+    canvas.addEventListener('pointermove', handleInteractionMove);
+    canvas.addEventListener('pointerup', handleInteractionEnd);
+    canvas.addEventListener('pointercancel', handleInteractionEnd);
+    canvas.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        updateTouchPos(event);
+
+        if (editMode) {
+            const index = world.findWall(eventPos.x, eventPos.y, EDIT_REACH);
+            if (index > -1) dispatchInput({ type: 'removeWall', index: index });
+            return;
+        }
+        if (inspectMode) return;
+
+        // A material gives its density and, unless a color was picked, its color
+        const testBallMaterial = userSettings.get('clickMaterial') === 'none' ? null : MATERIALS[userSettings.get('clickMaterial')];
+        const testBallRadius = userSettings.get('clickRadius');
+        const testBallColor = testBallMaterial && !userSettings.isChanged('clickColor') ? testBallMaterial.look.color : userSettings.get('clickColor');
+        const testBallMass = userSettings.get('clickMass') ||
+            Math.PI * testBallRadius * testBallRadius * (testBallMaterial ? testBallMaterial.density : 1);
+
+        const spawn = {
+            type: 'spawn',
+            x: eventPos.x,
+            y: eventPos.y,
+            radius: testBallRadius,
+            color: testBallColor,
+            mass: testBallMass
+        };
+        if (testBallMaterial) spawn.material = testBallMaterial.name;
+        dispatchInput(spawn);
+    });
+
+
+    // --- WALL EDITOR ---
+    // In edit mode (edit button or E key) dragging from empty space draws a new wall, dragging near the end
+    // of a wall moves that end and dragging anywhere else on a wall moves the whole wall. Moved walls glide
+    // to the pointer over the next step, pushing balls out of the way. Right-click deletes a wall.
+    // Kinematic walls can only be deleted. Every edit goes through dispatchInput, so it is recorded.
+    const editButton = document.getElementById('edit-button');
+    const EDIT_REACH = 20;          // px from a wall end or surface that picks it
+    const MIN_WALL_LENGTH = 10;
+    const NEW_WALL_THICKNESS = 10;
+    let editMode = false;
+    // Current edit gesture: { wall, end } moving end 1, 2 or (0) the whole of wall, or { drawing } for a
+    // new wall. startX/startY and the wall's endpoints are from the pointer down.
+    let wallEdit = null;
+
+    function setEditMode(enabled) {
+        if (enabled && inspectMode) setInspectMode(false);
+        editMode = enabled;
+        if (!enabled) editEnd();
+        editButton.classList.toggle('editing', enabled);
+        canvas.style.cursor = enabled ? 'crosshair' : '';
+    }
+
+    function editStart() {
+        const x = eventPos.x, y = eventPos.y;
+        wallEdit = { drawing: true, startX: x, startY: y };
+        const index = world.findWall(x, y, EDIT_REACH);
+        if (index === -1) return;
+        const wall = world.walls[index];
+        if (wall.motion) {
+            wallEdit = null;
+            return;
+        }
+        let end = 0;
+        if (wall.p1.distanceTo(eventPos) < EDIT_REACH) end = 1;
+        else if (wall.p2.distanceTo(eventPos) < EDIT_REACH) end = 2;
+        wallEdit = { drawing: false, wall: wall, end: end, startX: x, startY: y, x1: wall.p1.x, y1: wall.p1.y, x2: wall.p2.x, y2: wall.p2.y };
+    }
+
+    function editMove() {
+        const dx = eventPos.x - wallEdit.startX, dy = eventPos.y - wallEdit.startY;
+        if (wallEdit.drawing) {
+            view.showWallPreview(wallEdit.startX, wallEdit.startY, eventPos.x, eventPos.y);
+            return;
+        }
+        let x1 = wallEdit.x1, y1 = wallEdit.y1, x2 = wallEdit.x2, y2 = wallEdit.y2;
+        if (wallEdit.end !== 2) {
+            x1 += dx;
+            y1 += dy;
+        }
+        if (wallEdit.end !== 1) {
+            x2 += dx;
+            y2 += dy;
+        }
+        // Events name walls by index; the wall may have gone, e.g. by rewinding
+        const index = world.walls.indexOf(wallEdit.wall);
+        if (index === -1 || Math.hypot(x2 - x1, y2 - y1) < MIN_WALL_LENGTH) return;
+        dispatchInput({ type: 'moveWall', index: index, x1: x1, y1: y1, x2: x2, y2: y2 });
+    }
+
+    function editEnd() {
+        if (!wallEdit) return;
+        if (wallEdit.drawing) {
+            view.hideWallPreview();
+            if (Math.hypot(eventPos.x - wallEdit.startX, eventPos.y - wallEdit.startY) >= MIN_WALL_LENGTH) {
+                dispatchInput({
+                    type: 'addWall',
+                    x1: wallEdit.startX,
+                    y1: wallEdit.startY,
+                    x2: eventPos.x,
+                    y2: eventPos.y,
+                    thickness: NEW_WALL_THICKNESS
+                });
+            }
+        }
+        wallEdit = null;
+    }
+
+    editButton.addEventListener('click', () => setEditMode(!editMode));
+
+    // --- INSPECTOR ---
+    // In inspect mode (inspect button or I key) clicking a ball selects it and dragging from empty space
+    // selects every ball whose center is inside the box; shift adds to the selection, or removes a clicked
+    // ball already in it. Selected balls are highlighted and shown in the inspect panel, whose edits go
+    // through dispatchInput like any other input.
+    const inspectButton = document.getElementById('inspect-button');
+    const INSPECT_REACH = 10;       // px from a ball's edge that still picks it
+    const BOX_THRESHOLD = 5;        // px the pointer must move before a press becomes a box
+    let inspectMode = false;
+    let selection = [];
+    // Current inspect gesture: { startX, startY, additive, box }
+    let inspectGesture = null;
+
+    function indicesOf(bodies) {
+        return bodies.map((body) => world.bodies.indexOf(body)).filter((index) => index > -1);
+    }
+
+    const inspector = new BodyInspector(world, {
+        edit: (changes) => dispatchInput(Object.assign({ type: 'editBodies', indices: indicesOf(selection) }, changes)),
+        remove: () => {
+            dispatchInput({ type: 'removeBodies', indices: indicesOf(selection) });
+            setSelection([]);
+        }
+    });
+
+    function setSelection(bodies) {
+        selection = bodies;
+        view.setHighlighted(selection);
+        inspector.show(selection);
+    }
+
+    function setInspectMode(enabled) {
+        if (enabled && editMode) setEditMode(false);
+        inspectMode = enabled;
+        if (!enabled) {
+            inspectGesture = null;
+            view.hideBoxPreview();
+            setSelection([]);
+        }
+        inspectButton.classList.toggle('active', enabled);
+        canvas.style.cursor = enabled ? 'pointer' : '';
+    }
+
+    function inspectStart(additive) {
+        inspectGesture = { startX: eventPos.x, startY: eventPos.y, additive: additive, box: false };
+    }
+
+    function inspectMove() {
+        const gesture = inspectGesture;
+        if (!gesture.box && Math.hypot(eventPos.x - gesture.startX, eventPos.y - gesture.startY) < BOX_THRESHOLD) return;
+        gesture.box = true;
+        view.showBoxPreview(gesture.startX, gesture.startY, eventPos.x, eventPos.y);
+    }
+
+    function inspectEnd() {
+        const gesture = inspectGesture;
+        if (!gesture) return;
+        inspectGesture = null;
+        let picked;
+        if (gesture.box) {
+            view.hideBoxPreview();
+            const left = Math.min(gesture.startX, eventPos.x), right = Math.max(gesture.startX, eventPos.x);
+            const top = Math.min(gesture.startY, eventPos.y), bottom = Math.max(gesture.startY, eventPos.y);
+            picked = world.bodies.filter((body) => body.position.x >= left && body.position.x <= right &&
+                                                   body.position.y >= top && body.position.y <= bottom);
+        } else {
+            const index = world.findBody(eventPos.x, eventPos.y, INSPECT_REACH);
+            picked = index > -1 ? [world.bodies[index]] : [];
+        }
+        if (!gesture.additive) {
+            setSelection(picked);
+        } else if (!gesture.box && picked.length === 1 && selection.includes(picked[0])) {
+            setSelection(selection.filter((body) => body !== picked[0]));
+        } else {
+            setSelection(selection.concat(picked.filter((body) => !selection.includes(body))));
+        }
+    }
+
+    inspectButton.addEventListener('click', () => setInspectMode(!inspectMode));
+
+    // --- REWIND BAR ---
+    // While rewound the simulation is paused on history frame `rewindIndex`. Resuming continues from that
+    // frame and discards the newer ones.
+    const playButton = document.getElementById('rewind-play');
+    const scrubber = document.getElementById('rewind-scrub');
+    const frameLabel = document.getElementById('rewind-frame');
+    let rewindPaused = false;
+    let rewindIndex = -1;
+
+    function showFrame(index) {
+        // Jumping back in time breaks a running input recording, so finish it first
+        if (inputRecorder.recording) finishRecording();
+        index = Math.max(0, Math.min(history.size() - 1, index));
+        if (history.restore(index)) rewindIndex = index;
+    }
+
+    function setRewindPaused(paused) {
+        rewindPaused = paused;
+        if (physicsWorker) physicsWorker.setPaused(paused || simulationPaused);
+        if (paused) {
+            rewindIndex = history.size() - 1;
+        } else if (rewindIndex > -1) {
+            history.truncate(rewindIndex);
+            rewindIndex = -1;
+        }
+        playButton.innerHTML = paused ? '&#9654;' : '&#10074;&#10074;';
+        pauseButton.textContent = paused ? 'Resume' : 'Pause';
+    }
+
+    // Step forward through history, then keep simulating single steps past the newest frame
+    function stepFrame() {
+        if (!rewindPaused) setRewindPaused(true);
+        if (physicsWorker) {
+            physicsWorker.step();
+        } else if (rewindIndex < history.size() - 1) {
+            showFrame(rewindIndex + 1);
+        } else {
+            world.step(MainLoop.getSimulationTimestep() / 1000);
+            rewindIndex = history.record();
+        }
+    }
+
+    // The worker keeps no history on the page to scrub through
+    if (physicsWorker) scrubber.disabled = true;
+    playButton.addEventListener('click', () => setRewindPaused(!rewindPaused));
+    scrubber.addEventListener('input', () => {
+        if (!rewindPaused) setRewindPaused(true);
+        showFrame(parseInt(scrubber.value, 10));
+    });
+    window.addEventListener('keydown', (event) => {
+        if (event.target !== document.body) return;
+        if (event.code === 'Space') {
+            event.preventDefault();
+            setRewindPaused(!rewindPaused);
+        } else if (event.code === 'KeyE' && !event.ctrlKey && !event.metaKey) {
+            setEditMode(!editMode);
+        } else if (event.code === 'KeyI' && !event.ctrlKey && !event.metaKey) {
+            setInspectMode(!inspectMode);
+        } else if (event.code === 'Escape' && selection.length > 0) {
+            setSelection([]);
+        } else if (event.code === 'KeyT' && !event.ctrlKey && !event.metaKey) {
+            setTelemetryVisible(telemetryPanel.hidden);
+        } else if (rewindPaused && event.code === 'ArrowLeft') {
+            showFrame(rewindIndex - 1);
+        } else if (rewindPaused && event.code === 'ArrowRight') {
+            stepFrame();
+        }
+    });
+
+    // --- INPUT RECORDING ---
+    const recordButton = document.getElementById('record-button');
+
+    // A worker's recorder hands the recording back later, as a Promise
+    function finishRecording() {
+        Promise.resolve(inputRecorder.stop()).then((recording) => downloadJSON(recording, 'recording.json'));
+        recordButton.classList.remove('recording');
+    }
+
+    recordButton.addEventListener('click', () => {
+        if (inputRecorder.recording) {
+            finishRecording();
+        } else if (!inputPlayer && !(physicsWorker && physicsWorker.replaying)) {
+            inputRecorder.start();
+            recordButton.classList.add('recording');
+        }
+    });
+
+    function updateRewindBar() {
+        const last = history.size() - 1;
+        const index = rewindPaused ? rewindIndex : last;
+        scrubber.max = Math.max(0, last);
+        scrubber.value = Math.max(0, index);
+        const snap = history.get(index);
+        frameLabel.textContent = snap ? `Step ${snap.stepCount} (${index - last})` : '';
+        if (physicsWorker) frameLabel.textContent = `Step ${world.stepCount} (worker)`;
+        if (inputPlayer || (physicsWorker && physicsWorker.replaying)) frameLabel.textContent += ' Replay';
+    }
+
+    // --- TELEMETRY ---
+    // Telemetry button (or T) shows live graphs of the per-step totals; the CSV button downloads the
+    // samples behind them.
+    const telemetryButton = document.getElementById('telemetry-button');
+    const telemetryPanel = document.getElementById('telemetry-panel');
+    const graphs = new TelemetryPanel(telemetry, document.getElementById('telemetry-graphs'));
+
+    function setTelemetryVisible(visible) {
+        telemetryPanel.hidden = !visible;
+        telemetryButton.classList.toggle('active', visible);
+    }
+
+    telemetryButton.addEventListener('click', () => setTelemetryVisible(telemetryPanel.hidden));
+    document.getElementById('telemetry-csv').addEventListener('click', () => {
+        downloadFile(telemetry.toCSV(), 'telemetry.csv', 'text/csv');
+    });
+
+    // --- SETTINGS PANEL ---
+    // The gear button opens the settings; see SETTINGS for what each one does. Reset reloads the current
+    // scene with them, Share puts them in the page URL and copies it, Defaults drops every change.
+    const settingsButton = document.getElementById('settings-button');
+    const settingsPanel = document.getElementById('settings-panel');
+    const pauseButton = document.getElementById('settings-pause');
+    const settingsRows = new SettingsPanel(userSettings, document.getElementById('settings-rows'), (setting) => {
+        if (setting.group === 'physics') {
+            dispatchInput({ type: 'settings', settings: physicsSettings([setting.key]) });
+            // A sub-step or iteration count chosen by hand is the new best quality
+            if (setting.key === 'subSteps' || setting.key === 'solverIterations') {
+                qualityMax[setting.key] = userSettings.get(setting.key);
+                quality.reset(qualityBounds());
+            }
+        } else if (setting.group === 'display') {
+            applyDisplaySettings();
+            quality.setEnabled(userSettings.get('adaptiveQuality'));
+        }
+    });
+
+    function setSettingsVisible(visible) {
+        settingsPanel.hidden = !visible;
+        settingsButton.classList.toggle('active', visible);
+        if (visible) settingsRows.refresh(world);
+    }
+
+    function shareSettings() {
+        const query = userSettings.toQuery(new URLSearchParams(window.location.search));
+        const url = window.location.origin + window.location.pathname + (query ? `?${query}` : '');
+        window.history.replaceState(null, '', url);
+        const ask = () => window.prompt("Copy this link to share the settings:", url);
+        if (navigator.clipboard) navigator.clipboard.writeText(url).catch(ask);
+        else ask();
+    }
+
+    settingsButton.addEventListener('click', () => setSettingsVisible(settingsPanel.hidden));
+    pauseButton.addEventListener('click', () => setRewindPaused(!rewindPaused));
+    document.getElementById('settings-step').addEventListener('click', stepFrame);
+    document.getElementById('settings-reset').addEventListener('click', () => simulation.load(currentScene));
+    document.getElementById('settings-share').addEventListener('click', shareSettings);
+    document.getElementById('settings-defaults').addEventListener('click', () => {
+        userSettings.reset();
+        applyDisplaySettings();
+        quality.setEnabled(userSettings.get('adaptiveQuality'));
+        simulation.load(currentScene);
+    });
+
+    // --- FRAME EXPORT ---
+    // The SVG and PNG buttons download frames drawn in 2D (verletRender2D.js), whichever renderer is on
+    // screen: the frame shown now, or with a count above 1 that many frames in a row, one per frame drawn.
+    // The selection and editor outlines are left out.
+    const exportCount = document.getElementById('export-count');
+    let exportFormat = null;
+    let exportLeft = 0;
+    let exportIndex = 0;
+
+    function startExport(format) {
+        exportFormat = format;
+        exportLeft = Math.max(1, Math.min(EXPORT_MAX_FRAMES, parseInt(exportCount.value, 10) || 1));
+        exportIndex = 0;
+    }
+
+    function exportFrames() {
+        if (exportLeft === 0) return;
+        exportLeft--;
+        const filename = `frame-${String(++exportIndex).padStart(4, '0')}.${exportFormat}`;
+        const options = { shadows: userSettings.get('shadows') };
+        if (exportFormat === 'svg') {
+            downloadFile(renderSVG(world, options), filename, 'image/svg+xml');
+        } else {
+            const frame = document.createElement('canvas');
+            frame.width = world.width;
+            frame.height = world.height;
+            drawWorld(world, new Canvas2DBackend(frame.getContext('2d')), options);
+            frame.toBlob((blob) => downloadBlob(blob, filename), 'image/png');
+        }
+    }
+
+    exportCount.max = EXPORT_MAX_FRAMES;
+    document.getElementById('export-svg').addEventListener('click', () => startExport('svg'));
+    document.getElementById('export-png').addEventListener('click', () => startExport('png'));
+
+    // Replace the world's contents with a scene (see startScene), ending any input recording or replay
+    // first. While paused it stays paused on the new scene's first frame.
+    this.load = function(data) {
+        if (inputRecorder.recording) finishRecording();
+        inputPlayer = null;
+        startScene(data);
+        qualityMax = { subSteps: world.sub_steps, solverIterations: world.solverIterations };
+        quality.reset(qualityBounds());
+        if (physicsWorker) physicsWorker.load();
+        else if (rewindPaused) rewindIndex = history.record();
+        if (!settingsPanel.hidden) settingsRows.refresh(world);
+    };
+
+    // Back to full quality, e.g. once a replay has loaded its recording's scene
+    this.resetQuality = function() {
+        quality.reset(qualityBounds());
+    };
+
+    // --- ADAPTIVE QUALITY ---
+    // Sub-steps, solver iterations, shadow map size and pixel ratio follow the QualityController's level.
+    // The physics knobs change through settings input events, so recordings replay them; they stay put
+    // with ?seed, whose runs must reproduce exactly, and in a worker, whose steps cost this thread nothing.
+    let appliedQuality = {};
+    // The best sub-steps and solver iterations: the scene's, or the user's once changed in the settings.
+    // Kept apart from the world's, which the controller lowers.
+    let qualityMax = { subSteps: world.sub_steps, solverIterations: world.solverIterations };
+
+    function qualityBounds() {
+        return {
+            subSteps: { min: QUALITY_BOUNDS.subSteps.min, max: qualityMax.subSteps },
+            solverIterations: { min: QUALITY_BOUNDS.solverIterations.min, max: qualityMax.solverIterations },
+            shadowMapSize: QUALITY_BOUNDS.shadowMapSize,
+            pixelRatio: { min: QUALITY_BOUNDS.pixelRatio.min, max: Math.min(QUALITY_BOUNDS.pixelRatio.max, window.devicePixelRatio || 1) }
+        };
+    }
+
+    function applyQuality(values) {
+        if (!physicsWorker && !world.fixedTimestep && (values.subSteps !== world.sub_steps || values.solverIterations !== world.solverIterations)) {
+            dispatchInput({ type: 'settings', settings: { subSteps: values.subSteps, solverIterations: values.solverIterations } });
+        }
+        if (values.pixelRatio !== appliedQuality.pixelRatio) renderer.setPixelRatio(values.pixelRatio);
+        if (directionalLight && !(renderer instanceof FlatRenderer) && values.shadowMapSize !== appliedQuality.shadowMapSize) {
+            const shadow = directionalLight.shadow;
+            shadow.mapSize.set(values.shadowMapSize, values.shadowMapSize);
+            // three.js makes the map again at the new size
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+        appliedQuality = values;
+    }
+
+    const quality = new QualityController(qualityBounds(), applyQuality);
+    quality.enabled = userSettings.get('adaptiveQuality');
+
+    // --- SIMULATION LOOP ---
+    // Drawn between the last two steps on this thread; a worker's states are interpolated by PhysicsWorker
+    const interpolation = new RenderInterpolation(world);
+    let frameStart = 0, lastFrameStart = 0;
+
+    // Lag of more than MAX_LAG_STEPS steps (a stall, or the tab coming back from the background) is
+    // dropped rather than caught up in one burst of steps that would make the balls jump, and counts as a
+    // panic for the quality level. MainLoop's own panic, at 240 steps, can never come after this.
+    function begin(timestamp, frameDelta) {
+        if (frameDelta > MAX_LAG_STEPS * MainLoop.getSimulationTimestep()) {
+            quality.panic();
+            MainLoop.resetFrameDelta();
+        }
+        frameStart = performance.now();
+    }
+
+    var step = function(delta) {
+        if (physicsWorker) {
+            // The worker steps on its own clock; this only holds it while the page is paused
+            physicsWorker.setPaused(simulationPaused || rewindPaused);
+            return;
+        }
+        if (simulationPaused || rewindPaused) {
+            interpolation.clear();
+            return;
+        }
+        interpolation.capture();
+        if (inputPlayer) {
+            // Replaying a recording: its events drive the world until it reaches the recorded end
+            delta = inputPlayer.recording.timestep;
+            inputPlayer.step();
+            if (inputPlayer.done()) {
+                inputPlayer.applyDue();
+                inputPlayer = null;
+            }
+        } else {
+            world.step(delta);
+        }
+        history.record();
+        telemetry.record(delta);
+    };
+
+    let inspectFrame = 0;
+    // interpolationPercentage: how far MainLoop is from the last step to the next, 0 to 1
+    var draw = function(interpolationPercentage) {
+        if (physicsWorker) {
+            // Take in the worker's newest state, measured once for all the steps it covers
+            const steps = physicsWorker.poll();
+            if (steps > 0) telemetry.record(steps * physicsWorker.timestep);
+            physicsWorker.interpolate(performance.now());
+        } else {
+            interpolation.apply(interpolationPercentage);
+        }
+        view.render();
+        exportFrames();
+        interpolation.restore();
+        updateRewindBar();
+        if (!telemetryPanel.hidden) graphs.draw();
+        // Selected balls may have been removed, e.g. by rewinding or loading a scene
+        if (selection.length > 0 && ++inspectFrame % 10 === 0) {
+            const live = selection.filter((body) => world.bodies.includes(body));
+            if (live.length < selection.length) setSelection(live);
+            else inspector.update();
+        }
+
+        if (posDisplay) {
+            const mouseX = world.touch_Pos.x.toFixed(1);
+            const mouseY = world.touch_Pos.y.toFixed(1);
+            let displayText = `Mouse: (${mouseX}, ${mouseY})`;
+
+            // With a worker the copy's balls can change under a drag, so the selection may be gone
+            if (world.touch_Sel > -1 && bodies[world.touch_Sel]) {
+                const selectedBody = bodies[world.touch_Sel];
+                const ballX = selectedBody.position.x.toFixed(1);
+                const ballY = selectedBody.position.y.toFixed(1);
+                displayText += `\nBall:  (${ballX}, ${ballY})`;
+            } else {
+                displayText += `\nBall:  (None)`;
+            }
+            posDisplay.innerText = displayText;
+        }
+    };
+
+    function end(fps) {
+        quality.frame(performance.now() - frameStart, frameStart - lastFrameStart);
+        lastFrameStart = frameStart;
+        let status = simulationPaused ? "Paused - Rotate to Portrait" : `${parseInt(fps, 10)} FPS`;
+        if (quality.level < 1) status += ` (quality ${Math.round(quality.level * 100)}%)`;
+        fpsCounter.textContent = status;
+    }
+
+    MainLoop.setBegin(begin).setUpdate((delta) => step(delta / 1000)).setDraw(draw).setEnd(end).start();
+};
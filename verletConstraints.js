@@ -0,0 +1,228 @@
+/*
+* Verlet Ball Physics Demo - Constraints
+*
+* Links between bodies, solved by the World inside its collision iterations: rigid distance constraints,
+* damped springs and pins to a fixed point. Links can be made breakable with a maximum strain. Also has
+* builders for chains, ropes, cloth and soft blobs made of balls. Like the physics core it has no
+* three.js or DOM dependency and runs in the browser or in Node.
+*
+* A constraint is any object with a type, bodies a and b (b is null for a pin), a broken flag and a
+* solve() method. The World calls solve() once per solver iteration, in the order the constraints were
+* added, and drops a constraint once it is broken.
+*
+* Node example:
+*   const { buildChain } = require('./verletConstraints.js');
+*   buildChain(world, { x1: 100, y1: 200, x2: 500, y2: 200, count: 16, pinStart: true, pinEnd: true, slack: 0.1 });
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// In Node, pull in the physics core; in the browser its classes are already globals.
+if (typeof module !== "undefined" && module.exports) {
+    var { Vec2, Body } = require("./verletPhysics.js");
+}
+
+//================================//
+//      LINKS
+//================================//
+// Moves both ends along the link to correct stiffness times the difference from its length, heavier
+// bodies moving less. damping removes that share of the speed at which the ends move apart or together.
+// Breaks the link instead if it is strained past maxStrain.
+function solveLink(link, stiffness, damping) {
+    const a = link.a, b = link.b;
+    const pa = a.position, pb = b.position;
+    const dx = pb.x - pa.x, dy = pb.y - pa.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance === 0) return;
+
+    const length = link.length;
+    if (Math.abs(distance - length) > link.maxStrain * length) {
+        link.broken = true;
+        return;
+    }
+
+    // Frozen bodies do not move, so the other end takes the whole correction
+    if (a.frozen && b.frozen) return;
+    const normalX = dx / distance, normalY = dy / distance;
+    const invA = a.frozen ? 0 : 1 / a.mass, invB = b.frozen ? 0 : 1 / b.mass;
+    const shareA = invA / (invA + invB), shareB = invB / (invA + invB);
+
+    const correction = (distance - length) * stiffness;
+    pa.x += normalX * correction * shareA;
+    pa.y += normalY * correction * shareA;
+    pb.x -= normalX * correction * shareB;
+    pb.y -= normalY * correction * shareB;
+
+    if (damping > 0) {
+        const stretchSpeed = ((pb.x - b.previouspos.x) - (pa.x - a.previouspos.x)) * normalX +
+                             ((pb.y - b.previouspos.y) - (pa.y - a.previouspos.y)) * normalY;
+        const damp = stretchSpeed * damping;
+        a.previouspos.x -= normalX * damp * shareA;
+        a.previouspos.y -= normalY * damp * shareA;
+        b.previouspos.x += normalX * damp * shareB;
+        b.previouspos.y += normalY * damp * shareB;
+    }
+}
+
+// Keeps two bodies exactly length apart (default: their current distance).
+// maxStrain: the link breaks once stretched or compressed by more than this share of its length.
+var DistanceConstraint = function(a, b, length, maxStrain) {
+    this.type = 'distance';
+    this.a = a;
+    this.b = b;
+    this.length = length !== undefined ? length : a.position.distanceTo(b.position);
+    this.maxStrain = maxStrain !== undefined ? maxStrain : Infinity;
+    this.broken = false;
+
+    this.solve = function() {
+        solveLink(this, 1, 0);
+    };
+};
+
+// Damped spring between two bodies with a rest length (default: their current distance).
+// stiffness: share of the stretch corrected per solver iteration, 0 to 1 (1 is a rigid link)
+// damping: share of the stretching speed removed per solver iteration, 0 to 1
+var Spring = function(a, b, length, stiffness, damping, maxStrain) {
+    this.type = 'spring';
+    this.a = a;
+    this.b = b;
+    this.length = length !== undefined ? length : a.position.distanceTo(b.position);
+    this.stiffness = stiffness !== undefined ? stiffness : 0.1;
+    this.damping = damping !== undefined ? damping : 0.02;
+    this.maxStrain = maxStrain !== undefined ? maxStrain : Infinity;
+    this.broken = false;
+
+    this.solve = function() {
+        solveLink(this, this.stiffness, this.damping);
+    };
+};
+
+// Pins a body to the world point (x, y), or with a length, keeps it that far from the point like a
+// pendulum rod. Add pins after the links they hold up so they have the last word each iteration.
+var PinConstraint = function(body, x, y, length) {
+    this.type = 'pin';
+    this.a = body;
+    this.b = null;
+    this.anchor = new Vec2(x, y);
+    this.length = length || 0;
+    this.broken = false;
+
+    this.solve = function() {
+        if (this.a.frozen) return;
+        const position = this.a.position, anchor = this.anchor;
+        if (this.length === 0) {
+            position.x = anchor.x;
+            position.y = anchor.y;
+            return;
+        }
+        const dx = position.x - anchor.x, dy = position.y - anchor.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) return;
+        const scale = this.length / distance;
+        position.x = anchor.x + dx * scale;
+        position.y = anchor.y + dy * scale;
+    };
+};
+
+//================================//
+//      BUILDERS
+//================================//
+// Shared options: { radius, mass (default π r²), color, stiffness (1 = rigid links, less = springs),
+// damping, maxStrain }. Each builder adds its bodies and constraints to the world and returns them as
+// { bodies, constraints }.
+
+function linkBodies(world, a, b, length, options, constraints) {
+    const stiffness = options.stiffness !== undefined ? options.stiffness : 1;
+    const link = stiffness >= 1 ?
+        new DistanceConstraint(a, b, length, options.maxStrain) :
+        new Spring(a, b, length, stiffness, options.damping, options.maxStrain);
+    constraints.push(world.addConstraint(link));
+    return link;
+}
+
+function addBall(world, x, y, radius, options) {
+    const mass = options.mass !== undefined ? options.mass : Math.PI * radius * radius;
+    return world.addBody(new Body(x, y, radius, options.color || '#ffffff', mass));
+}
+
+// A line of count balls from (x1, y1) to (x2, y2), each linked to the next. slack makes every link that
+// share longer than the gap, so the chain sags; small balls and some slack make a rope.
+// options: { x1, y1, x2, y2, count, slack, pinStart, pinEnd } plus the shared options
+function buildChain(world, options) {
+    const count = Math.max(2, options.count || 10);
+    const radius = options.radius || 6;
+    const bodies = [], constraints = [];
+    for (let i = 0; i < count; i++) {
+        const t = i / (count - 1);
+        bodies.push(addBall(world, options.x1 + (options.x2 - options.x1) * t, options.y1 + (options.y2 - options.y1) * t, radius, options));
+    }
+    const gap = bodies[0].position.distanceTo(bodies[1].position);
+    for (let i = 1; i < count; i++) linkBodies(world, bodies[i - 1], bodies[i], gap * (1 + (options.slack || 0)), options, constraints);
+
+    if (options.pinStart) constraints.push(world.addConstraint(new PinConstraint(bodies[0], options.x1, options.y1)));
+    if (options.pinEnd) constraints.push(world.addConstraint(new PinConstraint(bodies[count - 1], options.x2, options.y2)));
+    return { bodies, constraints };
+}
+
+// A columns x rows grid of balls spacing apart with its top-left corner at (x, y), each linked to its
+// right and lower neighbors. pinTop: 'corners' (default), 'all' or 'none'.
+// options: { x, y, columns, rows, spacing, pinTop } plus the shared options
+function buildCloth(world, options) {
+    const columns = options.columns || 10, rows = options.rows || 8;
+    const spacing = options.spacing || 20;
+    const radius = options.radius || Math.min(6, spacing / 2);
+    const pinTop = options.pinTop || 'corners';
+    const bodies = [], constraints = [];
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            bodies.push(addBall(world, options.x + column * spacing, options.y + row * spacing, radius, options));
+        }
+    }
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const body = bodies[row * columns + column];
+            if (column + 1 < columns) linkBodies(world, body, bodies[row * columns + column + 1], spacing, options, constraints);
+            if (row + 1 < rows) linkBodies(world, body, bodies[(row + 1) * columns + column], spacing, options, constraints);
+        }
+    }
+    for (let column = 0; column < columns; column++) {
+        if (pinTop === 'all' || (pinTop === 'corners' && (column === 0 || column === columns - 1))) {
+            const body = bodies[column];
+            constraints.push(world.addConstraint(new PinConstraint(body, body.position.x, body.position.y)));
+        }
+    }
+    return { bodies, constraints };
+}
+
+// A squishy ball: a ring of count balls around (x, y) plus a core ball, held together by springs around
+// the ring, across it and to the core.
+// options: { x, y, radius, count, ballRadius } plus the shared options (stiffness defaults to 0.1)
+function buildSoftBlob(world, options) {
+    const count = Math.max(5, options.count || 16);
+    const radius = options.radius || 60;
+    const ballRadius = Math.min(options.ballRadius || 8, Math.PI * radius / count);
+    const springOptions = Object.assign({ stiffness: 0.1 }, options);
+    const bodies = [], constraints = [];
+
+    const core = addBall(world, options.x, options.y, Math.max(ballRadius, radius - 2 * ballRadius), options);
+    for (let i = 0; i < count; i++) {
+        const angle = i / count * Math.PI * 2;
+        bodies.push(addBall(world, options.x + Math.cos(angle) * radius, options.y + Math.sin(angle) * radius, ballRadius, options));
+    }
+    for (let i = 0; i < count; i++) {
+        linkBodies(world, bodies[i], bodies[(i + 1) % count], undefined, springOptions, constraints);
+        linkBodies(world, bodies[i], bodies[(i + 2) % count], undefined, springOptions, constraints);
+        linkBodies(world, bodies[i], core, undefined, springOptions, constraints);
+    }
+    bodies.push(core);
+    return { bodies, constraints };
+}
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { DistanceConstraint, Spring, PinConstraint, buildChain, buildCloth, buildSoftBlob };
+}
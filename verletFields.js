@@ -0,0 +1,286 @@
+/*
+* Verlet Ball Physics Demo - Force Fields, Emitters & Sinks
+*
+* Forces beyond gravity and the drag attractor, plus sources and drains of balls for continuous flow
+* setups such as fountains and hoppers: point attractors and repulsors, radial explosions, vortices, wind
+* zones bounded by a rectangle and drag regions, ball emitters and sinks. Like the physics core it has no
+* three.js or DOM dependency and runs in the browser or in Node.
+*
+* A force field is any object with a type, a position (Vec2), a time (seconds it has been running) and an
+* apply(bodies, subDelta) method that adds to the acceleration of the bodies it reaches. The World calls
+* apply() once per sub-step, in the order the fields were added, after gravity. A field may also have an
+* advance(delta) method, called once at the end of every step; setting done drops the field from the world.
+* Frozen bodies are left alone.
+*
+* Round fields reach radius pixels from their position, rectangular ones (wind) their region. Within it
+* the field's strength fades with the distance from the center by its falloff: 'none' (full strength
+* everywhere), 'linear' or 'quadratic' (down to zero at the edge).
+*
+* Emitters (type 'emitter', with a position and a time since their last ball) have emit(world, delta),
+* called at the start of every step; sinks (type 'sink', with position) have drain(world), called at the end of every step.
+*
+* Node example:
+*   const { Emitter, Sink, Vortex } = require('./verletFields.js');
+*   world.addEmitter(new Emitter(400, 1100, { rate: 20, velocity: [0, -1500], spread: 0.15 }));
+*   world.addSink(new Sink(0, 1150, 800, 50));
+*   world.addField(new Vortex(400, 400, 200, 3000));
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// In Node, pull in the physics core; in the browser its classes are already globals.
+if (typeof module !== "undefined" && module.exports) {
+    var { Vec2, Body } = require("./verletPhysics.js");
+}
+
+const FALLOFFS = ['none', 'linear', 'quadratic'];
+
+// Share of full strength at distance, a fraction of the way from the center (0) to the edge (1)
+function falloffAt(falloff, distance) {
+    if (distance >= 1) return 0;
+    if (falloff === 'linear') return 1 - distance;
+    if (falloff === 'quadratic') return (1 - distance) * (1 - distance);
+    return 1;
+}
+
+// Returns falloff, or throws if it is not one of FALLOFFS; name says whose it is in the message
+function checkFalloff(falloff, name) {
+    if (!FALLOFFS.includes(falloff)) throw new Error(`${name}: unknown falloff "${falloff}" (expected ${FALLOFFS.join(', ')})`);
+    return falloff;
+}
+
+//================================//
+//      ROUND FIELDS
+//================================//
+// Adds acceleration (px/s² at full strength) along the line from the field's center to each body it
+// reaches: outward for a positive push, inward for a negative one. Within a body's radius of the center
+// it fades to zero, so a body sitting on an attractor settles instead of jittering across it.
+function applyRadial(field, bodies, push) {
+    const cx = field.position.x, cy = field.position.y, radius = field.radius;
+    for (let i = 0; i < bodies.length; i++) {
+        const body = bodies[i];
+        if (body.frozen) continue;
+        const dx = body.position.x - cx, dy = body.position.y - cy;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= radius || distance === 0) continue;
+        const strength = push * falloffAt(field.falloff, distance / radius) * Math.min(1, distance / body.radius);
+        body.acceleration.x += dx / distance * strength;
+        body.acceleration.y += dy / distance * strength;
+    }
+}
+
+// Pulls the bodies within radius of (x, y) toward it at strength px/s² (at the center, by falloff)
+var Attractor = function(x, y, radius, strength, falloff) {
+    this.type = 'attractor';
+    this.position = new Vec2(x, y);
+    this.radius = radius;
+    this.strength = strength;
+    this.falloff = checkFalloff(falloff || 'linear', 'Attractor');
+    this.time = 0;
+
+    this.apply = function(bodies) {
+        applyRadial(this, bodies, -this.strength);
+    };
+};
+
+// Pushes the bodies within radius of (x, y) away from it at strength px/s²
+var Repulsor = function(x, y, radius, strength, falloff) {
+    this.type = 'repulsor';
+    this.position = new Vec2(x, y);
+    this.radius = radius;
+    this.strength = strength;
+    this.falloff = checkFalloff(falloff || 'linear', 'Repulsor');
+    this.time = 0;
+
+    this.apply = function(bodies) {
+        applyRadial(this, bodies, this.strength);
+    };
+};
+
+// A blast: pushes the bodies within radius of (x, y) away at strength px/s² for duration seconds (default
+// 0.1), then is done. A ball at the center gains about strength x duration px/s.
+var Explosion = function(x, y, radius, strength, duration, falloff) {
+    this.type = 'explosion';
+    this.position = new Vec2(x, y);
+    this.radius = radius;
+    this.strength = strength;
+    this.duration = duration !== undefined ? duration : 0.1;
+    this.falloff = checkFalloff(falloff || 'linear', 'Explosion');
+    this.time = 0;
+    this.done = false;
+
+    this.apply = function(bodies) {
+        if (this.time < this.duration) applyRadial(this, bodies, this.strength);
+    };
+
+    this.advance = function(delta) {
+        this.time += delta;
+        if (this.time >= this.duration) this.done = true;
+    };
+};
+
+// Swirls the bodies within radius of (x, y) around it: strength px/s² along the circle, clockwise on
+// screen when positive, plus pull px/s² toward the center (default 0) to draw them into a whirlpool
+var Vortex = function(x, y, radius, strength, falloff, pull) {
+    this.type = 'vortex';
+    this.position = new Vec2(x, y);
+    this.radius = radius;
+    this.strength = strength;
+    this.falloff = checkFalloff(falloff || 'linear', 'Vortex');
+    this.pull = pull || 0;
+    this.time = 0;
+
+    this.apply = function(bodies) {
+        const cx = this.position.x, cy = this.position.y, radius = this.radius;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            if (body.frozen) continue;
+            const dx = body.position.x - cx, dy = body.position.y - cy;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= radius || distance === 0) continue;
+            const share = falloffAt(this.falloff, distance / radius) * Math.min(1, distance / body.radius) / distance;
+            // (-dy, dx) turns clockwise on screen, where y points down
+            body.acceleration.x += (-dy * this.strength - dx * this.pull) * share;
+            body.acceleration.y += (dx * this.strength - dy * this.pull) * share;
+        }
+    };
+};
+
+// Slows the bodies within radius of (x, y): each loses drag times its velocity per second (at the center,
+// by falloff), like moving through syrup. A drag of 5 slows a ball to under a tenth of its speed in half a
+// second.
+var DragRegion = function(x, y, radius, drag, falloff) {
+    this.type = 'drag';
+    this.position = new Vec2(x, y);
+    this.radius = radius;
+    this.drag = drag;
+    this.falloff = checkFalloff(falloff || 'none', 'DragRegion');
+    this.time = 0;
+
+    this.apply = function(bodies, subDelta) {
+        const cx = this.position.x, cy = this.position.y, radius = this.radius;
+        const invDeltaSq = 1 / (subDelta * subDelta);
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            if (body.frozen) continue;
+            const dx = body.position.x - cx, dy = body.position.y - cy;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= radius) continue;
+            // Share of this sub-step's velocity to take away; never more than all of it
+            const share = Math.min(1, this.drag * falloffAt(this.falloff, distance / radius) * subDelta);
+            body.acceleration.x -= (body.position.x - body.previouspos.x) * share * invDeltaSq;
+            body.acceleration.y -= (body.position.y - body.previouspos.y) * share * invDeltaSq;
+        }
+    };
+};
+
+//================================//
+//      RECTANGULAR FIELDS
+//================================//
+// Blows the bodies whose centers are inside the rectangle with its top-left corner at (x, y) along
+// (forceX, forceY) px/s². With a falloff the wind dies down toward the rectangle's edges.
+var WindZone = function(x, y, width, height, forceX, forceY, falloff) {
+    this.type = 'wind';
+    // Center and half size, so a resize only has to move the position and scale the size
+    this.position = new Vec2(x + width / 2, y + height / 2);
+    this.halfWidth = width / 2;
+    this.halfHeight = height / 2;
+    this.force = new Vec2(forceX, forceY);
+    this.falloff = checkFalloff(falloff || 'none', 'WindZone');
+    this.time = 0;
+
+    this.apply = function(bodies) {
+        const cx = this.position.x, cy = this.position.y, halfWidth = this.halfWidth, halfHeight = this.halfHeight;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            if (body.frozen) continue;
+            const edgeX = Math.abs(body.position.x - cx) / halfWidth, edgeY = Math.abs(body.position.y - cy) / halfHeight;
+            if (edgeX >= 1 || edgeY >= 1) continue;
+            const share = falloffAt(this.falloff, Math.max(edgeX, edgeY));
+            body.acceleration.x += this.force.x * share;
+            body.acceleration.y += this.force.y * share;
+        }
+    };
+};
+
+//================================//
+//      EMITTERS & SINKS
+//================================//
+// Spawns rate balls per second at (x, y), each moving at velocity (px/s) turned by up to spread radians
+// either way and sped up or slowed by up to speedSpread of its speed. A ball waits while another one
+// covers the spot or the world already holds maxBodies balls. Sizes, colors and directions are drawn from
+// world.random, so a seeded world always emits the same balls.
+// options: { rate (default 5), velocity ([0, 0]), spread (0), speedSpread (0), minRadius (6), maxRadius (12),
+//            colors, mass (default π r²), maxBodies (300) }
+var Emitter = function(x, y, options) {
+    options = options || {};
+    this.type = 'emitter';
+    this.position = new Vec2(x, y);
+    this.rate = options.rate !== undefined ? options.rate : 5;
+    this.velocity = new Vec2(options.velocity ? options.velocity[0] : 0, options.velocity ? options.velocity[1] : 0);
+    this.spread = options.spread || 0;
+    this.speedSpread = options.speedSpread || 0;
+    this.minRadius = options.minRadius !== undefined ? options.minRadius : 6;
+    this.maxRadius = options.maxRadius !== undefined ? options.maxRadius : 12;
+    this.colors = options.colors || ['#ff0000', '#0000ff', '#00ff00', '#ffff00', '#ff00ff'];
+    this.mass = options.mass;
+    this.maxBodies = options.maxBodies !== undefined ? options.maxBodies : 300;
+    // Seconds since the last ball, carried over between steps
+    this.time = 0;
+
+    this.emit = function(world, delta) {
+        const interval = 1 / this.rate;
+        this.time += delta;
+        while (this.time >= interval) {
+            if (world.bodies.length >= this.maxBodies) {
+                // Keep one ball due, not a backlog to burst out once there is room
+                this.time = interval;
+                return;
+            }
+            const random = world.random;
+            const radius = this.minRadius + random() * (this.maxRadius - this.minRadius);
+            const x = this.position.x, y = this.position.y;
+            if (world.overlapsBody(x, y, radius)) {
+                this.time = interval;
+                return;
+            }
+            const turn = (random() * 2 - 1) * this.spread;
+            const speedScale = 1 + (random() * 2 - 1) * this.speedSpread;
+            const color = this.colors[Math.floor(random() * this.colors.length)];
+            const vx = this.velocity.x, vy = this.velocity.y;
+            const cos = Math.cos(turn), sin = Math.sin(turn);
+            // Velocity is a per-sub-step displacement
+            const dt = delta / world.sub_steps * speedScale;
+            const body = new Body(x, y, radius, color, this.mass !== undefined ? this.mass : Math.PI * radius * radius);
+            body.previouspos.set(x - (vx * cos - vy * sin) * dt, y - (vx * sin + vy * cos) * dt);
+            world.addBody(body);
+            this.time -= interval;
+        }
+    };
+};
+
+// Removes every ball whose center enters the rectangle with its top-left corner at (x, y)
+var Sink = function(x, y, width, height) {
+    this.type = 'sink';
+    this.position = new Vec2(x + width / 2, y + height / 2);
+    this.halfWidth = width / 2;
+    this.halfHeight = height / 2;
+
+    this.drain = function(world) {
+        const bodies = world.bodies;
+        for (let i = bodies.length - 1; i >= 0; i--) {
+            const position = bodies[i].position;
+            if (Math.abs(position.x - this.position.x) < this.halfWidth && Math.abs(position.y - this.position.y) < this.halfHeight) {
+                world.removeBody(bodies[i]);
+            }
+        }
+    };
+};
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { FALLOFFS, checkFalloff, Attractor, Repulsor, Explosion, Vortex, DragRegion, WindZone, Emitter, Sink };
+}
@@ -0,0 +1,71 @@
+/*
+* Verlet Ball Physics Demo - Snapshot History
+*
+* Ring buffer of recent World snapshots for rewinding and scrubbing through the last few seconds of a run,
+* e.g. to step back through the frames that led to a ball tunnelling through a wall. Snapshot buffers are
+* reused once the ring is full, so recording every step does not allocate in steady state.
+* No three.js or DOM dependency.
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// capacity: number of snapshots kept (default 600, ten seconds at 60 steps per second)
+var SnapshotHistory = function(world, capacity) {
+    const history = this;
+    capacity = capacity || 600;
+    const frames = new Array(capacity);
+    let start = 0;
+    let length = 0;
+
+    this.capacity = capacity;
+
+    // Number of snapshots currently held
+    this.size = function() {
+        return length;
+    };
+
+    // Snapshot at index, 0 being the oldest held
+    this.get = function(index) {
+        if (index < 0 || index >= length) return null;
+        return frames[(start + index) % capacity];
+    };
+
+    // Snapshot the world as the newest entry, overwriting the oldest once the ring is full
+    this.record = function() {
+        let slot;
+        if (length < capacity) {
+            slot = (start + length) % capacity;
+            length++;
+        } else {
+            slot = start;
+            start = (start + 1) % capacity;
+        }
+        frames[slot] = world.snapshot(frames[slot]);
+        return length - 1;
+    };
+
+    // Put the world back to the snapshot at index
+    this.restore = function(index) {
+        const snap = history.get(index);
+        if (snap) world.restore(snap);
+        return snap;
+    };
+
+    // Drop every snapshot after index, e.g. when resuming from a rewound frame. Buffers are kept for reuse.
+    this.truncate = function(index) {
+        length = Math.max(0, Math.min(length, index + 1));
+    };
+
+    this.clear = function() {
+        start = 0;
+        length = 0;
+    };
+};
+
+// Export for Node (headless use). In the browser this is a plain global.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { SnapshotHistory };
+}
@@ -0,0 +1,2538 @@
+/*
+* Verlet Ball Physics Demo - Physics Core
+*
+* Headless physics world for the ball simulation. Holds the bodies, walls and static colliders (plus any
+* constraints, force fields, emitters and sinks) and runs the sub-stepped applyForces / updatePosition /
+* solveCollisions pipeline. Has no dependency on three.js or the DOM, so it runs in the browser (as plain
+* globals, loaded before verletBallSim_three.js) or in Node via require().
+*
+* Node example (layouts come from scene files, see verletScene.js):
+*   const { World } = require('./verletPhysics.js');
+*   const { loadScene, DEFAULT_SCENE } = require('./verletScene.js');
+*   const world = loadScene(new World({ width: 800, height: 1200 }), DEFAULT_SCENE);
+*   for (let i = 0; i < 600; i++) world.step(1 / 60);
+*
+* Pass { seed, fixedTimestep } to World for bit-reproducible runs.
+*
+* Game logic hooks in without touching the solver: world.on() listens for collisions, bodies coming and
+* going, drags and steps (see WORLD_EVENTS), and world.addPlugin() adds custom forces and per-step logic.
+*   world.on('collisionStart', (event) => { if (event.kind === 'wall' && event.impulse > 5e4) playThud(); });
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+const GRAVITY_Y = 980;
+
+//================================//
+//      VECTOR MATH
+//================================//
+// Minimal 2D vector with the subset of the THREE.Vector2 API the solver uses.
+var Vec2 = function(x, y) {
+    this.x = x || 0;
+    this.y = y || 0;
+};
+
+Vec2.prototype.set = function(x, y) { this.x = x; this.y = y; return this; };
+Vec2.prototype.copy = function(v) { this.x = v.x; this.y = v.y; return this; };
+Vec2.prototype.clone = function() { return new Vec2(this.x, this.y); };
+Vec2.prototype.add = function(v) { this.x += v.x; this.y += v.y; return this; };
+Vec2.prototype.sub = function(v) { this.x -= v.x; this.y -= v.y; return this; };
+Vec2.prototype.subVectors = function(a, b) { this.x = a.x - b.x; this.y = a.y - b.y; return this; };
+Vec2.prototype.addScaledVector = function(v, s) { this.x += v.x * s; this.y += v.y * s; return this; };
+Vec2.prototype.multiplyScalar = function(s) { this.x *= s; this.y *= s; return this; };
+Vec2.prototype.divideScalar = function(s) { return this.multiplyScalar(1 / s); };
+Vec2.prototype.negate = function() { this.x = -this.x; this.y = -this.y; return this; };
+Vec2.prototype.dot = function(v) { return this.x * v.x + this.y * v.y; };
+Vec2.prototype.lengthSq = function() { return this.x * this.x + this.y * this.y; };
+Vec2.prototype.length = function() { return Math.sqrt(this.x * this.x + this.y * this.y); };
+Vec2.prototype.normalize = function() { return this.divideScalar(this.length() || 1); };
+Vec2.prototype.distanceTo = function(v) {
+    const dx = this.x - v.x, dy = this.y - v.y;
+    return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Scratch vectors for the touch force and drag spring and for passing a contact normal or closest point,
+// so a steady-state step allocates nothing (doubles passed as arguments are boxed when the call is not
+// inlined, which is why the solver writes their fields directly rather than calling set()). Only used
+// within a single function call and never held across calls.
+const _toCursor = new Vec2();
+const _contactNormal = new Vec2();
+const _closestPoint = new Vec2();
+
+//================================//
+//      SEEDED RANDOM
+//================================//
+// Mulberry32 PRNG. Returns a function producing floats in [0, 1), like Math.random, that gives the same
+// sequence for the same 32-bit seed. getState/setState let snapshots capture and rewind the sequence.
+function createRandom(seed) {
+    let a = seed >>> 0;
+    const random = function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.getState = function() { return a; };
+    random.setState = function(state) { a = state >>> 0; };
+    return random;
+}
+
+//================================//
+//      BODY (BALL) CLASS
+//================================//
+// Balls are drawn as solid spheres, so they spin like one: moment of inertia = SPHERE_INERTIA * m * r²
+const SPHERE_INERTIA = 0.4;
+
+// Default share of a ball's velocity and spin lost to air drag every sub-step
+const AIR_DRAG = 0.001;
+
+// Spin is integrated like position: angle and previousAngle (radians, clockwise on screen) hold the angular
+// velocity as their difference per sub-step.
+var Body = function(x, y, radius, color, mass) {
+    this.position = new Vec2(x, y);
+    this.previouspos = new Vec2(x, y);
+    this.acceleration = new Vec2(0, 0);
+    this.angle = 0;
+    this.previousAngle = 0;
+    this.radius = radius;
+    this.mass = mass;
+    this.color = color;
+    // Physical material (see Material); null uses the world's restitution, friction and air drag
+    this.material = null;
+    // A frozen body stays where it is: nothing moves it, and other balls bounce off it as off a wall
+    this.frozen = false;
+    // Total push (mass x px/s) contacts, constraints and drags gave the body during the last step
+    this.impulse = 0;
+
+    this.inertia = function() {
+        return SPHERE_INERTIA * this.mass * this.radius * this.radius;
+    };
+
+    // Give the body a material (or null) and, for a material, the mass its density gives at this radius
+    this.setMaterial = function(material) {
+        this.material = material;
+        if (material) this.mass = Math.PI * this.radius * this.radius * material.density;
+        return this;
+    };
+
+    // drag: share of the velocity and spin lost this sub-step (default AIR_DRAG), times the material's drag;
+    // a ball loses at most all of it
+    this.updatePosition = function(delta, drag) {
+        const position = this.position, previouspos = this.previouspos, acceleration = this.acceleration;
+        if (this.frozen) {
+            acceleration.x = 0;
+            acceleration.y = 0;
+            return;
+        }
+        const keep = Math.max(0, 1 - (drag !== undefined ? drag : AIR_DRAG) * (this.material !== null ? this.material.drag : 1));
+        const velocityX = (position.x - previouspos.x) * keep;
+        const velocityY = (position.y - previouspos.y) * keep;
+        const spin = (this.angle - this.previousAngle) * keep;
+
+        previouspos.x = position.x;
+        previouspos.y = position.y;
+        this.previousAngle = this.angle;
+
+        const deltaSq = delta * delta;
+        position.x = position.x + velocityX + acceleration.x * deltaSq;
+        position.y = position.y + velocityY + acceleration.y * deltaSq;
+        this.angle += spin;
+
+        acceleration.x = 0;
+        acceleration.y = 0;
+    };
+};
+
+//================================//
+//      WALL CLASS
+//================================//
+// Default wall material
+const WALL_RESTITUTION = 0.9;
+const WALL_FRICTION = 0.2;
+
+// restitution: share of the normal speed a ball keeps when it bounces off (0 = dead stop, 1 = elastic)
+// friction: Coulomb friction coefficient; a resting ball slides once the slope is steeper than atan(friction)
+//
+// Walls can move while the world runs. setEndpoints jumps straight to a new pose. moveTo sets a target
+// pose instead, which the World glides the wall to over the sub-steps of its next step, so the wall pushes
+// the balls in its way and hands them its velocity. A kinematic wall has a motion (RotateMotion or
+// PathMotion) that sets its target every step.
+var Wall = function(p1x, p1y, p2x, p2y, thickness, restitution, friction) {
+    this.p1 = new Vec2(p1x, p1y);
+    this.p2 = new Vec2(p2x, p2y);
+    this.thickness = thickness;
+    this.restitution = restitution !== undefined ? restitution : WALL_RESTITUTION;
+    this.friction = friction !== undefined ? friction : WALL_FRICTION;
+
+    // Endpoints at the end of the next step, and the endpoint velocities (per sub-step) while the World
+    // moves the wall there; zero for a wall standing still
+    this.target1 = new Vec2(p1x, p1y);
+    this.target2 = new Vec2(p2x, p2y);
+    this.velocity1 = new Vec2();
+    this.velocity2 = new Vec2();
+    this.motion = null;
+
+    this.dir = new Vec2();
+    this.lenSq = 0;
+
+    // Call after changing p1 or p2 directly
+    this.updateGeometry = function() {
+        this.dir.subVectors(this.p2, this.p1);
+        this.lenSq = this.dir.lengthSq();
+    };
+
+    // Jump to new endpoints without moving through the space between
+    this.setEndpoints = function(p1x, p1y, p2x, p2y) {
+        this.p1.set(p1x, p1y);
+        this.p2.set(p2x, p2y);
+        this.target1.set(p1x, p1y);
+        this.target2.set(p2x, p2y);
+        this.velocity1.set(0, 0);
+        this.velocity2.set(0, 0);
+        this.updateGeometry();
+    };
+
+    // Move to new endpoints over the next step, pushing balls along the way
+    this.moveTo = function(p1x, p1y, p2x, p2y) {
+        this.target1.set(p1x, p1y);
+        this.target2.set(p2x, p2y);
+    };
+
+    // True if the next step moves the wall
+    this.isMoving = function() {
+        return this.target1.x !== this.p1.x || this.target1.y !== this.p1.y ||
+               this.target2.x !== this.p2.x || this.target2.y !== this.p2.y;
+    };
+
+    // Makes the wall kinematic, moving from its current pose as the motion's base; null stops it
+    this.setMotion = function(motion) {
+        if (motion) {
+            motion.base[0] = this.p1.x;
+            motion.base[1] = this.p1.y;
+            motion.base[2] = this.p2.x;
+            motion.base[3] = this.p2.y;
+        }
+        this.motion = motion;
+        return motion;
+    };
+
+    this.updateGeometry();
+};
+
+// Kinematic wall motions. A motion poses its wall as a function of its own clock, time (seconds), which
+// the World advances every step. Poses are relative to base, the endpoints [p1x, p1y, p2x, p2y] the wall
+// had when the motion was set. pose() writes the pose at the current time into the wall's targets.
+
+// Spins the wall about (pivotX, pivotY) at angularVelocity radians per second, clockwise on screen
+var RotateMotion = function(pivotX, pivotY, angularVelocity) {
+    this.type = 'rotate';
+    this.pivot = new Vec2(pivotX, pivotY);
+    this.angularVelocity = angularVelocity;
+    this.base = [0, 0, 0, 0];
+    this.time = 0;
+
+    this.pose = function(wall) {
+        const angle = this.angularVelocity * this.time;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const pivot = this.pivot, base = this.base;
+        const x1 = base[0] - pivot.x, y1 = base[1] - pivot.y;
+        const x2 = base[2] - pivot.x, y2 = base[3] - pivot.y;
+        const target1 = wall.target1, target2 = wall.target2;
+        target1.x = pivot.x + x1 * cos - y1 * sin;
+        target1.y = pivot.y + x1 * sin + y1 * cos;
+        target2.x = pivot.x + x2 * cos - y2 * sin;
+        target2.y = pivot.y + x2 * sin + y2 * cos;
+    };
+};
+
+// Slides the wall through points, a list of [dx, dy] offsets from its base, spending the same time on
+// each leg and taking period seconds for the whole path. The wall goes back along the path once it gets
+// to the last point, or with loop, straight on from the last point to the first.
+var PathMotion = function(points, period, loop) {
+    this.type = 'path';
+    this.points = points;
+    this.period = period;
+    this.loop = !!loop;
+    this.base = [0, 0, 0, 0];
+    this.time = 0;
+
+    this.pose = function(wall) {
+        const points = this.points, count = points.length, base = this.base;
+        let offsetX = 0, offsetY = 0;
+        if (count === 1) {
+            offsetX = points[0][0];
+            offsetY = points[0][1];
+        } else if (count > 1) {
+            const legs = this.loop ? count : 2 * (count - 1);
+            const phase = ((this.time % this.period) + this.period) % this.period / this.period * legs;
+            const leg = Math.min(legs - 1, Math.floor(phase));
+            const f = phase - leg;
+            let from, to;
+            if (this.loop) {
+                from = leg;
+                to = (leg + 1) % count;
+            } else if (leg < count - 1) {
+                from = leg;
+                to = leg + 1;
+            } else {
+                from = legs - leg;
+                to = from - 1;
+            }
+            offsetX = points[from][0] + (points[to][0] - points[from][0]) * f;
+            offsetY = points[from][1] + (points[to][1] - points[from][1]) * f;
+        }
+        const target1 = wall.target1, target2 = wall.target2;
+        target1.x = base[0] + offsetX;
+        target1.y = base[1] + offsetY;
+        target2.x = base[2] + offsetX;
+        target2.y = base[3] + offsetY;
+    };
+};
+
+//================================//
+//      MATERIALS
+//================================//
+// What a ball is made of:
+//   density      mass per unit area; Body.setMaterial makes the mass π r² × density, so 1 is the default mass
+//   restitution  share of the normal speed kept in a bounce, like a wall's
+//   friction     Coulomb friction coefficient, like a wall's
+//   drag         multiple of the world's air drag, for light or streamlined balls
+//   look         for renderers: the ball color when none is given, and the metalness and roughness of a
+//                three.js MeshStandardMaterial
+// At a contact, restitution and friction combine with the other side's (another ball's material, the world's
+// values for a ball without one, or the wall's) by geometric mean, sqrt(a * b): a material against itself
+// keeps its own value, and a dead (0) side makes the contact dead.
+const DEFAULT_LOOK = { color: '#ffffff', metalness: 0.3, roughness: 0.25 };
+
+var Material = function(options) {
+    options = options || {};
+    this.name = options.name || null;
+    this.density = options.density !== undefined ? options.density : 1;
+    this.restitution = options.restitution !== undefined ? options.restitution : WALL_RESTITUTION;
+    this.friction = options.friction !== undefined ? options.friction : WALL_FRICTION;
+    this.drag = options.drag !== undefined ? options.drag : 1;
+    this.look = Object.assign({}, DEFAULT_LOOK, options.look);
+};
+
+// Named presets, shared by every body that uses them
+const MATERIALS = {
+    rubber: new Material({ name: 'rubber', density: 1.1, restitution: 0.95, friction: 0.9, drag: 0.6,
+        look: { color: '#d8432e', metalness: 0, roughness: 0.75 } }),
+    steel: new Material({ name: 'steel', density: 7.8, restitution: 0.7, friction: 0.15, drag: 0.3,
+        look: { color: '#b9c2cc', metalness: 0.95, roughness: 0.15 } }),
+    wood: new Material({ name: 'wood', density: 0.6, restitution: 0.5, friction: 0.5, drag: 1,
+        look: { color: '#a8733f', metalness: 0, roughness: 0.85 } }),
+    foam: new Material({ name: 'foam', density: 0.08, restitution: 0.15, friction: 0.8, drag: 6,
+        look: { color: '#f1e6a6', metalness: 0, roughness: 1 } }),
+    ice: new Material({ name: 'ice', density: 0.9, restitution: 0.3, friction: 0.02, drag: 1,
+        look: { color: '#c4e8ff', metalness: 0.1, roughness: 0.05 } })
+};
+
+// A material as JSON: a preset's name, or its values for a custom one
+function materialToJSON(material) {
+    if (!material) return null;
+    if (material.name && MATERIALS[material.name] === material) return material.name;
+    return { density: material.density, restitution: material.restitution, friction: material.friction,
+        drag: material.drag, look: Object.assign({}, material.look) };
+}
+
+// Inverse of materialToJSON: null, a preset name or material values. Throws on an unknown preset name.
+function materialFromJSON(json) {
+    if (json === null || json === undefined) return null;
+    if (typeof json === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(MATERIALS, json)) {
+            throw new Error(`Unknown material "${json}" (expected one of ${Object.keys(MATERIALS).join(', ')})`);
+        }
+        return MATERIALS[json];
+    }
+    return json instanceof Material ? json : new Material(json);
+}
+
+//================================//
+//      STATIC COLLIDERS
+//================================//
+// Fixed shapes the balls collide with alongside the walls: round pegs, circular arcs and convex polygons.
+// Each has a type, a wall-style restitution and friction, and a bounding box (minX, minY, maxX, maxY) for
+// the broad phase. A ball collides with the closest point of the shape's surface, and the contact normal
+// runs from that point to the ball's center, so it turns smoothly around corners and along curves with no
+// seam where one edge meets the next. Colliders never move; add or remove them between steps.
+
+// A solid circle of the given radius at (x, y)
+var Peg = function(x, y, radius, restitution, friction) {
+    this.type = 'peg';
+    this.position = new Vec2(x, y);
+    this.radius = radius;
+    this.restitution = restitution !== undefined ? restitution : WALL_RESTITUTION;
+    this.friction = friction !== undefined ? friction : WALL_FRICTION;
+
+    this.minX = x - radius;
+    this.minY = y - radius;
+    this.maxX = x + radius;
+    this.maxY = y + radius;
+};
+
+// A curved wall: the part of the circle of the given radius around (x, y) from startAngle to endAngle
+// (radians, clockwise on screen from the +x axis), thickness wide and with rounded ends like a Wall
+var Arc = function(x, y, radius, startAngle, endAngle, thickness, restitution, friction) {
+    if (!(endAngle > startAngle)) throw new Error('Arc: endAngle must be greater than startAngle');
+    this.type = 'arc';
+    this.center = new Vec2(x, y);
+    this.radius = radius;
+    this.startAngle = startAngle;
+    this.endAngle = endAngle;
+    this.sweep = Math.min(endAngle - startAngle, Math.PI * 2);
+    this.thickness = thickness;
+    this.restitution = restitution !== undefined ? restitution : WALL_RESTITUTION;
+    this.friction = friction !== undefined ? friction : WALL_FRICTION;
+
+    // Ends of the centerline
+    this.start = new Vec2(x + Math.cos(startAngle) * radius, y + Math.sin(startAngle) * radius);
+    this.end = new Vec2(x + Math.cos(startAngle + this.sweep) * radius, y + Math.sin(startAngle + this.sweep) * radius);
+
+    // Bounds of the ends plus every axis direction the arc passes through
+    const reach = thickness / 2;
+    this.minX = Math.min(this.start.x, this.end.x) - reach;
+    this.minY = Math.min(this.start.y, this.end.y) - reach;
+    this.maxX = Math.max(this.start.x, this.end.x) + reach;
+    this.maxY = Math.max(this.start.y, this.end.y) + reach;
+    for (let quarter = Math.ceil(startAngle / (Math.PI / 2)); quarter * Math.PI / 2 <= startAngle + this.sweep; quarter++) {
+        switch (((quarter % 4) + 4) % 4) {
+            case 0: this.maxX = x + radius + reach; break;
+            case 1: this.maxY = y + radius + reach; break;
+            case 2: this.minX = x - radius - reach; break;
+            case 3: this.minY = y - radius - reach; break;
+        }
+    }
+};
+
+// A solid convex polygon through points, a list of [x, y] corners in either winding order
+var ConvexPolygon = function(points, restitution, friction) {
+    if (!Array.isArray(points) || points.length < 3) throw new Error('ConvexPolygon: needs at least 3 points');
+    this.type = 'polygon';
+    this.points = points.map(point => new Vec2(point[0], point[1]));
+    this.restitution = restitution !== undefined ? restitution : WALL_RESTITUTION;
+    this.friction = friction !== undefined ? friction : WALL_FRICTION;
+
+    // Twice the signed area; its sign gives the winding and so which side of each edge is outside
+    const count = this.points.length;
+    let area = 0;
+    for (let i = 0; i < count; i++) {
+        const a = this.points[i], b = this.points[(i + 1) % count];
+        area += a.x * b.y - b.x * a.y;
+    }
+    if (area === 0) throw new Error('ConvexPolygon: points must enclose an area');
+    const winding = area > 0 ? 1 : -1;
+
+    // Edges are zero-thickness segments shaped like walls (p1, dir, lenSq), so the wall sweep works on
+    // them, plus their outward unit normal
+    this.edges = [];
+    for (let i = 0; i < count; i++) {
+        const p1 = this.points[i], p2 = this.points[(i + 1) % count];
+        const dir = new Vec2().subVectors(p2, p1);
+        const length = dir.length();
+        if (length === 0) throw new Error('ConvexPolygon: points must not repeat');
+        // Every corner has to be on the inside of every edge
+        for (const point of this.points) {
+            if (((point.x - p1.x) * dir.y - (point.y - p1.y) * dir.x) * winding / length > 1e-9) {
+                throw new Error('ConvexPolygon: points must form a convex polygon');
+            }
+        }
+        this.edges.push({ p1: p1, p2: p2, dir: dir, lenSq: length * length, thickness: 0,
+            normal: new Vec2(dir.y / length * winding, -dir.x / length * winding) });
+    }
+    // Edge found nearest by the last closestOnPolygon call
+    this.closestEdge = 0;
+
+    this.minX = Math.min(...this.points.map(p => p.x));
+    this.minY = Math.min(...this.points.map(p => p.y));
+    this.maxX = Math.max(...this.points.map(p => p.x));
+    this.maxY = Math.max(...this.points.map(p => p.y));
+};
+
+// Closest point to point on the arc's centerline, written to out
+function closestOnArc(arc, point, out) {
+    const center = arc.center;
+    const dx = point.x - center.x, dy = point.y - center.y;
+    let angle = (Math.atan2(dy, dx) - arc.startAngle) % (Math.PI * 2);
+    if (angle < 0) angle += Math.PI * 2;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (angle <= arc.sweep && distance > 0) {
+        out.x = center.x + dx * arc.radius / distance;
+        out.y = center.y + dy * arc.radius / distance;
+    } else {
+        const start = arc.start, end = arc.end;
+        const sx = point.x - start.x, sy = point.y - start.y;
+        const ex = point.x - end.x, ey = point.y - end.y;
+        out.copy(sx * sx + sy * sy <= ex * ex + ey * ey ? start : end);
+    }
+}
+
+// Closest point to point on the polygon's outline, written to out; the edge it lies on is stored in
+// polygon.closestEdge. Returns true if point is inside the polygon.
+function closestOnPolygon(polygon, point, out) {
+    const edges = polygon.edges;
+    let inside = true;
+    let nearestSq = Infinity;
+    for (let e = 0; e < edges.length; e++) {
+        const edge = edges[e];
+        const p1 = edge.p1, dir = edge.dir;
+        const fx = point.x - p1.x, fy = point.y - p1.y;
+        if (fx * edge.normal.x + fy * edge.normal.y > 0) inside = false;
+        const t = Math.max(0, Math.min(1, (fx * dir.x + fy * dir.y) / edge.lenSq));
+        const dx = fx - dir.x * t, dy = fy - dir.y * t;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq < nearestSq) {
+            nearestSq = distanceSq;
+            out.x = p1.x + dir.x * t;
+            out.y = p1.y + dir.y * t;
+            polygon.closestEdge = e;
+        }
+    }
+    return inside;
+}
+
+// Signed distance from point to the collider's surface, negative inside it. closest receives the nearest
+// point of the shape's core: a peg's center, an arc's centerline or a polygon's outline.
+function colliderGap(collider, point, closest) {
+    switch (collider.type) {
+        case 'peg':
+            closest.copy(collider.position);
+            return point.distanceTo(closest) - collider.radius;
+        case 'arc':
+            closestOnArc(collider, point, closest);
+            return point.distanceTo(closest) - collider.thickness / 2;
+        default: {
+            const inside = closestOnPolygon(collider, point, closest);
+            const distance = point.distanceTo(closest);
+            return inside ? -distance : distance;
+        }
+    }
+}
+
+//================================//
+//      SWEPT COLLISION (CCD)
+//================================//
+// A ball touches a wall when its center is within radius + thickness / 2 of the centerline, i.e. inside a
+// capsule around the wall. These return the time of impact s in [0, 1] at which a center moving from
+// (x0, y0) to (x0 + dx, y0 + dy) first reaches that capsule, or Infinity if it does not (or starts inside).
+
+// Moving point versus circle of radius r at (cx, cy)
+function sweepPointCircle(x0, y0, dx, dy, cx, cy, r) {
+    const fx = x0 - cx, fy = y0 - cy;
+    const a = dx * dx + dy * dy;
+    const b = fx * dx + fy * dy;
+    const c = fx * fx + fy * fy - r * r;
+    if (c < 0 || b >= 0 || a === 0) return Infinity;
+    const disc = b * b - a * c;
+    if (disc < 0) return Infinity;
+    const s = (-b - Math.sqrt(disc)) / a;
+    return s <= 1 ? s : Infinity;
+}
+
+// Moving circle of the given radius versus a wall's capsule
+function sweepCircleWall(x0, y0, dx, dy, radius, wall) {
+    const r = radius + wall.thickness / 2;
+    const p1 = wall.p1, dir = wall.dir, lenSq = wall.lenSq;
+
+    // Already touching: left to the discrete solver
+    let t = lenSq > 0 ? ((x0 - p1.x) * dir.x + (y0 - p1.y) * dir.y) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const ox = x0 - (p1.x + dir.x * t), oy = y0 - (p1.y + dir.y * t);
+    if (ox * ox + oy * oy < r * r) return Infinity;
+
+    let toi = Infinity;
+
+    // Flat sides: the centerline offset by r towards the start point
+    if (lenSq > 0) {
+        const len = Math.sqrt(lenSq);
+        const nx = -dir.y / len, ny = dir.x / len;
+        const side = (x0 - p1.x) * nx + (y0 - p1.y) * ny;
+        const approach = dx * nx + dy * ny;
+        if (Math.abs(side) >= r && side * approach < 0) {
+            const s = (Math.abs(side) - r) / Math.abs(approach);
+            if (s <= 1) {
+                const u = ((x0 + dx * s - p1.x) * dir.x + (y0 + dy * s - p1.y) * dir.y) / lenSq;
+                if (u >= 0 && u <= 1) toi = s;
+            }
+        }
+    }
+
+    // Rounded ends
+    toi = Math.min(toi, sweepPointCircle(x0, y0, dx, dy, p1.x, p1.y, r));
+    toi = Math.min(toi, sweepPointCircle(x0, y0, dx, dy, wall.p2.x, wall.p2.y, r));
+    return toi;
+}
+
+// True if the direction (dx, dy) from an arc's center lies within the arc's angles
+function withinArc(arc, dx, dy) {
+    let angle = (Math.atan2(dy, dx) - arc.startAngle) % (Math.PI * 2);
+    if (angle < 0) angle += Math.PI * 2;
+    return angle <= arc.sweep;
+}
+
+// Moving circle of the given radius versus an arc: its centerline widened by radius + thickness / 2
+function sweepCircleArc(x0, y0, dx, dy, radius, arc) {
+    const r = radius + arc.thickness / 2;
+    const center = arc.center, start = arc.start, end = arc.end;
+    const fx = x0 - center.x, fy = y0 - center.y;
+    const distanceSq = fx * fx + fy * fy;
+    const a = dx * dx + dy * dy;
+    const b = fx * dx + fy * dy;
+    const outer = arc.radius + r, inner = arc.radius - r;
+    if (a === 0) return Infinity;
+
+    // Already touching and moving in: left to the discrete solver. A ball moving away from the inside of
+    // the curve can still reach its far side, so it is swept on.
+    if (distanceSq < outer * outer && (inner <= 0 || distanceSq > inner * inner) && withinArc(arc, fx, fy)) {
+        if (distanceSq >= arc.radius * arc.radius || b >= 0) return Infinity;
+    }
+    const sx = x0 - start.x, sy = y0 - start.y, ex = x0 - end.x, ey = y0 - end.y;
+    if ((sx * sx + sy * sy < r * r && sx * dx + sy * dy < 0) || (ex * ex + ey * ey < r * r && ex * dx + ey * dy < 0)) return Infinity;
+
+    let toi = Infinity;
+
+    // Curved sides: entering the outer circle from outside, or leaving the inner one from inside (also
+    // after coming in through the open side)
+    if (distanceSq > outer * outer) {
+        const disc = b * b - a * (distanceSq - outer * outer);
+        if (disc >= 0) {
+            const s = (-b - Math.sqrt(disc)) / a;
+            if (s >= 0 && s <= 1 && withinArc(arc, fx + dx * s, fy + dy * s)) toi = s;
+        }
+    }
+    if (inner > 0) {
+        const disc = b * b - a * (distanceSq - inner * inner);
+        if (disc >= 0) {
+            const s = (-b + Math.sqrt(disc)) / a;
+            if (s >= 0 && s <= 1 && withinArc(arc, fx + dx * s, fy + dy * s)) toi = Math.min(toi, s);
+        }
+    }
+
+    // Rounded ends
+    toi = Math.min(toi, sweepPointCircle(x0, y0, dx, dy, start.x, start.y, r));
+    toi = Math.min(toi, sweepPointCircle(x0, y0, dx, dy, end.x, end.y, r));
+    return toi;
+}
+
+// Moving circle of the given radius versus a static collider
+function sweepCircleCollider(x0, y0, dx, dy, radius, collider) {
+    switch (collider.type) {
+        case 'peg':
+            return sweepPointCircle(x0, y0, dx, dy, collider.position.x, collider.position.y, radius + collider.radius);
+        case 'arc':
+            return sweepCircleArc(x0, y0, dx, dy, radius, collider);
+        case 'polygon': {
+            // Already touching or inside: left to the discrete solver. Otherwise the first edge reached.
+            const edges = collider.edges;
+            let inside = true;
+            for (const edge of edges) {
+                const fx = x0 - edge.p1.x, fy = y0 - edge.p1.y;
+                if (fx * edge.normal.x + fy * edge.normal.y > 0) inside = false;
+                const t = Math.max(0, Math.min(1, (fx * edge.dir.x + fy * edge.dir.y) / edge.lenSq));
+                const ox = fx - edge.dir.x * t, oy = fy - edge.dir.y * t;
+                if (ox * ox + oy * oy < radius * radius) return Infinity;
+            }
+            if (inside) return Infinity;
+            let toi = Infinity;
+            for (const edge of edges) toi = Math.min(toi, sweepCircleWall(x0, y0, dx, dy, radius, edge));
+            return toi;
+        }
+    }
+    return Infinity;
+}
+
+//================================//
+//      BROAD PHASE (SPATIAL HASH)
+//================================//
+// Uniform grid keyed by integer cell coordinates, rebuilt every sub-step. Cells are sized from the largest
+// body radius. After build(), the first bodyCandidateCount[i] entries of bodyCandidates[i] are the indices
+// j > i of bodies near body i, the first wallCandidateCount[i] entries of wallCandidates[i] the indices of
+// walls near it and the first colliderCandidateCount[i] entries of colliderCandidates[i] those of static
+// colliders whose bounding box is near it, all in ascending order. The lists include a margin so they stay
+// valid until moved() reports that some body has drifted too far from where it was hashed.
+//
+// Walls and colliders are only entered in the cells some body's search can reach, so one far larger than the
+// spread of the bodies costs no more than one that just spans it. Bodies with cells beyond ±MAX_CELL_INDEX
+// (or at NaN) are left out of the grid and get no candidates; the bound keeps cell indices 32-bit integers,
+// far short of 2^53, where cx++ would no longer change cx.
+//
+// Cell and candidate arrays are only ever overwritten, never truncated, so once they have grown to size a
+// rebuild allocates nothing.
+const MAX_CELL_INDEX = 2147483647;
+
+var SpatialHash = function() {
+    const hash = this;
+    const cells = new Map();
+    const usedCells = [];
+    let usedCellCount = 0;
+    let cellSize = 1;
+    let stamp = 0;
+    let wallStamps = new Int32Array(0);
+    let colliderStamps = new Int32Array(0);
+    let originX = new Float64Array(0);
+    let originY = new Float64Array(0);
+    let maxMoveSq = 0;
+
+    this.bodyCandidates = [];
+    this.wallCandidates = [];
+    this.colliderCandidates = [];
+    this.bodyCandidateCount = new Int32Array(0);
+    this.wallCandidateCount = new Int32Array(0);
+    this.colliderCandidateCount = new Int32Array(0);
+
+    // Wraps every 32768 cells; the result stays a small integer so Map lookups don't allocate. Far-apart
+    // cells that share a key only add candidates, which the distance checks filter out.
+    function cellKey(cx, cy) {
+        return (cx & 0x7fff) * 32768 + (cy & 0x7fff);
+    }
+
+    function cellIndex(value) {
+        return Math.floor(value / cellSize);
+    }
+
+    // False for NaN too
+    function inGrid(index) {
+        return index >= -MAX_CELL_INDEX && index <= MAX_CELL_INDEX;
+    }
+
+    function getCell(cx, cy) {
+        const key = cellKey(cx, cy);
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = { bodies: [], bodyCount: 0, walls: [], wallCount: 0, colliders: [], colliderCount: 0, used: false };
+            cells.set(key, cell);
+        }
+        if (!cell.used) {
+            cell.used = true;
+            usedCells[usedCellCount++] = cell;
+        }
+        return cell;
+    }
+
+    // Insertion sort of the first count entries; candidate lists are short and Array.prototype.sort
+    // allocates a work copy
+    function sortAscending(list, count) {
+        for (let i = 1; i < count; i++) {
+            const value = list[i];
+            let j = i - 1;
+            while (j >= 0 && list[j] > value) {
+                list[j + 1] = list[j];
+                j--;
+            }
+            list[j + 1] = value;
+        }
+    }
+
+    this.build = function(bodies, walls, colliders) {
+        for (let c = 0; c < usedCellCount; c++) {
+            const cell = usedCells[c];
+            cell.bodyCount = 0;
+            cell.wallCount = 0;
+            cell.colliderCount = 0;
+            cell.used = false;
+        }
+        usedCellCount = 0;
+
+        let maxRadius = 0;
+        for (let i = 0; i < bodies.length; i++) maxRadius = Math.max(maxRadius, bodies[i].radius);
+        cellSize = Math.max(1, 2 * maxRadius);
+
+        // Extra reach so pairs that come into contact while the solver iterates are still candidates.
+        // Candidates stay valid while no body drifts more than half the margin from where it was hashed.
+        const margin = maxRadius;
+        maxMoveSq = (margin / 2) * (margin / 2);
+
+        const count = bodies.length;
+        if (originX.length < count) {
+            originX = new Float64Array(count * 2);
+            originY = new Float64Array(count * 2);
+            hash.bodyCandidateCount = new Int32Array(count * 2);
+            hash.wallCandidateCount = new Int32Array(count * 2);
+            hash.colliderCandidateCount = new Int32Array(count * 2);
+        }
+        if (wallStamps.length < walls.length) wallStamps = new Int32Array(walls.length * 2);
+        if (colliderStamps.length < colliders.length) colliderStamps = new Int32Array(colliders.length * 2);
+        while (hash.bodyCandidates.length < count) {
+            hash.bodyCandidates.push([]);
+            hash.wallCandidates.push([]);
+            hash.colliderCandidates.push([]);
+        }
+
+        // The cells the bodies' searches below can reach; walls and colliders are clipped to them
+        let searchX0 = Infinity, searchX1 = -Infinity, searchY0 = Infinity, searchY1 = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const p = bodies[i].position;
+            originX[i] = p.x;
+            originY[i] = p.y;
+            const cx = cellIndex(p.x), cy = cellIndex(p.y);
+            if (!inGrid(cx) || !inGrid(cy)) continue;
+            const cell = getCell(cx, cy);
+            cell.bodies[cell.bodyCount++] = i;
+            const reach = bodies[i].radius + maxRadius + margin;
+            searchX0 = Math.min(searchX0, cellIndex(p.x - reach));
+            searchX1 = Math.max(searchX1, cellIndex(p.x + reach));
+            searchY0 = Math.min(searchY0, cellIndex(p.y - reach));
+            searchY1 = Math.max(searchY1, cellIndex(p.y + reach));
+        }
+
+        for (let w = 0; w < walls.length; w++) {
+            const wall = walls[w];
+            const reach = wall.thickness / 2;
+            const minX = Math.min(wall.p1.x, wall.p2.x), maxX = Math.max(wall.p1.x, wall.p2.x);
+            const x0 = Math.max(searchX0, cellIndex(minX - reach)), x1 = Math.min(searchX1, cellIndex(maxX + reach));
+            if (!inGrid(x0) || !inGrid(x1)) continue;
+            // Walk the columns the thick segment crosses so long diagonal walls only fill the cells along them
+            for (let cx = x0; cx <= x1; cx++) {
+                let ya = Math.min(wall.p1.y, wall.p2.y), yb = Math.max(wall.p1.y, wall.p2.y);
+                if (wall.dir.x !== 0) {
+                    const xa = Math.max(minX, Math.min(maxX, cx * cellSize - reach));
+                    const xb = Math.max(minX, Math.min(maxX, (cx + 1) * cellSize + reach));
+                    const slope = wall.dir.y / wall.dir.x;
+                    ya = wall.p1.y + (xa - wall.p1.x) * slope;
+                    yb = wall.p1.y + (xb - wall.p1.x) * slope;
+                }
+                const y0 = Math.max(searchY0, cellIndex(Math.min(ya, yb) - reach));
+                const y1 = Math.min(searchY1, cellIndex(Math.max(ya, yb) + reach));
+                if (!inGrid(y0) || !inGrid(y1)) continue;
+                for (let cy = y0; cy <= y1; cy++) {
+                    const cell = getCell(cx, cy);
+                    cell.walls[cell.wallCount++] = w;
+                }
+            }
+        }
+
+        for (let k = 0; k < colliders.length; k++) {
+            const collider = colliders[k];
+            const x0 = Math.max(searchX0, cellIndex(collider.minX)), x1 = Math.min(searchX1, cellIndex(collider.maxX));
+            const y0 = Math.max(searchY0, cellIndex(collider.minY)), y1 = Math.min(searchY1, cellIndex(collider.maxY));
+            if (!inGrid(x0) || !inGrid(x1) || !inGrid(y0) || !inGrid(y1)) continue;
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const cell = getCell(cx, cy);
+                    cell.colliders[cell.colliderCount++] = k;
+                }
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            const body = bodies[i];
+            const p = body.position;
+            const nearBodies = hash.bodyCandidates[i];
+            const nearWalls = hash.wallCandidates[i];
+            const nearColliders = hash.colliderCandidates[i];
+            let bodyCount = 0;
+            let wallCount = 0;
+            let colliderCount = 0;
+            stamp++;
+
+            const reach = body.radius + maxRadius + margin;
+            const x0 = cellIndex(p.x - reach), x1 = cellIndex(p.x + reach);
+            const y0 = cellIndex(p.y - reach), y1 = cellIndex(p.y + reach);
+            if (!inGrid(x0) || !inGrid(x1) || !inGrid(y0) || !inGrid(y1)) {
+                hash.bodyCandidateCount[i] = 0;
+                hash.wallCandidateCount[i] = 0;
+                hash.colliderCandidateCount[i] = 0;
+                continue;
+            }
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const cell = cells.get(cellKey(cx, cy));
+                    if (!cell || !cell.used) continue;
+
+                    const cellBodies = cell.bodies;
+                    for (let c = 0; c < cell.bodyCount; c++) {
+                        const j = cellBodies[c];
+                        if (j <= i) continue;
+                        const other = bodies[j];
+                        const dx = p.x - other.position.x, dy = p.y - other.position.y;
+                        const limit = body.radius + other.radius + margin;
+                        if (dx * dx + dy * dy < limit * limit) nearBodies[bodyCount++] = j;
+                    }
+
+                    const cellWalls = cell.walls;
+                    for (let c = 0; c < cell.wallCount; c++) {
+                        const w = cellWalls[c];
+                        if (wallStamps[w] === stamp) continue;
+                        wallStamps[w] = stamp;
+                        const wall = walls[w];
+                        let t = wall.lenSq > 0 ? ((p.x - wall.p1.x) * wall.dir.x + (p.y - wall.p1.y) * wall.dir.y) / wall.lenSq : 0;
+                        t = Math.max(0, Math.min(1, t));
+                        const dx = p.x - (wall.p1.x + wall.dir.x * t), dy = p.y - (wall.p1.y + wall.dir.y * t);
+                        const limit = body.radius + wall.thickness / 2 + margin;
+                        if (dx * dx + dy * dy < limit * limit) nearWalls[wallCount++] = w;
+                    }
+
+                    const cellColliders = cell.colliders;
+                    for (let c = 0; c < cell.colliderCount; c++) {
+                        const k = cellColliders[c];
+                        if (colliderStamps[k] === stamp) continue;
+                        colliderStamps[k] = stamp;
+                        const collider = colliders[k];
+                        const dx = Math.max(collider.minX - p.x, 0, p.x - collider.maxX);
+                        const dy = Math.max(collider.minY - p.y, 0, p.y - collider.maxY);
+                        const limit = body.radius + margin;
+                        if (dx * dx + dy * dy < limit * limit) nearColliders[colliderCount++] = k;
+                    }
+                }
+            }
+
+            sortAscending(nearBodies, bodyCount);
+            sortAscending(nearWalls, wallCount);
+            sortAscending(nearColliders, colliderCount);
+            hash.bodyCandidateCount[i] = bodyCount;
+            hash.wallCandidateCount[i] = wallCount;
+            hash.colliderCandidateCount[i] = colliderCount;
+        }
+    };
+
+    // Call after body i moves during the solve. Returns true when the candidate lists are stale.
+    this.moved = function(i, body) {
+        const dx = body.position.x - originX[i], dy = body.position.y - originY[i];
+        return dx * dx + dy * dy > maxMoveSq;
+    };
+};
+
+//================================//
+//      SNAPSHOT SERIALIZATION
+//================================//
+// Numbers stored per body in a snapshot: position, previouspos, acceleration (x, y each), radius, mass,
+// angle, previousAngle, frozen (0 or 1). JSON snapshots record their stride; ones without it predate spin
+// and have 8.
+const SNAPSHOT_STRIDE = 11;
+// Numbers stored per wall: p1, p2, target1, target2 (x, y each), thickness and the motion's clock
+const WALL_SNAPSHOT_STRIDE = 10;
+
+// Converts a World snapshot to plain JSON-friendly data (drops the in-memory Body and Wall references)
+function snapshotToJSON(snap) {
+    const json = {
+        count: snap.count,
+        stepCount: snap.stepCount,
+        gravity: snap.gravity.slice(),
+        touch_Pos: snap.touch_Pos.slice(),
+        touch_Sel: snap.touch_Sel,
+        isDragging: snap.isDragging,
+        pointers: snap.pointers.slice(),
+        pinch: snap.pinch.slice(),
+        randomState: snap.randomState,
+        stride: SNAPSHOT_STRIDE,
+        bodies: Array.from(snap.bodies.subarray(0, snap.count * SNAPSHOT_STRIDE)),
+        colors: snap.colors.slice(0, snap.count)
+    };
+    // Only worlds with materials record them, so snapshots of plain worlds keep their old form
+    const materials = snap.materials.slice(0, snap.count);
+    if (materials.some((material) => material !== null)) json.materials = materials.map(materialToJSON);
+    if (snap.fieldTimes) {
+        json.fieldTimes = snap.fieldTimes.slice();
+        json.emitterTimes = snap.emitterTimes.slice();
+    }
+    if (snap.walls) {
+        json.wallCount = snap.wallCount;
+        json.walls = Array.from(snap.walls.subarray(0, snap.wallCount * WALL_SNAPSHOT_STRIDE));
+    }
+    return json;
+}
+
+// Inverse of snapshotToJSON; the result can be passed to World.restore. Snapshots from before walls could
+// move have no walls and leave the world's walls as they are.
+function snapshotFromJSON(json) {
+    // Repack older, narrower body records; the missing values (spin) start at zero
+    const stride = json.stride || 8;
+    const bodies = new Float64Array(json.count * SNAPSHOT_STRIDE);
+    for (let i = 0; i < json.count; i++) {
+        for (let k = 0; k < Math.min(stride, SNAPSHOT_STRIDE); k++) bodies[i * SNAPSHOT_STRIDE + k] = json.bodies[i * stride + k];
+    }
+    return {
+        count: json.count,
+        stepCount: json.stepCount,
+        gravity: json.gravity.slice(),
+        touch_Pos: json.touch_Pos.slice(),
+        touch_Sel: json.touch_Sel,
+        isDragging: json.isDragging,
+        pointers: json.pointers ? json.pointers.slice() : [],
+        pinch: json.pinch ? json.pinch.slice() : [0, 0, 0, 0],
+        randomState: json.randomState,
+        bodies: bodies,
+        colors: json.colors.slice(),
+        materials: json.materials ? json.materials.map(materialFromJSON) : json.colors.map(() => null),
+        refs: [],
+        wallCount: json.walls ? json.wallCount : 0,
+        walls: json.walls ? Float64Array.from(json.walls) : null,
+        wallRefs: [],
+        fieldTimes: json.fieldTimes ? json.fieldTimes.slice() : null,
+        emitterTimes: json.emitterTimes ? json.emitterTimes.slice() : null
+    };
+}
+
+//================================//
+//      POINTERS
+//================================//
+// One mouse, pen or finger dragging in the world: where it is, the index of the body it holds (-1 for none)
+// and whether it is pressed. A held body is pulled to the pointer by a spring once close, and by an
+// attractor from further away.
+var Pointer = function() {
+    this.position = new Vec2(0, 0);
+    this.selected = -1;
+    this.dragging = false;
+};
+
+// Numbers stored per pointer after the first in a snapshot: position (x, y), selected, dragging (0 or 1)
+const POINTER_SNAPSHOT_STRIDE = 4;
+// Strongest pinch field, px/s² at its center: reached when the fingers are twice (or half) as far apart as
+// when the pinch began
+const PINCH_ACCELERATION = 6000;
+
+//================================//
+//      PHYSICS WORLD
+//================================//
+// World.resize modes: 'scale' stretches the layout with the new bounds, 'fit' keeps its shape and size
+const RESIZE_MODES = ['scale', 'fit'];
+// Distance (pixels) within which a wall end counts as lying on an edge of the world when it is resized
+const EDGE_TOLERANCE = 1e-6;
+// Rings of candidate spots, one ball radius apart, searched when resizing moves a ball back inside
+const RELOCATE_RINGS = 40;
+// Solver passes that push apart the balls a resize leaves overlapping
+const SETTLE_ITERATIONS = 50;
+
+// Events a World emits to listeners added with world.on(type, listener). Each listener gets one event
+// object with the type and:
+//   collisionStart { a, b, kind, impulse }  a body (a) started touching b: another body (kind 'body'), a
+//                                           Wall ('wall') or a static collider ('collider'). impulse is the
+//                                           normal impulse of the contact over the step, mass × px/s.
+//   collisionEnd { a, b, kind }             the pair went a whole step without touching
+//   bodyAdded { body }, bodyRemoved { body }
+//   dragStart { body, pointer }             a pointer (slot index) grabbed body
+//   dragEnd { body, pointer }               and let go of it
+//   flick { body, pointer, velocity }       let go of it with a flick; velocity is [x, y] px/s
+//   beforeStep { delta }, afterStep { delta }   around every step, delta being the seconds it covers
+// Collisions are only tracked while someone listens for them, so the solver pays nothing otherwise.
+const WORLD_EVENTS = ['collisionStart', 'collisionEnd', 'bodyAdded', 'bodyRemoved', 'dragStart', 'dragEnd', 'flick',
+    'beforeStep', 'afterStep'];
+
+// options: { width, height } - simulation bounds in pixels, used by normalized scene units and the drag range.
+//          { broadPhase } - spatial hash collision candidates (default true); false uses the O(n²) loop.
+//          { continuousCollision } - swept ball-wall and ball-collider tests and extra sub-steps for fast balls
+//                                    (default true).
+//          { seed } - optional PRNG seed (default: a random one); all randomness (spawning, emitters) is drawn
+//                     from world.random.
+//          { fixedTimestep } - optional step size in seconds; step() then ignores the delta it is given so
+//                              the same seed, inputs and step count always give identical positions.
+//          { resizeMode } - how resize() refits the world: 'scale' (default) or 'fit', see RESIZE_MODES.
+var World = function(options) {
+    options = options || {};
+    const world = this;
+
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+    this.resizeMode = options.resizeMode || 'scale';
+
+    // Where 'fit' resizes have put the layout: content built for a world layout.width x layout.height in
+    // size now sits at layout.scale times its original coordinates, offset by (layout.x, layout.y).
+    // Fits are worked out from this rather than from the last size, so turning a phone back and forth
+    // does not keep shrinking the layout. clear() starts a new layout at the current size.
+    this.layout = { width: this.width, height: this.height, scale: 1, x: 0, y: 0 };
+
+    this.seed = options.seed;
+    // Unseeded worlds still draw from a PRNG with a random seed, so snapshots can capture its state and
+    // rewinding or replaying a recording spawns the same balls again (emitters draw from it every step)
+    this.random = createRandom(options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296));
+    this.fixedTimestep = options.fixedTimestep || 0;
+    this.stepCount = 0;
+
+    var bodies = this.bodies = [];
+    var walls = this.walls = [];
+    // Static pegs, arcs and polygons (Peg, Arc, ConvexPolygon)
+    var colliders = this.colliders = [];
+    // Links and pins between bodies (see verletConstraints.js), solved in order within each solver iteration
+    var constraints = this.constraints = [];
+    // Force fields, ball emitters and sinks (see verletFields.js)
+    var fields = this.fields = [];
+    var emitters = this.emitters = [];
+    var sinks = this.sinks = [];
+    // Game logic hooked into the step (see addPlugin), run in the order the plugins were added
+    var plugins = this.plugins = [];
+
+    this.gravityVec = new Vec2(0.0, GRAVITY_Y);
+
+    // Touch/Mouse state, written by whatever input layer drives the world: one Pointer per finger, the
+    // first being the mouse or first finger. touch_Pos, touch_Sel and isDragging are that first pointer's.
+    var pointers = this.pointers = [new Pointer()];
+    this.touch_Pos = pointers[0].position;
+    Object.defineProperties(this, {
+        touch_Sel: { get: () => pointers[0].selected, set: (value) => { pointers[0].selected = value; } },
+        isDragging: { get: () => pointers[0].dragging, set: (value) => { pointers[0].dragging = value; } }
+    });
+
+    // Radial field of a two-finger pinch, centered on (x, y) and fading out to nothing at radius: strength
+    // (px/s² at the center) pushes bodies out when positive and pulls them in when negative. 0 is off.
+    this.pinch = { x: 0, y: 0, radius: 0, strength: 0 };
+
+    // Solver settings
+    this.sub_steps = 8;
+    this.solverIterations = 5;
+    this.restitution = 0.9;  // ball-ball; ball-wall bounce and friction are per wall, both per ball material
+    this.friction = 0.2;     // ball-ball
+    this.airDrag = AIR_DRAG; // share of every ball's velocity lost per sub-step, times its material's drag
+    const k = 0.2;
+
+    // Spatial hash broad phase for collision candidates. Set to false for the brute-force O(n²) pair loop.
+    this.broadPhase = options.broadPhase !== undefined ? options.broadPhase : true;
+    const broadPhase = new SpatialHash();
+
+    // Swept ball-wall test after each sub-step's move, so fast balls cannot skip through thin walls. A step
+    // in which some ball would move more than its radius per sub-step also gets extra sub-steps (up to
+    // maxSubSteps) to keep the discrete ball-ball solver stable.
+    this.continuousCollision = options.continuousCollision !== undefined ? options.continuousCollision : true;
+    this.maxSubSteps = 64;
+    const MAX_SWEEP_BOUNCES = 4;
+
+    // Normal speed (per sub-step) below which a ball-wall contact counts as resting; set each step from gravity
+    let restingSpeed = 0;
+
+    // Pairs in contact, for the collision events: contacts.get(body).get(other) is body's contact with
+    // other, stamped with the last step it touched in. Only kept up while trackContacts is set (when there
+    // are collision listeners at the start of a step).
+    const contacts = new Map();
+    let trackContacts = false;
+    // Normal impulse (mass × px per sub-step) of the last contact response. A one-slot typed array, as a
+    // double stored in a closure variable is boxed on every write.
+    const contactImpulse = new Float64Array(1);
+    // Seconds per sub-step of the current step
+    let contactSubDelta = 1;
+
+    // Listeners per event type. on() and off() swap in a new list rather than change the old one, so a
+    // listener can add or remove listeners while an event is being sent out.
+    const listeners = {};
+    for (const type of WORLD_EVENTS) listeners[type] = [];
+
+    function checkEventType(type) {
+        if (!listeners[type]) throw new Error(`Unknown world event "${type}" (expected ${WORLD_EVENTS.join(', ')})`);
+    }
+
+    this.on = function(type, listener) {
+        checkEventType(type);
+        listeners[type] = listeners[type].concat([listener]);
+        return listener;
+    };
+
+    this.off = function(type, listener) {
+        checkEventType(type);
+        listeners[type] = listeners[type].filter((other) => other !== listener);
+    };
+
+    this.hasListeners = function(type) {
+        return listeners[type] !== undefined && listeners[type].length > 0;
+    };
+
+    // Send event (a plain object, given its type here) to the listeners for type
+    this.emit = function(type, event) {
+        checkEventType(type);
+        const list = listeners[type];
+        if (list.length === 0) return;
+        event.type = type;
+        for (let l = 0; l < list.length; l++) list[l](event);
+    };
+
+    // Plugins are objects with any of these hooks, for game logic built on the world:
+    //   install(world)            called by addPlugin, e.g. to add event listeners
+    //   uninstall(world)          called by removePlugin
+    //   force(bodies, subDelta)   called every sub-step after the force fields, like a field's apply()
+    //   beforeStep(world, delta), afterStep(world, delta)   called around every step, before the
+    //                                                       beforeStep and after the afterStep listeners
+    // Plugin state is not part of snapshots or recordings, so a replay needs the same plugins installed.
+    this.addPlugin = function(plugin) {
+        plugins.push(plugin);
+        if (plugin.install) plugin.install(world);
+        return plugin;
+    };
+
+    this.removePlugin = function(plugin) {
+        const index = plugins.indexOf(plugin);
+        if (index === -1) return;
+        plugins.splice(index, 1);
+        if (plugin.uninstall) plugin.uninstall(world);
+    };
+
+    this.addBody = function(body) {
+        bodies.push(body);
+        if (listeners.bodyAdded.length > 0) world.emit('bodyAdded', { body });
+        return body;
+    };
+
+    // Removes the body and every constraint attached to it
+    this.removeBody = function(body) {
+        const index = bodies.indexOf(body);
+        if (index === -1) return;
+        bodies.splice(index, 1);
+        // Keep the drag selections pointing at the same bodies
+        for (const pointer of pointers) {
+            if (pointer.selected === index) pointer.selected = -1;
+            else if (pointer.selected > index) pointer.selected--;
+        }
+
+        for (let c = constraints.length - 1; c >= 0; c--) {
+            if (constraints[c].a === body || constraints[c].b === body) constraints.splice(c, 1);
+        }
+        if (listeners.bodyRemoved.length > 0) world.emit('bodyRemoved', { body });
+    };
+
+    this.addWall = function(wall) {
+        walls.push(wall);
+        return wall;
+    };
+
+    this.removeWall = function(wall) {
+        const index = walls.indexOf(wall);
+        if (index !== -1) walls.splice(index, 1);
+    };
+
+    // Index of the wall whose surface is nearest (x, y), if it is within reach of it, else -1
+    this.findWall = function(x, y, reach) {
+        let nearest = -1;
+        let nearestDistance = reach;
+        for (let i = 0; i < walls.length; i++) {
+            const wall = walls[i];
+            let t = wall.lenSq > 0 ? ((x - wall.p1.x) * wall.dir.x + (y - wall.p1.y) * wall.dir.y) / wall.lenSq : 0;
+            t = Math.max(0, Math.min(1, t));
+            const dx = x - (wall.p1.x + wall.dir.x * t), dy = y - (wall.p1.y + wall.dir.y * t);
+            const distance = Math.sqrt(dx * dx + dy * dy) - wall.thickness / 2;
+            if (distance <= nearestDistance) {
+                nearestDistance = distance;
+                nearest = i;
+            }
+        }
+        return nearest;
+    };
+
+    // Index of the body whose surface is nearest (x, y), if within reach (pixels); -1 otherwise. A point
+    // inside a body is at distance 0 from it, so the body under the pointer wins.
+    this.findBody = function(x, y, reach) {
+        let nearest = -1;
+        let nearestDistance = reach;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            const dx = x - body.position.x, dy = y - body.position.y;
+            const distance = Math.max(0, Math.sqrt(dx * dx + dy * dy) - body.radius);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = i;
+            }
+        }
+        return nearest;
+    };
+
+    // Counts what the body touches: other bodies, walls and colliders closer than tolerance (pixels) to it.
+    // Fills out (default: a new object) as { bodies, walls, colliders }.
+    this.countContacts = function(body, tolerance, out) {
+        out = out || {};
+        out.bodies = 0;
+        out.walls = 0;
+        out.colliders = 0;
+        tolerance = tolerance || 0;
+        const p = body.position;
+        for (const other of bodies) {
+            if (other === body) continue;
+            if (p.distanceTo(other.position) - body.radius - other.radius < tolerance) out.bodies++;
+        }
+        for (const wall of walls) {
+            let t = wall.lenSq > 0 ? ((p.x - wall.p1.x) * wall.dir.x + (p.y - wall.p1.y) * wall.dir.y) / wall.lenSq : 0;
+            t = Math.max(0, Math.min(1, t));
+            const dx = p.x - (wall.p1.x + wall.dir.x * t), dy = p.y - (wall.p1.y + wall.dir.y * t);
+            if (Math.sqrt(dx * dx + dy * dy) - body.radius - wall.thickness / 2 < tolerance) out.walls++;
+        }
+        for (const collider of colliders) {
+            if (colliderGap(collider, p, _closestPoint) - body.radius < tolerance) out.colliders++;
+        }
+        return out;
+    };
+
+    // Seconds per sub-step at the nominal 60 Hz step (or fixedTimestep), which scene files and input
+    // events use to turn velocities per second into the per-sub-step displacement the solver keeps
+    this.subStepSeconds = function() {
+        return (world.fixedTimestep || 1 / 60) / world.sub_steps;
+    };
+
+    this.addCollider = function(collider) {
+        colliders.push(collider);
+        return collider;
+    };
+
+    this.removeCollider = function(collider) {
+        const index = colliders.indexOf(collider);
+        if (index !== -1) colliders.splice(index, 1);
+    };
+
+    this.addConstraint = function(constraint) {
+        constraints.push(constraint);
+        return constraint;
+    };
+
+    this.removeConstraint = function(constraint) {
+        const index = constraints.indexOf(constraint);
+        if (index !== -1) constraints.splice(index, 1);
+    };
+
+    this.addField = function(field) {
+        fields.push(field);
+        return field;
+    };
+
+    this.removeField = function(field) {
+        const index = fields.indexOf(field);
+        if (index !== -1) fields.splice(index, 1);
+    };
+
+    this.addEmitter = function(emitter) {
+        emitters.push(emitter);
+        return emitter;
+    };
+
+    this.removeEmitter = function(emitter) {
+        const index = emitters.indexOf(emitter);
+        if (index !== -1) emitters.splice(index, 1);
+    };
+
+    this.addSink = function(sink) {
+        sinks.push(sink);
+        return sink;
+    };
+
+    this.removeSink = function(sink) {
+        const index = sinks.indexOf(sink);
+        if (index !== -1) sinks.splice(index, 1);
+    };
+
+    // Remove every body, wall, collider, constraint, field, emitter and sink and drop any drag selection
+    this.clear = function() {
+        bodies.length = 0;
+        walls.length = 0;
+        colliders.length = 0;
+        constraints.length = 0;
+        fields.length = 0;
+        emitters.length = 0;
+        sinks.length = 0;
+        pointers.length = 1;
+        world.isDragging = false;
+        world.touch_Sel = -1;
+        world.pinch.strength = 0;
+        contacts.clear();
+        resetLayout();
+    };
+
+    function resetLayout() {
+        const layout = world.layout;
+        layout.width = world.width;
+        layout.height = world.height;
+        layout.scale = 1;
+        layout.x = 0;
+        layout.y = 0;
+    }
+
+    // --- RESIZING ---
+    // Refits the world to new bounds after a window resize or a phone rotation (mode defaults to
+    // world.resizeMode). Wall ends lying on an edge of the old bounds move to the same edge of the new ones,
+    // which rebuilds the border and keeps walls that lean on it attached. Everything else is remapped: with
+    // 'scale' it stretches with the bounds, the way a normalized scene would load at the new size; with
+    // 'fit' the layout keeps its shape and pixel size, centered, and shrinks evenly only if it would not
+    // fit otherwise. Radii, thicknesses and constraint lengths stay in pixels and balls keep their velocity.
+    // A ball left outside the new bounds is moved to the nearest free spot inside them and stopped, and
+    // balls squeezed together by a smaller layout are pushed apart without picking up speed.
+    this.resize = function(width, height, mode) {
+        mode = mode || world.resizeMode;
+        if (!(width > 0 && height > 0)) throw new Error(`World.resize: size must be positive, got ${width} x ${height}`);
+        if (!RESIZE_MODES.includes(mode)) throw new Error(`World.resize: unknown mode "${mode}" (expected ${RESIZE_MODES.join(' or ')})`);
+
+        const oldWidth = world.width, oldHeight = world.height;
+        world.width = width;
+        world.height = height;
+        // Nothing can have been laid out in a world without a size
+        if (!(oldWidth > 0 && oldHeight > 0)) {
+            resetLayout();
+            return;
+        }
+
+        // Positions map to position * scale + offset
+        let scaleX, scaleY, offsetX, offsetY;
+        if (mode === 'scale') {
+            scaleX = width / oldWidth;
+            scaleY = height / oldHeight;
+            offsetX = 0;
+            offsetY = 0;
+            resetLayout();
+        } else {
+            // Undo the current fit, then apply the new one
+            const layout = world.layout;
+            const fit = Math.min(1, width / layout.width, height / layout.height);
+            const x = (width - layout.width * fit) / 2, y = (height - layout.height * fit) / 2;
+            scaleX = scaleY = fit / layout.scale;
+            offsetX = x - layout.x * scaleX;
+            offsetY = y - layout.y * scaleY;
+            layout.scale = fit;
+            layout.x = x;
+            layout.y = y;
+        }
+
+        const mapX = (x) => x * scaleX + offsetX;
+        const mapY = (y) => y * scaleY + offsetY;
+        const edgeX = (x) => Math.abs(x) <= EDGE_TOLERANCE ? 0 : Math.abs(x - oldWidth) <= EDGE_TOLERANCE ? width : mapX(x);
+        const edgeY = (y) => Math.abs(y) <= EDGE_TOLERANCE ? 0 : Math.abs(y - oldHeight) <= EDGE_TOLERANCE ? height : mapY(y);
+
+        for (const wall of walls) {
+            const target1 = wall.target1, target2 = wall.target2;
+            const t1x = edgeX(target1.x), t1y = edgeY(target1.y), t2x = edgeX(target2.x), t2y = edgeY(target2.y);
+            wall.setEndpoints(edgeX(wall.p1.x), edgeY(wall.p1.y), edgeX(wall.p2.x), edgeY(wall.p2.y));
+            wall.moveTo(t1x, t1y, t2x, t2y);
+
+            const motion = wall.motion;
+            if (!motion) continue;
+            const base = motion.base;
+            base[0] = edgeX(base[0]);
+            base[1] = edgeY(base[1]);
+            base[2] = edgeX(base[2]);
+            base[3] = edgeY(base[3]);
+            if (motion.type === 'rotate') motion.pivot.set(mapX(motion.pivot.x), mapY(motion.pivot.y));
+            else if (motion.type === 'path') motion.points = motion.points.map((point) => [point[0] * scaleX, point[1] * scaleY]);
+        }
+
+        // Colliders work out their bounds and edges when they are made, so remapped ones are made anew
+        for (let i = 0; i < colliders.length; i++) {
+            const collider = colliders[i];
+            switch (collider.type) {
+                case 'peg':
+                    colliders[i] = new Peg(mapX(collider.position.x), mapY(collider.position.y), collider.radius,
+                        collider.restitution, collider.friction);
+                    break;
+                case 'arc':
+                    colliders[i] = new Arc(mapX(collider.center.x), mapY(collider.center.y), collider.radius,
+                        collider.startAngle, collider.endAngle, collider.thickness, collider.restitution, collider.friction);
+                    break;
+                case 'polygon':
+                    colliders[i] = new ConvexPolygon(collider.points.map((point) => [mapX(point.x), mapY(point.y)]),
+                        collider.restitution, collider.friction);
+                    break;
+            }
+        }
+
+        for (const constraint of constraints) {
+            if (constraint.anchor) constraint.anchor.set(mapX(constraint.anchor.x), mapY(constraint.anchor.y));
+        }
+
+        // Fields, emitters and sinks move with the layout; round ones keep their radius in pixels like the
+        // pegs, rectangular ones stretch with it
+        for (const list of [fields, emitters, sinks]) {
+            for (const object of list) {
+                object.position.set(mapX(object.position.x), mapY(object.position.y));
+                if (object.halfWidth !== undefined) {
+                    object.halfWidth *= scaleX;
+                    object.halfHeight *= scaleY;
+                }
+            }
+        }
+
+        for (const body of bodies) {
+            const position = body.position;
+            const x = mapX(position.x), y = mapY(position.y);
+            body.previouspos.x += x - position.x;
+            body.previouspos.y += y - position.y;
+            position.set(x, y);
+        }
+        for (const body of bodies) {
+            const x = body.position.x, y = body.position.y, radius = body.radius;
+            if (x < radius || x > width - radius || y < radius || y > height - radius) relocateBody(body);
+        }
+        settleBodies();
+    };
+
+    // Pushes apart the balls a resize squeezed together, then gives every ball back the velocity and spin
+    // it had, so the squeeze does not turn into a burst of speed. Each pass's pushes are swept against the
+    // walls and colliders like a move, so a ball at the bottom of a squeezed pile is not shoved through the
+    // floor.
+    function settleBodies() {
+        const count = bodies.length;
+        const saved = new Float64Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const body = bodies[i];
+            saved[i * 3] = body.position.x - body.previouspos.x;
+            saved[i * 3 + 1] = body.position.y - body.previouspos.y;
+            saved[i * 3 + 2] = body.angle - body.previousAngle;
+        }
+        function collideStatic(body) {
+            for (const wall of walls) collideBodyWall(body, wall);
+            for (const collider of colliders) collideBodyCollider(body, collider, false);
+        }
+
+        // Start every pass with the balls clear of the walls, or a push could carry one past a centerline
+        for (const body of bodies) collideStatic(body);
+        const starts = new Float64Array(count * 2);
+        for (let iter = 0; iter < SETTLE_ITERATIONS; iter++) {
+            for (let i = 0; i < count; i++) {
+                starts[i * 2] = bodies[i].position.x;
+                starts[i * 2 + 1] = bodies[i].position.y;
+            }
+            if (world.broadPhase) {
+                broadPhase.build(bodies, walls, colliders);
+                for (let i = 0; i < count; i++) {
+                    for (let n = 0; n < broadPhase.bodyCandidateCount[i]; n++) {
+                        const j = broadPhase.bodyCandidates[i][n];
+                        if (j > i) collideBodies(bodies[i], bodies[j]);
+                    }
+                }
+            } else {
+                for (let i = 0; i < count; i++) {
+                    for (let j = i + 1; j < count; j++) collideBodies(bodies[i], bodies[j]);
+                }
+            }
+            if (constraints.length > 0) solveConstraints();
+            for (let i = 0; i < count; i++) {
+                const body = bodies[i];
+                body.previouspos.set(starts[i * 2], starts[i * 2 + 1]);
+                sweepBodyWalls(body);
+                collideStatic(body);
+            }
+        }
+        for (let i = 0; i < count; i++) {
+            const body = bodies[i];
+            body.previouspos.set(body.position.x - saved[i * 3], body.position.y - saved[i * 3 + 1]);
+            body.previousAngle = body.angle - saved[i * 3 + 2];
+        }
+    }
+
+    // Moves a ball that ended up outside the bounds to the nearest spot inside where it overlaps no other
+    // ball, wall or collider, searching rings of candidate spots around the closest point inside. If there
+    // is no room nearby it stays at that point and the solver pushes it clear.
+    function relocateBody(body) {
+        const radius = body.radius;
+        const clampX = (x) => world.width > 2 * radius ? Math.max(radius, Math.min(world.width - radius, x)) : world.width / 2;
+        const clampY = (y) => world.height > 2 * radius ? Math.max(radius, Math.min(world.height - radius, y)) : world.height / 2;
+        const startX = clampX(body.position.x), startY = clampY(body.position.y);
+
+        let spotX = startX, spotY = startY;
+        search:
+        for (let ring = 0; ring <= RELOCATE_RINGS; ring++) {
+            const count = ring === 0 ? 1 : ring * 6;
+            for (let i = 0; i < count; i++) {
+                const angle = i / count * Math.PI * 2;
+                const x = clampX(startX + Math.cos(angle) * ring * radius);
+                const y = clampY(startY + Math.sin(angle) * ring * radius);
+                if (isFreeSpot(body, x, y)) {
+                    spotX = x;
+                    spotY = y;
+                    break search;
+                }
+            }
+        }
+
+        body.position.set(spotX, spotY);
+        body.previouspos.set(spotX, spotY);
+        body.previousAngle = body.angle;
+    }
+
+    // True if body would overlap nothing else at (x, y)
+    function isFreeSpot(body, x, y) {
+        const radius = body.radius;
+        for (const other of bodies) {
+            if (other === body) continue;
+            const dx = x - other.position.x, dy = y - other.position.y;
+            if (dx * dx + dy * dy < (radius + other.radius) * (radius + other.radius)) return false;
+        }
+        for (const wall of walls) {
+            let t = wall.lenSq > 0 ? ((x - wall.p1.x) * wall.dir.x + (y - wall.p1.y) * wall.dir.y) / wall.lenSq : 0;
+            t = Math.max(0, Math.min(1, t));
+            const dx = x - (wall.p1.x + wall.dir.x * t), dy = y - (wall.p1.y + wall.dir.y * t);
+            if (Math.sqrt(dx * dx + dy * dy) < radius + wall.thickness / 2) return false;
+        }
+        const point = new Vec2(x, y), closest = new Vec2();
+        for (const collider of colliders) {
+            if (x + radius < collider.minX || x - radius > collider.maxX || y + radius < collider.minY || y - radius > collider.maxY) continue;
+            if (colliderGap(collider, point, closest) < radius) return false;
+        }
+        return true;
+    }
+
+    // --- SNAPSHOTS ---
+    // A snapshot holds the complete dynamic state: every body's position, previouspos, acceleration, radius,
+    // mass, spin, color, material and whether it is frozen, every wall's pose, plus gravity, every pointer's
+    // drag, the pinch, the step counter, the PRNG state, which constraints are still intact and which fields
+    // and emitters there are, with their clocks. Body and wall values are packed into Float64Arrays
+    // (SNAPSHOT_STRIDE numbers per body, WALL_SNAPSHOT_STRIDE per wall) so snapshots are cheap to keep in a
+    // ring buffer. Pass an earlier snapshot as target to reuse its buffers instead of allocating new ones.
+    this.snapshot = function(target) {
+        const snap = target || {
+            bodies: new Float64Array(0), colors: [], materials: [], refs: [], constraints: [],
+            walls: new Float64Array(0), wallRefs: [], gravity: [0, 0], touch_Pos: [0, 0], pointers: [], pinch: [0, 0, 0, 0],
+            fields: [], fieldTimes: [], emitters: [], emitterTimes: []
+        };
+        const count = bodies.length;
+        if (snap.bodies.length < count * SNAPSHOT_STRIDE) snap.bodies = new Float64Array(count * SNAPSHOT_STRIDE * 2);
+        if (snap.walls.length < walls.length * WALL_SNAPSHOT_STRIDE) snap.walls = new Float64Array(walls.length * WALL_SNAPSHOT_STRIDE * 2);
+
+        snap.count = count;
+        snap.stepCount = world.stepCount;
+        snap.gravity[0] = world.gravityVec.x;
+        snap.gravity[1] = world.gravityVec.y;
+        snap.touch_Pos[0] = world.touch_Pos.x;
+        snap.touch_Pos[1] = world.touch_Pos.y;
+        snap.touch_Sel = world.touch_Sel;
+        snap.isDragging = world.isDragging;
+        snap.pointers.length = (pointers.length - 1) * POINTER_SNAPSHOT_STRIDE;
+        for (let p = 1; p < pointers.length; p++) {
+            const o = (p - 1) * POINTER_SNAPSHOT_STRIDE;
+            snap.pointers[o] = pointers[p].position.x;
+            snap.pointers[o + 1] = pointers[p].position.y;
+            snap.pointers[o + 2] = pointers[p].selected;
+            snap.pointers[o + 3] = pointers[p].dragging ? 1 : 0;
+        }
+        const pinch = world.pinch;
+        snap.pinch[0] = pinch.x;
+        snap.pinch[1] = pinch.y;
+        snap.pinch[2] = pinch.radius;
+        snap.pinch[3] = pinch.strength;
+        snap.randomState = world.random.getState ? world.random.getState() : null;
+
+        const data = snap.bodies;
+        snap.colors.length = count;
+        snap.materials.length = count;
+        snap.refs.length = count;
+        for (let i = 0; i < count; i++) {
+            const body = bodies[i];
+            const o = i * SNAPSHOT_STRIDE;
+            data[o] = body.position.x;
+            data[o + 1] = body.position.y;
+            data[o + 2] = body.previouspos.x;
+            data[o + 3] = body.previouspos.y;
+            data[o + 4] = body.acceleration.x;
+            data[o + 5] = body.acceleration.y;
+            data[o + 6] = body.radius;
+            data[o + 7] = body.mass;
+            data[o + 8] = body.angle;
+            data[o + 9] = body.previousAngle;
+            data[o + 10] = body.frozen ? 1 : 0;
+            snap.colors[i] = body.color;
+            snap.materials[i] = body.material;
+            // Same-session identity, so restoring keeps existing Body objects (and the meshes drawn for them)
+            snap.refs[i] = body;
+        }
+
+        snap.wallCount = walls.length;
+        snap.wallRefs.length = walls.length;
+        for (let i = 0; i < walls.length; i++) {
+            const wall = walls[i];
+            const o = i * WALL_SNAPSHOT_STRIDE;
+            snap.walls[o] = wall.p1.x;
+            snap.walls[o + 1] = wall.p1.y;
+            snap.walls[o + 2] = wall.p2.x;
+            snap.walls[o + 3] = wall.p2.y;
+            snap.walls[o + 4] = wall.target1.x;
+            snap.walls[o + 5] = wall.target1.y;
+            snap.walls[o + 6] = wall.target2.x;
+            snap.walls[o + 7] = wall.target2.y;
+            snap.walls[o + 8] = wall.thickness;
+            snap.walls[o + 9] = wall.motion ? wall.motion.time : 0;
+            snap.wallRefs[i] = wall;
+        }
+
+        snap.constraints.length = constraints.length;
+        for (let c = 0; c < constraints.length; c++) snap.constraints[c] = constraints[c];
+
+        snap.fields.length = fields.length;
+        snap.fieldTimes.length = fields.length;
+        for (let f = 0; f < fields.length; f++) {
+            snap.fields[f] = fields[f];
+            snap.fieldTimes[f] = fields[f].time;
+        }
+        snap.emitters.length = emitters.length;
+        snap.emitterTimes.length = emitters.length;
+        for (let e = 0; e < emitters.length; e++) {
+            snap.emitters[e] = emitters[e];
+            snap.emitterTimes[e] = emitters[e].time;
+        }
+        return snap;
+    };
+
+    // Restores a snapshot exactly. Bodies and walls still known from the snapshot are reused, so walls
+    // added or removed since come and go again. A snapshot loaded from JSON has no references, so it reuses
+    // the body or wall at the same index instead (for a recording, the one its scene just loaded, with that
+    // body's constraints and that wall's material and motion) and creates any that are missing. Snapshots
+    // from JSON leave the constraints, fields and emitters as they are, apart from their clocks.
+    this.restore = function(snap) {
+        const data = snap.bodies;
+        bodies.length = snap.count;
+        for (let i = 0; i < snap.count; i++) {
+            const o = i * SNAPSHOT_STRIDE;
+            let body = (snap.refs && snap.refs[i]) || bodies[i];
+            if (!body) body = new Body(data[o], data[o + 1], data[o + 6], snap.colors[i], data[o + 7]);
+            body.position.set(data[o], data[o + 1]);
+            body.previouspos.set(data[o + 2], data[o + 3]);
+            body.acceleration.set(data[o + 4], data[o + 5]);
+            body.radius = data[o + 6];
+            body.mass = data[o + 7];
+            body.angle = data[o + 8];
+            body.previousAngle = data[o + 9];
+            body.frozen = data[o + 10] === 1;
+            body.color = snap.colors[i];
+            body.material = snap.materials[i];
+            bodies[i] = body;
+        }
+
+        world.stepCount = snap.stepCount;
+        world.gravityVec.set(snap.gravity[0], snap.gravity[1]);
+        world.touch_Pos.set(snap.touch_Pos[0], snap.touch_Pos[1]);
+        world.touch_Sel = snap.touch_Sel;
+        world.isDragging = snap.isDragging;
+        // Snapshots from before multi-touch have a single pointer and no pinch
+        const extraPointers = snap.pointers ? snap.pointers.length / POINTER_SNAPSHOT_STRIDE : 0;
+        pointers.length = 1 + extraPointers;
+        for (let p = 1; p < pointers.length; p++) {
+            const o = (p - 1) * POINTER_SNAPSHOT_STRIDE;
+            const pointer = pointers[p] || (pointers[p] = new Pointer());
+            pointer.position.set(snap.pointers[o], snap.pointers[o + 1]);
+            pointer.selected = snap.pointers[o + 2];
+            pointer.dragging = snap.pointers[o + 3] === 1;
+        }
+        const pinch = snap.pinch || [0, 0, 0, 0];
+        world.pinch.x = pinch[0];
+        world.pinch.y = pinch[1];
+        world.pinch.radius = pinch[2];
+        world.pinch.strength = pinch[3];
+        if (snap.randomState !== null && world.random.setState) world.random.setState(snap.randomState);
+
+        if (snap.walls) {
+            const wallData = snap.walls;
+            walls.length = snap.wallCount;
+            for (let i = 0; i < snap.wallCount; i++) {
+                const o = i * WALL_SNAPSHOT_STRIDE;
+                let wall = (snap.wallRefs && snap.wallRefs[i]) || walls[i];
+                if (!wall) wall = new Wall(wallData[o], wallData[o + 1], wallData[o + 2], wallData[o + 3], wallData[o + 8]);
+                wall.setEndpoints(wallData[o], wallData[o + 1], wallData[o + 2], wallData[o + 3]);
+                wall.moveTo(wallData[o + 4], wallData[o + 5], wallData[o + 6], wallData[o + 7]);
+                wall.thickness = wallData[o + 8];
+                if (wall.motion) wall.motion.time = wallData[o + 9];
+                walls[i] = wall;
+            }
+        }
+
+        if (snap.constraints) {
+            constraints.length = snap.constraints.length;
+            for (let c = 0; c < snap.constraints.length; c++) {
+                constraints[c] = snap.constraints[c];
+                constraints[c].broken = false;
+            }
+        }
+
+        restoreClocks(fields, snap.fields, snap.fieldTimes);
+        restoreClocks(emitters, snap.emitters, snap.emitterTimes);
+        contacts.clear();
+    };
+
+    // Puts back the listed fields or emitters (refs) with their clocks (times). Without refs, as from JSON,
+    // the clocks go to the ones at the same index.
+    function restoreClocks(list, refs, times) {
+        if (!times) return;
+        if (refs && refs.length === times.length) {
+            list.length = refs.length;
+            for (let i = 0; i < refs.length; i++) list[i] = refs[i];
+        }
+        for (let i = 0; i < Math.min(list.length, times.length); i++) {
+            list[i].time = times[i];
+            if (list[i].done) list[i].done = false;
+        }
+    }
+
+    // The pointer in slot index (0 is the first pointer), adding idle pointers up to it
+    this.pointer = function(index) {
+        while (pointers.length <= index) pointers.push(new Pointer());
+        return pointers[index];
+    };
+
+    function isHeld(index, except) {
+        for (const pointer of pointers) {
+            if (pointer !== except && pointer.selected === index) return true;
+        }
+        return false;
+    }
+
+    // Select the body nearest the pointer (default: the first) for dragging, if one is within a third of
+    // the world width. Frozen bodies and bodies held by other pointers are passed over.
+    this.selectObject = function(pointer) {
+        pointer = pointer || pointers[0];
+        let distTestMax = Infinity;
+        let selectedIndex = -1;
+        for (let i = 0; i < bodies.length; i++) {
+            const distTest = bodies[i].position.distanceTo(pointer.position);
+            if (distTest < distTestMax && !bodies[i].frozen && !isHeld(i, pointer)) {
+                distTestMax = distTest;
+                selectedIndex = i;
+            }
+        }
+
+        if (selectedIndex !== -1 && distTestMax < world.width / 3) {
+            pointer.selected = selectedIndex;
+        } else {
+            pointer.selected = -1;
+        }
+    };
+
+    // Returns true if a circle at (x, y) would overlap an existing body
+    this.overlapsBody = function(x, y, radius) {
+        for (const other of bodies) {
+            const dx = x - other.position.x, dy = y - other.position.y;
+            if (Math.sqrt(dx * dx + dy * dy) < radius + other.radius) return true;
+        }
+        return false;
+    };
+
+    function UseTheForce(body, target) {
+        // **MODIFIED**: Increased gravitational constant for a stronger pull on all devices.
+        const G = 6.674e2;
+        const touchMass = 1e6;
+
+        const toCursor = _toCursor.subVectors(target, body.position);
+        const distanceSq = toCursor.lengthSq();
+
+        // Prevent extreme gravitational forces when the ball is very close
+        if (distanceSq < (body.radius * body.radius * 4)) {
+            return;
+        }
+
+        const forceMagnitude = G * (touchMass * body.mass) / distanceSq;
+        const force = toCursor.normalize().multiplyScalar(forceMagnitude);
+
+        body.acceleration.addScaledVector(force, 1 / body.mass);
+    }
+
+    // sub_delta: seconds per sub-step, for fields that work on velocity
+    this.applyForces = function(sub_delta) {
+        for (const body of bodies) {
+            body.acceleration.add(world.gravityVec);
+        }
+        for (let f = 0; f < fields.length; f++) fields[f].apply(bodies, sub_delta);
+
+        for (const pointer of pointers) {
+            if (pointer.selected === -1) continue;
+            const selectedBody = bodies[pointer.selected];
+            // Only apply the gravity attraction when not actively dragging with the spring.
+            if (!pointer.dragging) {
+                UseTheForce(selectedBody, pointer.position);
+            }
+            selectedBody.acceleration.addScaledVector(world.gravityVec, -1);
+        }
+
+        if (world.pinch.strength !== 0) applyPinch();
+
+        for (let p = 0; p < plugins.length; p++) {
+            if (plugins[p].force) plugins[p].force(bodies, sub_delta);
+        }
+    };
+
+    // Pinch field on every body no pointer holds, strongest at the center and fading out linearly
+    function applyPinch() {
+        const pinch = world.pinch;
+        for (let i = 0; i < bodies.length; i++) {
+            if (isHeld(i, null)) continue;
+            const body = bodies[i];
+            const dx = body.position.x - pinch.x, dy = body.position.y - pinch.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            // Nothing to push along at the very center
+            if (distance >= pinch.radius || distance < body.radius) continue;
+            const push = pinch.strength * (1 - distance / pinch.radius) / distance;
+            body.acceleration.x += dx * push;
+            body.acceleration.y += dy * push;
+        }
+    }
+
+    // The pair functions below run tens of thousands of times per step, so they work on scalar locals
+    // instead of Vec2 temporaries: nothing is allocated and no double is boxed across a call.
+    function collideBodyWall(body, wall) {
+        if (body.frozen) return false;
+        const position = body.position, previouspos = body.previouspos;
+        const p1 = wall.p1, dir = wall.dir;
+
+        let t = ((position.x - p1.x) * dir.x + (position.y - p1.y) * dir.y) / wall.lenSq;
+        t = Math.max(0, Math.min(1, t));
+
+        // dist_vec = position - closest point on the centerline
+        let normalX = position.x - (p1.x + dir.x * t);
+        let normalY = position.y - (p1.y + dir.y * t);
+        const distance = Math.sqrt(normalX * normalX + normalY * normalY);
+
+        const collision_dist = body.radius + (wall.thickness / 2);
+
+        if (distance < collision_dist) {
+            const overlap = collision_dist - distance;
+            const invLength = 1 / (distance || 1);
+            normalX *= invLength;
+            normalY *= invLength;
+
+            // Push out without changing velocity; the contact response below sets the velocity
+            position.x += normalX * overlap;
+            position.y += normalY * overlap;
+            previouspos.x += normalX * overlap;
+            previouspos.y += normalY * overlap;
+
+            _contactNormal.x = normalX;
+            _contactNormal.y = normalY;
+            wallContact(body, wall, _contactNormal);
+            return true;
+        }
+        return false;
+    }
+
+    // Ball-wall contact. A moving wall's velocity where the ball touches it is added to the ball's previous
+    // position for the response, so the response works on the velocity relative to the wall, and taken
+    // off again afterwards.
+    function wallContact(body, wall, normal) {
+        const v1 = wall.velocity1, v2 = wall.velocity2;
+        if (v1.x === 0 && v1.y === 0 && v2.x === 0 && v2.y === 0) {
+            surfaceContact(body, wall, normal);
+            return;
+        }
+        const position = body.position, previouspos = body.previouspos;
+        const p1 = wall.p1, dir = wall.dir;
+        const t = Math.max(0, Math.min(1, ((position.x - p1.x) * dir.x + (position.y - p1.y) * dir.y) / wall.lenSq));
+        const wallVelocityX = v1.x + (v2.x - v1.x) * t;
+        const wallVelocityY = v1.y + (v2.y - v1.y) * t;
+        previouspos.x += wallVelocityX;
+        previouspos.y += wallVelocityY;
+        surfaceContact(body, wall, normal);
+        previouspos.x -= wallVelocityX;
+        previouspos.y -= wallVelocityY;
+    }
+
+    // Contact response against a fixed surface with the material of a wall or collider (combined with the
+    // ball's material, if it has one). The normal part bounces with that restitution, unless the ball arrives slower than gravity alone would
+    // bring it in: that is a resting contact and the normal speed is just cancelled, so a ball lying on a
+    // surface does not micro-bounce. The tangential part is Coulomb friction on the contact point, whose
+    // velocity includes the spin: it removes at most friction times the normal impulse of slip, and turns
+    // it into spin as well as slowing the ball. Once the slip is gone the ball rolls.
+    function surfaceContact(body, surface, normal) {
+        const position = body.position, previouspos = body.previouspos;
+        const normalX = normal.x, normalY = normal.y;
+        let velocityX = position.x - previouspos.x;
+        let velocityY = position.y - previouspos.y;
+        const vDotN = velocityX * normalX + velocityY * normalY;
+        if (vDotN >= 0) {
+            contactImpulse[0] = 0;
+            return;
+        }
+
+        const material = body.material;
+        const restitution = material !== null ? Math.sqrt(material.restitution * surface.restitution) : surface.restitution;
+        const bounce = -vDotN > restingSpeed ? restitution : 0;
+        const normalImpulse = -(1 + bounce) * vDotN;
+        contactImpulse[0] = body.mass * normalImpulse;
+
+        // Slip of the contact point, which sits at -normal * radius from the center
+        const radius = body.radius;
+        const spin = body.angle - body.previousAngle;
+        const slipX = velocityX - normalX * vDotN + spin * normalY * radius;
+        const slipY = velocityY - normalY * vDotN - spin * normalX * radius;
+        const slipSpeed = Math.sqrt(slipX * slipX + slipY * slipY);
+
+        velocityX += normalX * normalImpulse;
+        velocityY += normalY * normalImpulse;
+
+        if (slipSpeed > 0) {
+            // Friction impulse per unit mass; stopping the slip takes slip / (1 + 1 / SPHERE_INERTIA)
+            const coefficient = material !== null ? Math.sqrt(material.friction * surface.friction) : surface.friction;
+            const friction = Math.min(slipSpeed / (1 + 1 / SPHERE_INERTIA), coefficient * normalImpulse);
+            const tangentX = slipX / slipSpeed, tangentY = slipY / slipSpeed;
+            velocityX -= tangentX * friction;
+            velocityY -= tangentY * friction;
+            body.previousAngle -= (normalX * tangentY - normalY * tangentX) * friction / (SPHERE_INERTIA * radius);
+        }
+
+        previouspos.x = position.x - velocityX;
+        previouspos.y = position.y - velocityY;
+    }
+
+    // Ball against a static collider: the ball keeps radius (plus the arc's half thickness, or the peg's
+    // radius) away from the closest point of the shape, or is pushed back out through the nearest edge
+    // if its center got inside a polygon. With touching, the ball is known to be in contact (it was just
+    // swept there) and gets the contact response even when rounding left it a hair short of touching.
+    function collideBodyCollider(body, collider, touching) {
+        if (body.frozen) return false;
+        const position = body.position, previouspos = body.previouspos;
+        let reach = 0;
+        let inside = false;
+        switch (collider.type) {
+            case 'peg':
+                _closestPoint.copy(collider.position);
+                reach = collider.radius;
+                break;
+            case 'arc':
+                closestOnArc(collider, position, _closestPoint);
+                reach = collider.thickness / 2;
+                break;
+            default:
+                inside = closestOnPolygon(collider, position, _closestPoint);
+        }
+
+        let normalX = position.x - _closestPoint.x;
+        let normalY = position.y - _closestPoint.y;
+        const distance = Math.sqrt(normalX * normalX + normalY * normalY);
+        const collision_dist = body.radius + reach;
+        if (!inside && !touching && distance >= collision_dist) return false;
+
+        if (distance > 0) {
+            // From inside a polygon the way out is from the center to the closest point
+            const invLength = (inside ? -1 : 1) / distance;
+            normalX *= invLength;
+            normalY *= invLength;
+        } else if (collider.type === 'polygon') {
+            const edgeNormal = collider.edges[collider.closestEdge].normal;
+            normalX = edgeNormal.x;
+            normalY = edgeNormal.y;
+        } else {
+            normalX = 0;
+            normalY = -1;
+        }
+
+        // Push out without changing velocity; the contact response below sets the velocity
+        const overlap = inside ? collision_dist + distance : Math.max(0, collision_dist - distance);
+        position.x += normalX * overlap;
+        position.y += normalY * overlap;
+        previouspos.x += normalX * overlap;
+        previouspos.y += normalY * overlap;
+
+        _contactNormal.x = normalX;
+        _contactNormal.y = normalY;
+        surfaceContact(body, collider, _contactNormal);
+        return true;
+    }
+
+    function collideBodies(body, other) {
+        const position = body.position, previouspos = body.previouspos;
+        const otherPosition = other.position, otherPreviouspos = other.previouspos;
+
+        let normalX = position.x - otherPosition.x;
+        let normalY = position.y - otherPosition.y;
+        const dist = Math.sqrt(normalX * normalX + normalY * normalY);
+        const target = body.radius + other.radius;
+
+        if (dist > 0 && dist < target) {
+            const invLength = 1 / dist;
+            normalX *= invLength;
+            normalY *= invLength;
+            const overlap = target - dist;
+
+            const totalMass = body.mass + other.mass;
+            const correctionX = normalX * overlap, correctionY = normalY * overlap;
+            let bodyShare = other.mass / totalMass, otherShare = -(body.mass / totalMass);
+            // A frozen body acts as if infinitely heavy
+            const bodyFrozen = body.frozen, otherFrozen = other.frozen;
+            if (bodyFrozen || otherFrozen) {
+                if (bodyFrozen && otherFrozen) return false;
+                bodyShare = bodyFrozen ? 0 : 1;
+                otherShare = otherFrozen ? 0 : -1;
+            }
+            position.x += correctionX * bodyShare;
+            position.y += correctionY * bodyShare;
+            otherPosition.x += correctionX * otherShare;
+            otherPosition.y += correctionY * otherShare;
+
+            const relVelX = (position.x - previouspos.x) - (otherPosition.x - otherPreviouspos.x);
+            const relVelY = (position.y - previouspos.y) - (otherPosition.y - otherPreviouspos.y);
+            const v_rel_n = relVelX * normalX + relVelY * normalY;
+
+            if (v_rel_n > 0) {
+                contactImpulse[0] = 0;
+                return true;
+            }
+
+            const bodyInv = bodyFrozen ? 0 : 1 / body.mass, otherInv = otherFrozen ? 0 : 1 / other.mass;
+            const total_inv_mass = bodyInv + otherInv;
+            // Balls without a material use the world's values
+            const bodyMaterial = body.material, otherMaterial = other.material;
+            let restitution = world.restitution, frictionCoefficient = world.friction;
+            if (bodyMaterial !== null || otherMaterial !== null) {
+                restitution = Math.sqrt((bodyMaterial !== null ? bodyMaterial.restitution : world.restitution) *
+                    (otherMaterial !== null ? otherMaterial.restitution : world.restitution));
+                frictionCoefficient = Math.sqrt((bodyMaterial !== null ? bodyMaterial.friction : world.friction) *
+                    (otherMaterial !== null ? otherMaterial.friction : world.friction));
+            }
+            const j = -(1 + restitution) * v_rel_n / total_inv_mass;
+            contactImpulse[0] = j;
+            const impulseX = normalX * j, impulseY = normalY * j;
+            const bodyInvMass = -bodyInv, otherInvMass = otherInv;
+
+            previouspos.x += impulseX * bodyInvMass;
+            previouspos.y += impulseY * bodyInvMass;
+            otherPreviouspos.x += impulseX * otherInvMass;
+            otherPreviouspos.y += impulseY * otherInvMass;
+
+            // Coulomb friction on the slip between the two contact points (at -normal * radius on body and
+            // +normal * radius on other), capped at friction times the normal impulse
+            const spinSpeed = (body.angle - body.previousAngle) * body.radius + (other.angle - other.previousAngle) * other.radius;
+            const slipX = relVelX - normalX * v_rel_n + normalY * spinSpeed;
+            const slipY = relVelY - normalY * v_rel_n - normalX * spinSpeed;
+            const slipSpeed = Math.sqrt(slipX * slipX + slipY * slipY);
+            if (slipSpeed > 0) {
+                const friction = Math.min(slipSpeed / ((1 + 1 / SPHERE_INERTIA) * total_inv_mass), frictionCoefficient * j);
+                const tangentX = slipX / slipSpeed, tangentY = slipY / slipSpeed;
+                const torque = (normalX * tangentY - normalY * tangentX) * friction / SPHERE_INERTIA;
+                if (!bodyFrozen) {
+                    previouspos.x += tangentX * friction / body.mass;
+                    previouspos.y += tangentY * friction / body.mass;
+                    body.previousAngle -= torque / (body.mass * body.radius);
+                }
+                if (!otherFrozen) {
+                    otherPreviouspos.x -= tangentX * friction / other.mass;
+                    otherPreviouspos.y -= tangentY * friction / other.mass;
+                    other.previousAngle -= torque / (other.mass * other.radius);
+                }
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // Continuous collision against walls and colliders for the move updatePosition just made
+    // (previouspos -> position). The ball is stopped at the first wall or collider it would reach, bounced
+    // off it, and carried on for the rest of the sub-step, which is swept again in case it reaches another.
+    // Moving walls have already made this sub-step's move and are swept where they now stand.
+    function sweepBodyWalls(body) {
+        if (body.frozen) return;
+        const position = body.position, previouspos = body.previouspos;
+        let x0 = previouspos.x, y0 = previouspos.y;
+        let dx = position.x - x0, dy = position.y - y0;
+
+        // A ball has to move at least its radius to get past a wall's centerline in one sub-step
+        if (dx * dx + dy * dy < body.radius * body.radius) return;
+
+        for (let bounce = 0; bounce < MAX_SWEEP_BOUNCES; bounce++) {
+            let toi = Infinity;
+            let hit = null;
+            let hitCollider = null;
+            for (const wall of walls) {
+                const s = sweepCircleWall(x0, y0, dx, dy, body.radius, wall);
+                if (s < toi) {
+                    toi = s;
+                    hit = wall;
+                }
+            }
+            for (const collider of colliders) {
+                const s = sweepCircleCollider(x0, y0, dx, dy, body.radius, collider);
+                if (s < toi) {
+                    toi = s;
+                    hitCollider = collider;
+                }
+            }
+            if (hitCollider) hit = null;
+            else if (!hit) return;
+
+            // Move to the contact and bounce there
+            const contactX = x0 + dx * toi, contactY = y0 + dy * toi;
+            const velocityX = position.x - previouspos.x, velocityY = position.y - previouspos.y;
+            position.x = contactX;
+            position.y = contactY;
+            previouspos.x = contactX - velocityX;
+            previouspos.y = contactY - velocityY;
+            if (hit) {
+                const p1 = hit.p1, dir = hit.dir;
+                let t = hit.lenSq > 0 ? ((contactX - p1.x) * dir.x + (contactY - p1.y) * dir.y) / hit.lenSq : 0;
+                t = Math.max(0, Math.min(1, t));
+                let normalX = contactX - (p1.x + dir.x * t);
+                let normalY = contactY - (p1.y + dir.y * t);
+                const invLength = 1 / (Math.sqrt(normalX * normalX + normalY * normalY) || 1);
+                normalX *= invLength;
+                normalY *= invLength;
+                _contactNormal.x = normalX;
+                _contactNormal.y = normalY;
+                wallContact(body, hit, _contactNormal);
+                if (trackContacts) touchContact(body, hit, 'wall');
+            } else {
+                collideBodyCollider(body, hitCollider, true);
+                if (trackContacts) touchContact(body, hitCollider, 'collider');
+            }
+            const bouncedX = position.x - previouspos.x, bouncedY = position.y - previouspos.y;
+
+            // Out of bounces: park the ball at the contact and let the next sub-step carry it on
+            const remaining = bounce < MAX_SWEEP_BOUNCES - 1 ? 1 - toi : 0;
+            x0 = contactX;
+            y0 = contactY;
+            dx = bouncedX * remaining;
+            dy = bouncedY * remaining;
+            position.x = contactX + dx;
+            position.y = contactY + dy;
+            previouspos.x = position.x - bouncedX;
+            previouspos.y = position.y - bouncedY;
+        }
+    }
+
+    // Sub-steps for the next step: sub_steps, or more if some ball would move further than its radius per
+    // sub-step, or some wall further than half the distance at which it touches the smallest ball (so it
+    // cannot get to a ball's center and push it out the wrong side), capped at maxSubSteps
+    this.subStepsNeeded = function() {
+        let maxRatioSq = 0;
+        let minRadius = Infinity;
+        for (const body of bodies) {
+            const dx = body.position.x - body.previouspos.x, dy = body.position.y - body.previouspos.y;
+            const ratioSq = (dx * dx + dy * dy) / (body.radius * body.radius);
+            if (ratioSq > maxRatioSq) maxRatioSq = ratioSq;
+            if (body.radius < minRadius) minRadius = body.radius;
+        }
+        for (const wall of walls) {
+            if (!wall.isMoving()) continue;
+            const dx1 = wall.target1.x - wall.p1.x, dy1 = wall.target1.y - wall.p1.y;
+            const dx2 = wall.target2.x - wall.p2.x, dy2 = wall.target2.y - wall.p2.y;
+            const reach = (wall.thickness / 2 + minRadius) / 2 * world.sub_steps;
+            const ratioSq = Math.max(dx1 * dx1 + dy1 * dy1, dx2 * dx2 + dy2 * dy2) / (reach * reach);
+            if (ratioSq > maxRatioSq) maxRatioSq = ratioSq;
+        }
+        if (maxRatioSq <= 1) return world.sub_steps;
+        return Math.min(world.maxSubSteps, Math.max(world.sub_steps, Math.ceil(world.sub_steps * Math.sqrt(maxRatioSq))));
+    };
+
+    // Solve every constraint once and drop the ones that broke
+    function solveConstraints() {
+        let broken = 0;
+        for (let c = 0; c < constraints.length; c++) {
+            const constraint = constraints[c];
+            if (!constraint.broken) constraint.solve();
+            if (constraint.broken) broken++;
+        }
+        if (broken === 0) return;
+        let kept = 0;
+        for (let c = 0; c < constraints.length; c++) {
+            if (!constraints[c].broken) constraints[kept++] = constraints[c];
+        }
+        constraints.length = kept;
+    }
+
+    // Sets the endpoint velocities of the walls that move this step, so they reach their targets after
+    // sub_steps sub-steps. Returns the number of moving walls.
+    function startWallMoves(sub_steps) {
+        let moving = 0;
+        for (const wall of walls) {
+            if (!wall.isMoving()) continue;
+            wall.velocity1.subVectors(wall.target1, wall.p1).divideScalar(sub_steps);
+            wall.velocity2.subVectors(wall.target2, wall.p2).divideScalar(sub_steps);
+            moving++;
+        }
+        return moving;
+    }
+
+    // One sub-step of wall movement; the last one lands exactly on the targets and stops the walls
+    function moveWalls(last) {
+        for (const wall of walls) {
+            if (wall.velocity1.x === 0 && wall.velocity1.y === 0 && wall.velocity2.x === 0 && wall.velocity2.y === 0) continue;
+            if (last) {
+                wall.p1.copy(wall.target1);
+                wall.p2.copy(wall.target2);
+            } else {
+                wall.p1.add(wall.velocity1);
+                wall.p2.add(wall.velocity2);
+            }
+            wall.updateGeometry();
+        }
+    }
+
+    function stopWalls() {
+        for (const wall of walls) {
+            wall.velocity1.set(0, 0);
+            wall.velocity2.set(0, 0);
+        }
+    }
+
+    function rescaleVelocities(scale) {
+        for (const body of bodies) {
+            const position = body.position, previouspos = body.previouspos;
+            previouspos.x = position.x - (position.x - previouspos.x) * scale;
+            previouspos.y = position.y - (position.y - previouspos.y) * scale;
+            body.previousAngle = body.angle - (body.angle - body.previousAngle) * scale;
+        }
+    }
+
+    // Change the number of sub-steps per step. Velocity and spin are stored per sub-step, so they are
+    // rescaled to keep every ball moving at the same speed.
+    this.setSubSteps = function(count) {
+        if (count !== world.sub_steps) rescaleVelocities(world.sub_steps / count);
+        world.sub_steps = count;
+    };
+
+    this.solveCollisions = function() {
+        const solverIterations = world.solverIterations;
+
+        if (world.broadPhase) {
+            // Candidate pairs are gathered once per sub-step and visited in the same order as the
+            // brute-force loop, so both paths give identical results. If the solver pushes a body further
+            // than the hash margin allows, the hash is rebuilt on the spot and the loop resumes after the
+            // last pair it visited (candidate lists are sorted).
+            broadPhase.build(bodies, walls, colliders);
+
+            for (let iter = 0; iter < solverIterations; iter++) {
+                for (let i = 0; i < bodies.length; i++) {
+                    const body = bodies[i];
+
+                    let lastWall = -1;
+                    for (let w = 0; w < broadPhase.wallCandidateCount[i]; w++) {
+                        const index = broadPhase.wallCandidates[i][w];
+                        if (index <= lastWall) continue;
+                        lastWall = index;
+                        if (!collideBodyWall(body, walls[index])) continue;
+                        if (trackContacts) touchContact(body, walls[index], 'wall');
+                        if (broadPhase.moved(i, body)) {
+                            broadPhase.build(bodies, walls, colliders);
+                            w = -1;
+                        }
+                    }
+
+                    let lastCollider = -1;
+                    for (let c = 0; c < broadPhase.colliderCandidateCount[i]; c++) {
+                        const index = broadPhase.colliderCandidates[i][c];
+                        if (index <= lastCollider) continue;
+                        lastCollider = index;
+                        if (!collideBodyCollider(body, colliders[index], false)) continue;
+                        if (trackContacts) touchContact(body, colliders[index], 'collider');
+                        if (broadPhase.moved(i, body)) {
+                            broadPhase.build(bodies, walls, colliders);
+                            c = -1;
+                        }
+                    }
+
+                    let lastBody = i;
+                    for (let n = 0; n < broadPhase.bodyCandidateCount[i]; n++) {
+                        const j = broadPhase.bodyCandidates[i][n];
+                        if (j <= lastBody) continue;
+                        lastBody = j;
+                        const other = bodies[j];
+                        if (!collideBodies(body, other)) continue;
+                        if (trackContacts) touchContact(body, other, 'body');
+                        if (broadPhase.moved(i, body) || broadPhase.moved(j, other)) {
+                            broadPhase.build(bodies, walls, colliders);
+                            n = -1;
+                        }
+                    }
+                }
+
+                if (constraints.length > 0) {
+                    solveConstraints();
+                    for (let i = 0; i < bodies.length; i++) {
+                        if (broadPhase.moved(i, bodies[i])) {
+                            broadPhase.build(bodies, walls, colliders);
+                            break;
+                        }
+                    }
+                }
+            }
+        } else {
+            for (let iter = 0; iter < solverIterations; iter++) {
+                for (let i = 0; i < bodies.length; i++) {
+                    const body = bodies[i];
+                    for (const wall of walls) {
+                        if (collideBodyWall(body, wall) && trackContacts) touchContact(body, wall, 'wall');
+                    }
+                    for (const collider of colliders) {
+                        if (collideBodyCollider(body, collider, false) && trackContacts) touchContact(body, collider, 'collider');
+                    }
+                    for (let j = i + 1; j < bodies.length; j++) {
+                        if (collideBodies(body, bodies[j]) && trackContacts) touchContact(body, bodies[j], 'body');
+                    }
+                }
+                if (constraints.length > 0) solveConstraints();
+            }
+        }
+
+        for (const pointer of pointers) {
+            if (!pointer.dragging || pointer.selected === -1) continue;
+            const body = bodies[pointer.selected];
+            const toCursor = _toCursor.subVectors(pointer.position, body.position);
+
+            if (toCursor.length() < (body.radius * 4)) {
+                const spring_velocity = toCursor.multiplyScalar(k);
+                body.position.add(spring_velocity);
+            } else {
+                UseTheForce(body, pointer.position);
+            }
+        }
+    };
+
+    // Velocity of every body (x, y per body) after its move in the current sub-step, before any contact
+    let movedVelocities = new Float64Array(0);
+
+    function recordVelocities() {
+        if (movedVelocities.length < bodies.length * 2) movedVelocities = new Float64Array(bodies.length * 4);
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            movedVelocities[i * 2] = body.position.x - body.previouspos.x;
+            movedVelocities[i * 2 + 1] = body.position.y - body.previouspos.y;
+        }
+    }
+
+    // Adds what the collisions, constraints and drags just did to each body's velocity to its impulse
+    function accumulateImpulses(sub_delta) {
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            const dvx = body.position.x - body.previouspos.x - movedVelocities[i * 2];
+            const dvy = body.position.y - body.previouspos.y - movedVelocities[i * 2 + 1];
+            body.impulse += body.mass * Math.sqrt(dvx * dvx + dvy * dvy) / sub_delta;
+        }
+    }
+
+    // Advance the world by delta seconds (or by fixedTimestep when it is set)
+    this.step = function(delta) {
+        if (world.fixedTimestep) delta = world.fixedTimestep;
+        for (let p = 0; p < plugins.length; p++) {
+            if (plugins[p].beforeStep) plugins[p].beforeStep(world, delta);
+        }
+        if (listeners.beforeStep.length > 0) world.emit('beforeStep', { delta });
+        world.stepCount++;
+
+        trackContacts = listeners.collisionStart.length > 0 || listeners.collisionEnd.length > 0;
+        if (!trackContacts && contacts.size > 0) contacts.clear();
+
+        for (let e = 0; e < emitters.length; e++) emitters[e].emit(world, delta);
+
+        // Kinematic walls pick where they will be at the end of this step
+        for (const wall of walls) {
+            if (!wall.motion) continue;
+            wall.motion.time += delta;
+            wall.motion.pose(wall);
+        }
+
+        const sub_steps = world.continuousCollision ? world.subStepsNeeded() : world.sub_steps;
+        const sub_delta = delta / sub_steps;
+        contactSubDelta = sub_delta;
+
+        // Slower than two sub-steps of gravity: resting contact rather than an impact
+        restingSpeed = world.gravityVec.length() * sub_delta * sub_delta * 2;
+
+        // Velocity is stored as displacement per sub-step, so rescale it while running extra sub-steps
+        const scale = world.sub_steps / sub_steps;
+        if (scale !== 1) rescaleVelocities(scale);
+
+        const movingWalls = startWallMoves(sub_steps);
+
+        for (const body of bodies) body.impulse = 0;
+        for (let i = 0; i < sub_steps; i++) {
+            if (movingWalls > 0) moveWalls(i === sub_steps - 1);
+            world.applyForces(sub_delta);
+            for (const body of bodies) body.updatePosition(sub_delta, world.airDrag);
+            recordVelocities();
+            if (world.continuousCollision) {
+                for (const body of bodies) sweepBodyWalls(body);
+            }
+            world.solveCollisions();
+            accumulateImpulses(sub_delta);
+        }
+
+        if (movingWalls > 0) stopWalls();
+        if (scale !== 1) rescaleVelocities(1 / scale);
+
+        if (fields.length > 0) advanceFields(delta);
+        for (let s = 0; s < sinks.length; s++) sinks[s].drain(world);
+
+        if (trackContacts) emitContactEvents();
+        if (listeners.afterStep.length > 0) world.emit('afterStep', { delta });
+        for (let p = 0; p < plugins.length; p++) {
+            if (plugins[p].afterStep) plugins[p].afterStep(world, delta);
+        }
+    };
+
+    // Adds the last contact response between body and other (kind 'body', 'wall' or 'collider') to the
+    // impulse of their contact this step
+    function touchContact(body, other, kind) {
+        let pairs = contacts.get(body);
+        let contact = pairs && pairs.get(other);
+        if (!contact && kind === 'body') {
+            const otherPairs = contacts.get(other);
+            contact = otherPairs && otherPairs.get(body);
+        }
+        if (!contact) {
+            if (!pairs) contacts.set(body, pairs = new Map());
+            contact = { a: body, b: other, kind: kind, impulse: 0, step: -1, touching: false };
+            pairs.set(other, contact);
+        }
+        if (contact.step !== world.stepCount) {
+            contact.step = world.stepCount;
+            contact.impulse = 0;
+        }
+        contact.impulse += contactImpulse[0] / contactSubDelta;
+    }
+
+    // collisionStart for the pairs that touched for the first time this step, collisionEnd for the ones
+    // that did not touch at all
+    function emitContactEvents() {
+        for (const [body, pairs] of contacts) {
+            for (const [other, contact] of pairs) {
+                if (contact.step !== world.stepCount) {
+                    pairs.delete(other);
+                    world.emit('collisionEnd', { a: contact.a, b: contact.b, kind: contact.kind });
+                } else if (!contact.touching) {
+                    contact.touching = true;
+                    world.emit('collisionStart', { a: contact.a, b: contact.b, kind: contact.kind, impulse: contact.impulse });
+                }
+            }
+            if (pairs.size === 0) contacts.delete(body);
+        }
+    }
+
+    // Runs the fields' clocks and drops the ones that are done, such as spent explosions
+    function advanceFields(delta) {
+        let kept = 0;
+        for (let f = 0; f < fields.length; f++) {
+            const field = fields[f];
+            if (field.advance) field.advance(delta);
+            else field.time += delta;
+            if (!field.done) fields[kept++] = field;
+        }
+        fields.length = kept;
+    }
+};
+
+//================================//
+//      RANDOM SPAWNING
+//================================//
+// Spawns count random balls inside a region without overlapping existing bodies. Radius, position, color
+// and material are drawn from world.random, so a seeded world always spawns the same balls.
+// options: { count, minRadius, maxRadius, colors, materials, x, y, width, height } - region defaults to the
+// whole world. materials (Materials or preset names) is left out for balls without one; with it, balls take
+// their material's color unless colors is given too.
+function spawnRandomBodies(world, options) {
+    const balls_Max = options.count;
+    const minRadius = options.minRadius !== undefined ? options.minRadius : 6;
+    const maxRadius = options.maxRadius !== undefined ? options.maxRadius : 26;
+    const colors = options.colors || ['#ff0000', '#0000ff', '#00ff00', '#ffff00', '#ff00ff'];
+    const materials = options.materials ? options.materials.map(materialFromJSON) : null;
+    const regionX = options.x || 0;
+    const regionY = options.y || 0;
+    const regionWidth = options.width !== undefined ? options.width : world.width;
+    const regionHeight = options.height !== undefined ? options.height : world.height;
+    const random = world.random;
+    let creationFailures = 0;
+    let placed = 0;
+
+    while (placed < balls_Max) {
+        var bodyRadius = random() * (maxRadius - minRadius) + minRadius;
+
+        const spawnableWidth = Math.max(0, regionWidth - 2 * bodyRadius);
+        const spawnableHeight = Math.max(0, regionHeight - 2 * bodyRadius);
+
+        const x = regionX + bodyRadius + (random() * spawnableWidth);
+        const y = regionY + bodyRadius + (random() * spawnableHeight);
+        const material = materials ? materials[Math.floor(random() * materials.length)] : null;
+        const color = material && !options.colors ? material.look.color : colors[Math.floor(random() * colors.length)];
+
+        if (!world.overlapsBody(x, y, bodyRadius)) {
+            world.addBody(new Body(x, y, bodyRadius, color, Math.PI * bodyRadius * bodyRadius).setMaterial(material));
+            placed++;
+        }
+
+        creationFailures++;
+        if (creationFailures > balls_Max * 20) {
+            console.error("Aborting simulation: Unable to place balls without collision.");
+            break;
+        }
+    }
+    return placed;
+}
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { GRAVITY_Y, AIR_DRAG, SPHERE_INERTIA, WALL_RESTITUTION, WALL_FRICTION, Vec2, createRandom, Body, Wall, RotateMotion, PathMotion,
+        Peg, Arc, ConvexPolygon, colliderGap, SpatialHash, Pointer, PINCH_ACCELERATION, RESIZE_MODES, WORLD_EVENTS, World, spawnRandomBodies, SNAPSHOT_STRIDE, WALL_SNAPSHOT_STRIDE, snapshotToJSON, snapshotFromJSON,
+        DEFAULT_LOOK, Material, MATERIALS, materialToJSON, materialFromJSON };
+}
@@ -0,0 +1,230 @@
+/*
+* Verlet Ball Physics Demo - Input Recording & Replay
+*
+* User input (drag, flick, right-click spawn, tilt, settings changes, body and wall editing) is expressed as plain input events
+* that are applied to a World through applyInput, both live and on replay, so a recorded session plays
+* back exactly. Each recorded event is stamped with world.stepCount: an event stamped N was applied after
+* step N and before step N + 1.
+*
+* Input events:
+*   { type: 'dragStart', x, y, pointer }          press at (x, y); grabs the nearest body not already held
+*   { type: 'dragMove', x, y, pointer }           move the drag target
+*   { type: 'dragEnd', flickX, flickY, pointer }  release; a non-zero flick sets the grabbed body's per-step velocity
+*   { type: 'pinch', x, y, radius, strength }     set the pinch field (see World.pinch); strength 0 ends it
+*   { type: 'spawn', x, y, radius, color, mass, material }
+*   { type: 'editBodies', indices, radius, mass, color, material, velocity, frozen }   change world.bodies[i] for
+*                                        each of indices; only the fields given change. velocity is [x, y] px/s.
+* material is a preset name, material values or null, as in scene files (see materialToJSON); a new
+* material edited in also sets the mass from its density, unless the event gives a mass too.
+*   { type: 'removeBodies', indices }
+*   { type: 'gravity', x, y }            tilt
+*   { type: 'settings', settings }       settings panel change, in the scene settings format (see applySettings)
+*   { type: 'addWall', x1, y1, x2, y2, thickness }
+*   { type: 'moveWall', index, x1, y1, x2, y2 }   glide world.walls[index] to new endpoints over the next step
+*   { type: 'removeWall', index }
+*   { type: 'resize', width, height, mode }       window resize or rotation (see World.resize)
+* pointer is the slot of the finger in world.pointers, 0 (the mouse or first finger) when left out.
+* Drags that grab a body also send the world's dragStart, flick and dragEnd events (see WORLD_EVENTS).
+*
+* A recording starts from an exact copy of the world (scene plus snapshot) and stores the physics timestep,
+* so it can be replayed into any fresh World, in the browser or headless in Node:
+*   const world = new InputPlayer(new World(), recording).run();
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// In Node, pull in the physics core and scene files; in the browser they are already globals.
+if (typeof module !== "undefined" && module.exports) {
+    var { Body, Wall, snapshotToJSON, snapshotFromJSON, materialFromJSON } = require("./verletPhysics.js");
+    var { loadScene, applySettings, exportScene } = require("./verletScene.js");
+}
+
+const RECORDING_VERSION = 1;
+
+// The changes of an editBodies event for one body. Freezing stops it; velocity is per second.
+function editBody(world, body, changes) {
+    if (changes.radius !== undefined) body.radius = changes.radius;
+    if (changes.material !== undefined) body.setMaterial(materialFromJSON(changes.material));
+    if (changes.mass !== undefined) body.mass = changes.mass;
+    if (changes.color !== undefined) body.color = changes.color;
+    if (changes.velocity !== undefined) {
+        const dt = world.subStepSeconds();
+        body.previouspos.set(body.position.x - changes.velocity[0] * dt, body.position.y - changes.velocity[1] * dt);
+    }
+    if (changes.frozen !== undefined) {
+        body.frozen = changes.frozen;
+        if (body.frozen) {
+            body.previouspos.set(body.position.x, body.position.y);
+            body.previousAngle = body.angle;
+        }
+    }
+}
+
+// Apply one input event to the world
+function applyInput(world, event) {
+    switch (event.type) {
+        case 'dragStart': {
+            const pointer = world.pointer(event.pointer || 0);
+            pointer.dragging = true;
+            pointer.position.set(event.x, event.y);
+            world.selectObject(pointer);
+            if (pointer.selected > -1) world.emit('dragStart', { body: world.bodies[pointer.selected], pointer: event.pointer || 0 });
+            break;
+        }
+        case 'dragMove':
+            world.pointer(event.pointer || 0).position.set(event.x, event.y);
+            break;
+        case 'dragEnd': {
+            const pointer = world.pointer(event.pointer || 0);
+            const body = pointer.selected > -1 ? world.bodies[pointer.selected] : null;
+            const flicked = pointer.dragging && body && (event.flickX !== 0 || event.flickY !== 0);
+            if (flicked) {
+                // Set the ball's velocity by adjusting its previous position
+                body.previouspos.set(body.position.x - event.flickX, body.position.y - event.flickY);
+            }
+            const wasDragging = pointer.dragging;
+            pointer.dragging = false;
+            pointer.selected = -1;
+            if (flicked) {
+                const dt = world.subStepSeconds();
+                world.emit('flick', { body, pointer: event.pointer || 0, velocity: [event.flickX / dt, event.flickY / dt] });
+            }
+            if (wasDragging && body) world.emit('dragEnd', { body, pointer: event.pointer || 0 });
+            break;
+        }
+        case 'pinch':
+            Object.assign(world.pinch, { x: event.x, y: event.y, radius: event.radius, strength: event.strength });
+            break;
+        case 'spawn': {
+            const body = new Body(event.x, event.y, event.radius, event.color, event.mass);
+            body.material = materialFromJSON(event.material);
+            world.addBody(body);
+            break;
+        }
+        case 'editBodies':
+            for (const index of event.indices) editBody(world, world.bodies[index], event);
+            break;
+        case 'removeBodies': {
+            const bodies = event.indices.map((index) => world.bodies[index]);
+            for (const body of bodies) world.removeBody(body);
+            break;
+        }
+        case 'gravity':
+            world.gravityVec.set(event.x, event.y);
+            break;
+        case 'settings':
+            applySettings(world, event.settings);
+            break;
+        case 'addWall':
+            world.addWall(new Wall(event.x1, event.y1, event.x2, event.y2, event.thickness));
+            break;
+        case 'moveWall':
+            world.walls[event.index].moveTo(event.x1, event.y1, event.x2, event.y2);
+            break;
+        case 'removeWall':
+            world.removeWall(world.walls[event.index]);
+            break;
+        case 'resize':
+            world.resize(event.width, event.height, event.mode);
+            break;
+        default:
+            throw new Error(`Unknown input event type "${event.type}"`);
+    }
+}
+
+//================================//
+//      RECORDER
+//================================//
+// timestep: seconds per world.step() call during the session (MainLoop's simulation timestep)
+var InputRecorder = function(world, timestep) {
+    const recorder = this;
+    let recording = null;
+
+    this.recording = false;
+
+    this.start = function() {
+        recording = {
+            version: RECORDING_VERSION,
+            timestep: timestep,
+            width: world.width,
+            height: world.height,
+            layout: Object.assign({}, world.layout),
+            scene: exportScene(world),
+            snapshot: snapshotToJSON(world.snapshot()),
+            startStep: world.stepCount,
+            endStep: world.stepCount,
+            events: []
+        };
+        recorder.recording = true;
+    };
+
+    // Stamp an input event with the current step; call it whenever an event is applied
+    this.record = function(event) {
+        if (!recorder.recording) return;
+        recording.events.push(Object.assign({ step: world.stepCount }, event));
+    };
+
+    // Finish and return the recording (a plain JSON-friendly object)
+    this.stop = function() {
+        if (!recorder.recording) return null;
+        recording.endStep = world.stepCount;
+        recorder.recording = false;
+        return recording;
+    };
+};
+
+//================================//
+//      PLAYER
+//================================//
+// Puts world into the recording's starting state. Call step() once per physics step until done().
+var InputPlayer = function(world, recording) {
+    if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.events)) {
+        throw new Error(`Not an input recording (expected version ${RECORDING_VERSION} with an events list)`);
+    }
+
+    const player = this;
+    const events = recording.events;
+    let next = 0;
+
+    world.width = recording.width;
+    world.height = recording.height;
+    loadScene(world, recording.scene);
+    if (recording.layout) Object.assign(world.layout, recording.layout);
+    world.restore(snapshotFromJSON(recording.snapshot));
+
+    this.recording = recording;
+
+    // Apply the events stamped with the current step or earlier
+    this.applyDue = function() {
+        while (next < events.length && events[next].step <= world.stepCount) {
+            applyInput(world, events[next]);
+            next++;
+        }
+    };
+
+    // Apply the events due before the next step, then take the step
+    this.step = function() {
+        player.applyDue();
+        world.step(recording.timestep);
+    };
+
+    // True once the world has reached the step the recording stopped at
+    this.done = function() {
+        return world.stepCount >= recording.endStep;
+    };
+
+    // Replay the rest of the recording in one go, ending in the state the recording stopped in
+    this.run = function() {
+        while (!player.done()) player.step();
+        player.applyDue();
+        return world;
+    };
+};
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { RECORDING_VERSION, applyInput, InputRecorder, InputPlayer };
+}
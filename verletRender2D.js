@@ -0,0 +1,335 @@
+/*
+* Verlet Ball Physics Demo - 2D Rendering
+*
+* Draws a World flat from above: the ground, ball shadows, field outlines, walls, colliders, constraint
+* links and shaded balls with a seam that turns with their spin, as the three.js view shows them. The
+* drawing goes through a small backend interface, so the same frame can be drawn with the Canvas 2D API
+* or written out as an SVG document. The demo uses it where WebGL is not available and to export frames;
+* it has no three.js or DOM dependency, so frames can also be rendered headless in Node without a GPU.
+*
+* Backends provide, in screen pixels with y down:
+*   begin(width, height)                  start a frame
+*   rect(x, y, width, height, style)
+*   polygon(points, style)                points: [x0, y0, x1, y1, ...], closed
+*   line(points, style)                   open polyline
+*   circle(x, y, radius, style)
+*   arc(x, y, radius, start, end, style)  stroked clockwise on screen from start to end (radians)
+*   sphere(x, y, radius, color)           a ball: a disc of color shaded to look round
+*   end()                                 finish; returns the frame (the canvas, or the SVG text)
+* style: { fill, stroke, lineWidth, lineCap, opacity }; colors are CSS color strings.
+*
+* Node example:
+*   const { renderSVG } = require('./verletRender2D.js');
+*   for (let i = 0; i < 60; i++) { world.step(1 / 60); fs.writeFileSync(`frame-${i}.svg`, renderSVG(world)); }
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// Colors of the flat drawing, matching the three.js view
+const FLAT_STYLE = {
+    ground: '#cccccc',
+    wall: '#ff4500',
+    link: '#dddddd',
+    seam: 'rgba(0, 0, 0, 0.25)',
+    shadow: 'rgba(0, 0, 0, 0.25)',
+    highlight: '#ffffff',
+    preview: '#ffffff',
+    fields: {
+        attractor: '#1e90ff', repulsor: '#ff6347', explosion: '#ffd700', vortex: '#ba55d3', wind: '#00ced1',
+        drag: '#808080', emitter: '#7cfc00', sink: '#202020'
+    }
+};
+// Radius of the circle drawn around an emitter
+const FLAT_EMITTER_RADIUS = 10;
+// How far a ball's shadow falls from it, as a share of its radius
+const FLAT_SHADOW_OFFSET = 0.25;
+// How much a highlighted ball is washed toward white, as in the three.js view
+const FLAT_HIGHLIGHT = 0.35;
+
+// A body color as CSS; bodies made in code may carry a number such as 0xff0000
+function cssColor(color) {
+    return typeof color === 'number' ? '#' + color.toString(16).padStart(6, '0') : color;
+}
+
+//================================//
+//      DRAWING
+//================================//
+// Draw world through backend and return the backend's frame.
+// options:
+//   width, height  size of the frame (default: the world's)
+//   shadows        draw the balls' shadows (default true)
+//   highlighted    balls drawn lit up (a Set or an array)
+//   wallPreview    [x1, y1, x2, y2] of a wall being drawn in the editor
+//   boxPreview     [x1, y1, x2, y2] of the inspector's selection box
+function drawWorld(world, backend, options) {
+    options = options || {};
+    const width = options.width || world.width, height = options.height || world.height;
+    const highlighted = options.highlighted ? new Set(options.highlighted) : null;
+    const bodies = world.bodies;
+
+    backend.begin(width, height);
+    backend.rect(0, 0, width, height, { fill: FLAT_STYLE.ground });
+
+    if (options.shadows !== false) {
+        const shadow = { fill: FLAT_STYLE.shadow };
+        for (const body of bodies) {
+            const offset = body.radius * FLAT_SHADOW_OFFSET;
+            backend.circle(body.position.x + offset, body.position.y + offset, body.radius, shadow);
+        }
+    }
+
+    // Fields, emitters and sinks are outlines under everything else
+    for (const object of world.fields.concat(world.emitters, world.sinks)) {
+        const style = { stroke: FLAT_STYLE.fields[object.type] || '#ffffff', lineWidth: 1 };
+        const x = object.position.x, y = object.position.y;
+        if (object.halfWidth !== undefined) {
+            backend.rect(x - object.halfWidth, y - object.halfHeight, object.halfWidth * 2, object.halfHeight * 2, style);
+        } else {
+            backend.circle(x, y, object.type === 'emitter' ? FLAT_EMITTER_RADIUS : object.radius, style);
+        }
+    }
+
+    // A wall is a band of its thickness between its endpoints, with square ends
+    const wallStyle = { fill: FLAT_STYLE.wall };
+    for (const wall of world.walls) {
+        const dx = wall.p2.x - wall.p1.x, dy = wall.p2.y - wall.p1.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const nx = -dy / length * wall.thickness / 2, ny = dx / length * wall.thickness / 2;
+        backend.polygon([
+            wall.p1.x + nx, wall.p1.y + ny, wall.p2.x + nx, wall.p2.y + ny,
+            wall.p2.x - nx, wall.p2.y - ny, wall.p1.x - nx, wall.p1.y - ny
+        ], wallStyle);
+    }
+
+    for (const collider of world.colliders) {
+        if (collider.type === 'peg') {
+            backend.circle(collider.position.x, collider.position.y, collider.radius, wallStyle);
+        } else if (collider.type === 'arc') {
+            // Stroked with round caps, the rounded ends its collision shape has
+            backend.arc(collider.center.x, collider.center.y, collider.radius, collider.startAngle, collider.startAngle + collider.sweep,
+                { stroke: FLAT_STYLE.wall, lineWidth: collider.thickness, lineCap: 'round' });
+        } else {
+            const points = [];
+            for (const point of collider.points) points.push(point.x, point.y);
+            backend.polygon(points, wallStyle);
+        }
+    }
+
+    // Each constraint joins its two balls, or a pinned ball to its anchor
+    const linkStyle = { stroke: FLAT_STYLE.link, lineWidth: 1 };
+    for (const constraint of world.constraints) {
+        const from = constraint.a.position;
+        const to = constraint.b ? constraint.b.position : constraint.anchor;
+        backend.line([from.x, from.y, to.x, to.y], linkStyle);
+    }
+
+    // A line through the middle of each ball turns with its spin, like the seams on the three.js balls
+    const highlightStyle = { fill: FLAT_STYLE.highlight, opacity: FLAT_HIGHLIGHT };
+    for (const body of bodies) {
+        const x = body.position.x, y = body.position.y, radius = body.radius;
+        backend.sphere(x, y, radius, cssColor(body.color));
+        if (radius >= 4) {
+            const cos = Math.cos(body.angle) * radius, sin = Math.sin(body.angle) * radius;
+            backend.line([x - cos, y - sin, x + cos, y + sin], { stroke: FLAT_STYLE.seam, lineWidth: Math.max(1, radius * 0.08) });
+        }
+        if (highlighted && highlighted.has(body)) backend.circle(x, y, radius, highlightStyle);
+    }
+
+    const previewStyle = { stroke: FLAT_STYLE.preview, lineWidth: 1 };
+    if (options.wallPreview) backend.line(options.wallPreview, previewStyle);
+    if (options.boxPreview) {
+        const [x1, y1, x2, y2] = options.boxPreview;
+        backend.polygon([x1, y1, x2, y1, x2, y2, x1, y2], previewStyle);
+    }
+
+    return backend.end();
+}
+
+// The frame as the text of an SVG document
+function renderSVG(world, options) {
+    return drawWorld(world, new SvgBackend(), options);
+}
+
+//================================//
+//      CANVAS 2D BACKEND
+//================================//
+// Draws into a CanvasRenderingContext2D (a browser canvas, an OffscreenCanvas or a Node canvas package).
+// pixelRatio: canvas pixels per screen pixel, e.g. window.devicePixelRatio for a sharp canvas on phones.
+var Canvas2DBackend = function(ctx, pixelRatio) {
+    // Light from the top left and a darker rim, made once for a unit ball and scaled to each one
+    let shade = null;
+
+    this.pixelRatio = pixelRatio || 1;
+
+    function paint(style) {
+        ctx.globalAlpha = style.opacity !== undefined ? style.opacity : 1;
+        if (style.fill) {
+            ctx.fillStyle = style.fill;
+            ctx.fill();
+        }
+        if (style.stroke) {
+            ctx.strokeStyle = style.stroke;
+            ctx.lineWidth = style.lineWidth || 1;
+            ctx.lineCap = style.lineCap || 'butt';
+            ctx.stroke();
+        }
+    }
+
+    function tracePoints(points) {
+        ctx.beginPath();
+        ctx.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+    }
+
+    this.begin = function(width, height) {
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+    };
+
+    this.rect = function(x, y, width, height, style) {
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        paint(style);
+    };
+
+    this.polygon = function(points, style) {
+        tracePoints(points);
+        ctx.closePath();
+        paint(style);
+    };
+
+    this.line = function(points, style) {
+        tracePoints(points);
+        paint(style);
+    };
+
+    this.circle = function(x, y, radius, style) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        paint(style);
+    };
+
+    this.arc = function(x, y, radius, start, end, style) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius, start, end);
+        paint(style);
+    };
+
+    this.sphere = function(x, y, radius, color) {
+        if (!shade) {
+            shade = ctx.createRadialGradient(-0.3, -0.3, 0, 0, 0, 1);
+            shade.addColorStop(0, 'rgba(255, 255, 255, 0.55)');
+            shade.addColorStop(0.5, 'rgba(255, 255, 255, 0)');
+            shade.addColorStop(1, 'rgba(0, 0, 0, 0.3)');
+        }
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.scale(radius, radius);
+        ctx.beginPath();
+        ctx.arc(0, 0, 1, 0, Math.PI * 2);
+        ctx.fillStyle = shade;
+        ctx.fill();
+        ctx.restore();
+    };
+
+    this.end = function() {
+        ctx.restore();
+        return ctx.canvas;
+    };
+};
+
+//================================//
+//      SVG BACKEND
+//================================//
+// Writes the frame as SVG text. Coordinates are rounded to hundredths of a pixel, so the same state always
+// gives the same text and frames can be compared as files.
+var SvgBackend = function() {
+    let parts = [];
+
+    function number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    function escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    function paint(style) {
+        let attributes = ` fill="${style.fill ? escape(style.fill) : 'none'}"`;
+        if (style.stroke) {
+            attributes += ` stroke="${escape(style.stroke)}" stroke-width="${number(style.lineWidth || 1)}"`;
+            if (style.lineCap) attributes += ` stroke-linecap="${style.lineCap}"`;
+        }
+        if (style.opacity !== undefined) attributes += ` opacity="${number(style.opacity)}"`;
+        return attributes;
+    }
+
+    function pointList(points) {
+        const pairs = [];
+        for (let i = 0; i < points.length; i += 2) pairs.push(`${number(points[i])},${number(points[i + 1])}`);
+        return pairs.join(' ');
+    }
+
+    this.begin = function(width, height) {
+        parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${number(width)}" height="${number(height)}" viewBox="0 0 ${number(width)} ${number(height)}">`,
+            '<defs><radialGradient id="ball-shade" cx="0.5" cy="0.5" r="0.5" fx="0.35" fy="0.35">' +
+                '<stop offset="0" stop-color="#ffffff" stop-opacity="0.55"/>' +
+                '<stop offset="0.5" stop-color="#ffffff" stop-opacity="0"/>' +
+                '<stop offset="1" stop-color="#000000" stop-opacity="0.3"/>' +
+                '</radialGradient></defs>'
+        ];
+    };
+
+    this.rect = function(x, y, width, height, style) {
+        parts.push(`<rect x="${number(x)}" y="${number(y)}" width="${number(width)}" height="${number(height)}"${paint(style)}/>`);
+    };
+
+    this.polygon = function(points, style) {
+        parts.push(`<polygon points="${pointList(points)}"${paint(style)}/>`);
+    };
+
+    this.line = function(points, style) {
+        parts.push(`<polyline points="${pointList(points)}"${paint(style)}/>`);
+    };
+
+    this.circle = function(x, y, radius, style) {
+        parts.push(`<circle cx="${number(x)}" cy="${number(y)}" r="${number(radius)}"${paint(style)}/>`);
+    };
+
+    this.arc = function(x, y, radius, start, end, style) {
+        // A full turn cannot be one SVG arc command
+        if (end - start >= Math.PI * 2) {
+            this.circle(x, y, radius, style);
+            return;
+        }
+        const x1 = x + Math.cos(start) * radius, y1 = y + Math.sin(start) * radius;
+        const x2 = x + Math.cos(end) * radius, y2 = y + Math.sin(end) * radius;
+        const large = end - start > Math.PI ? 1 : 0;
+        parts.push(`<path d="M${number(x1)},${number(y1)} A${number(radius)},${number(radius)} 0 ${large} 1 ${number(x2)},${number(y2)}"${paint(style)}/>`);
+    };
+
+    this.sphere = function(x, y, radius, color) {
+        const circle = `<circle cx="${number(x)}" cy="${number(y)}" r="${number(radius)}"`;
+        parts.push(`${circle} fill="${escape(color)}"/>`, `${circle} fill="url(#ball-shade)"/>`);
+    };
+
+    this.end = function() {
+        parts.push('</svg>');
+        return parts.join('\n');
+    };
+};
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { FLAT_STYLE, drawWorld, renderSVG, Canvas2DBackend, SvgBackend };
+}
@@ -0,0 +1,833 @@
+/*
+* Verlet Ball Physics Demo - Scene Files
+*
+* Versioned JSON scene format describing walls, colliders, bodies, constraints, force fields, emitters, sinks and global simulation settings, with schema
+* validation, loading into a World and exporting a World back out. Like the physics core it has no
+* three.js or DOM dependency and runs in the browser or in Node.
+*
+* Scene format (version 1):
+* {
+*   "version": 1,
+*   "units": "normalized",                  // "pixels" (default) or "normalized"
+*   "settings": {                           // all optional
+*     "gravity": [0, 980],                  // px/s²
+*     "restitution": 0.9,                   // ball-ball bounce
+*     "friction": 0.2,                      // ball-ball friction
+*     "wallDamping": 0.9,                   // default restitution for walls and colliders without their own
+*     "airDrag": 0.001,                     // share of every ball's velocity lost per sub-step
+*     "subSteps": 8,
+*     "solverIterations": 5
+*   },
+*   "walls": [
+*     { "p1": [0.33, 0.175], "p2": [0.45, 0.355], "thickness": 10, "restitution": 0.9, "friction": 0.2 },
+*     { "p1": [0.4, 0.5], "p2": [0.6, 0.5], "thickness": 6,      // kinematic walls
+*       "motion": { "type": "rotate", "pivot": [0.5, 0.5], "angularVelocity": 3.14 } },
+*     { "p1": [0.1, 0.8], "p2": [0.3, 0.8], "thickness": 10,
+*       "motion": { "type": "path", "points": [[0, 0], [0, -0.1]], "period": 2, "loop": false, "time": 0 } }
+*   ],
+*   "colliders": [                          // static shapes; restitution and friction as for walls
+*     { "type": "peg", "position": [0.5, 0.4], "radius": 8 },
+*     { "type": "arc", "center": [0.5, 0.7], "radius": 150, "startAngle": 0.3, "endAngle": 2.8, "thickness": 8 },
+*     { "type": "polygon", "points": [[0.2, 0.9], [0.3, 0.85], [0.3, 0.95]], "restitution": 0.5 }
+*   ],
+*   "bodies": [
+*     { "position": [0.5, 0.1], "velocity": [0, 0], "angle": 0, "angularVelocity": 0, "radius": 12, "mass": 452, "color": "#00ffff" },
+*     { "position": [0.5, 0.6], "radius": 20, "frozen": true },                 // stays put as an obstacle
+*     { "position": [0.3, 0.1], "radius": 16, "material": "steel" },
+*     { "position": [0.7, 0.1], "radius": 16, "material": { "density": 0.3, "restitution": 0.7, "friction": 0.4,
+*       "drag": 2, "look": { "color": "#ff8800", "metalness": 0, "roughness": 0.6 } } }
+*   ],
+*   "constraints": [                        // "bodies" / "body" are indices into the bodies list above
+*     { "type": "distance", "bodies": [0, 1], "length": 24, "maxStrain": 0.5 },
+*     { "type": "spring", "bodies": [1, 2], "length": 24, "stiffness": 0.1, "damping": 0.02 },
+*     { "type": "pin", "body": 0, "anchor": [0.5, 0.05], "length": 0 }
+*   ],
+*   "fields": [                             // forces on top of gravity
+*     { "type": "attractor", "position": [0.5, 0.3], "radius": 150, "strength": 2000, "falloff": "linear" },
+*     { "type": "repulsor", "position": [0.2, 0.3], "radius": 100, "strength": 3000 },
+*     { "type": "explosion", "position": [0.5, 0.2], "radius": 200, "strength": 20000, "duration": 0.1 },
+*     { "type": "vortex", "position": [0.5, 0.6], "radius": 120, "strength": 3000, "pull": 500 },
+*     { "type": "wind", "region": [0, 0.4, 1, 0.1], "force": [800, 0], "falloff": "none" },
+*     { "type": "drag", "position": [0.5, 0.8], "radius": 100, "drag": 5 }
+*   ],
+*   "emitters": [
+*     { "position": [0.5, 0.95], "rate": 10, "velocity": [0, -1.2], "spread": 0.2, "speedSpread": 0.1,
+*       "minRadius": 6, "maxRadius": 10, "colors": ["#00ffff"], "maxBodies": 300 }
+*   ],
+*   "sinks": [ { "region": [0.4, 0.97, 0.2, 0.03] } ],
+*   "spawn": { "count": 150, "minRadius": 6, "maxRadius": 26, "region": [0, 0, 1, 0.25], "colors": ["#ff0000"],
+*              "materials": ["rubber", "wood"] }
+* }
+*
+* With "normalized" units, x values are fractions of the world width and y values fractions of the world
+* height, so layouts adapt to the screen. This applies to wall endpoints, body positions and velocities
+* and the spawn region ([x, y, width, height]), and to collider positions, centers and points. Radius and
+* thickness are always in pixels so balls keep their size. Any wall, collider, body or the spawn entry can
+* override the scene units with its own "units" field.
+* Velocities are per second; angles are in radians, clockwise on screen; mass defaults to π r² times the
+* density of the body's material (1 without one); color defaults to the material's color, or white.
+* A material is a preset name ("rubber", "steel", "wood", "foam" or "ice") or its own density, restitution
+* (0-1), friction, drag (a multiple of airDrag, at most 1 / airDrag) and look (color, metalness and roughness for the 3D view);
+* see Material in verletPhysics.js. Bodies without one use the scene's restitution, friction and airDrag.
+* spawn picks each ball's material from materials when given. Wall restitution (0-1) and
+* friction (Coulomb coefficient) are optional and default to WALL_RESTITUTION and WALL_FRICTION.
+* A wall's motion moves it from the pose given by p1 and p2 (see RotateMotion and PathMotion in
+* verletPhysics.js): a rotation about pivot at angularVelocity rad/s, or a trip through points, offsets
+* from p1 and p2 taking period seconds. pivot and points use the wall's units; time (seconds, default 0) is
+* how far into its motion the wall starts.
+* Colliders are a round peg, an arc (the part of a circle from startAngle to endAngle, thickness wide) or a
+* convex polygon given by its corners in either order (see Peg, Arc and ConvexPolygon in verletPhysics.js).
+* Constraint lengths are in pixels and default to the distance between the bodies (or from the pin's
+* anchor) as loaded, which is usually what a normalized scene wants; a pin's anchor defaults to where its
+* body starts. See verletConstraints.js for what each setting does.
+* Field strengths and wind forces are accelerations in px/s² and drag is per second; field radii are in
+* pixels, while positions, wind and sink regions ([x, y, width, height]) and emitter velocities use the
+* scene units. falloff is "none", "linear" or "quadratic" (see verletFields.js for every field, emitter and
+* sink setting). time (seconds, default 0) is how long a field or emitter has already been running, which
+* for an explosion is how far into its blast it is.
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// In Node, pull in the physics core and constraints; in the browser their classes are already globals.
+if (typeof module !== "undefined" && module.exports) {
+    var { Body, Wall, RotateMotion, PathMotion, Peg, Arc, ConvexPolygon, spawnRandomBodies, materialToJSON, materialFromJSON } = require("./verletPhysics.js");
+    var { DistanceConstraint, Spring, PinConstraint } = require("./verletConstraints.js");
+    var { checkFalloff, Attractor, Repulsor, Explosion, Vortex, DragRegion, WindZone, Emitter, Sink } = require("./verletFields.js");
+}
+
+const SCENE_VERSION = 1;
+const SCENE_UNITS = ['pixels', 'normalized'];
+const CONSTRAINT_TYPES = ['distance', 'spring', 'pin'];
+const MOTION_TYPES = ['rotate', 'path'];
+const COLLIDER_TYPES = ['peg', 'arc', 'polygon'];
+const FIELD_TYPES = ['attractor', 'repulsor', 'explosion', 'vortex', 'wind', 'drag'];
+
+// Thrown by validateScene / loadScene. errors lists every problem found, one "path: message" per entry.
+class SceneError extends Error {
+    constructor(errors) {
+        super(`Invalid scene:\n  ${errors.join('\n  ')}`);
+        this.name = 'SceneError';
+        this.errors = errors;
+    }
+}
+
+// The demo's built-in layout: 150 random balls in the top quarter, four sloped interior walls and the
+// screen border.
+const DEFAULT_SCENE = {
+    version: SCENE_VERSION,
+    units: 'normalized',
+    walls: [
+        // Interior walls
+        { p1: [1 / 3, 0.175], p2: [1 / 2.2, 0.355], thickness: 10 },
+        { p1: [0.68, 0.175], p2: [1 / 1.8, 0.355], thickness: 10 },
+        { p1: [1 / 3, 0.625], p2: [1 / 2.2, 0.475], thickness: 10 },
+        { p1: [0.68, 0.625], p2: [1 / 1.8, 0.475], thickness: 10 },
+        // Border walls
+        { p1: [0, 0], p2: [0, 1], thickness: 10 },
+        { p1: [1, 0], p2: [1, 1], thickness: 10 },
+        { p1: [0, 0], p2: [1, 0], thickness: 10 },
+        { p1: [0, 1], p2: [1, 1], thickness: 10 }
+    ],
+    bodies: [],
+    spawn: { count: 150, minRadius: 6, maxRadius: 26, region: [0, 0, 1, 0.25] }
+};
+
+//================================//
+//      VALIDATION
+//================================//
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    return typeof value === 'string' ? `"${value}"` : typeof value;
+}
+
+// Returns a list of "path: message" strings, empty if the scene is valid
+function collectSceneErrors(data) {
+    const errors = [];
+
+    function fail(path, message) {
+        errors.push(`${path}: ${message}`);
+    }
+
+    function checkKeys(value, path, allowed) {
+        for (const key of Object.keys(value)) {
+            if (!allowed.includes(key)) fail(`${path}.${key}`, `unknown property (expected one of ${allowed.join(', ')})`);
+        }
+    }
+
+    function checkNumber(value, path, options) {
+        options = options || {};
+        if (value === undefined) {
+            if (options.required) fail(path, 'is required');
+            return;
+        }
+        if (!isNumber(value)) return fail(path, `expected a number, got ${describe(value)}`);
+        if (options.min !== undefined && value < options.min) fail(path, `must be at least ${options.min}, got ${value}`);
+        if (options.max !== undefined && value > options.max) fail(path, `must be at most ${options.max}, got ${value}`);
+        if (options.positive && value <= 0) fail(path, `must be greater than 0, got ${value}`);
+        if (options.integer && !Number.isInteger(value)) fail(path, `must be a whole number, got ${value}`);
+    }
+
+    function checkPair(value, path, required) {
+        if (value === undefined) {
+            if (required) fail(path, 'is required');
+            return;
+        }
+        if (!Array.isArray(value) || value.length !== 2 || !isNumber(value[0]) || !isNumber(value[1])) {
+            fail(path, `expected an [x, y] pair of numbers, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    function checkUnits(value, path) {
+        if (value !== undefined && !SCENE_UNITS.includes(value)) {
+            fail(path, `expected one of ${SCENE_UNITS.map((u) => `"${u}"`).join(', ')}, got ${describe(value)}`);
+        }
+    }
+
+    function checkColor(value, path) {
+        if (value !== undefined && typeof value !== 'string') fail(path, `expected a color string such as "#ff0000", got ${describe(value)}`);
+    }
+
+    function checkMotion(motion, path) {
+        if (!isObject(motion)) return fail(path, `expected an object, got ${describe(motion)}`);
+        if (!MOTION_TYPES.includes(motion.type)) {
+            return fail(`${path}.type`, `expected one of ${MOTION_TYPES.map((t) => `"${t}"`).join(', ')}, got ${describe(motion.type)}`);
+        }
+        if (motion.type === 'rotate') {
+            checkKeys(motion, path, ['type', 'pivot', 'angularVelocity', 'time']);
+            checkPair(motion.pivot, `${path}.pivot`, true);
+            checkNumber(motion.angularVelocity, `${path}.angularVelocity`, { required: true });
+        } else {
+            checkKeys(motion, path, ['type', 'points', 'period', 'loop', 'time']);
+            if (!Array.isArray(motion.points) || motion.points.length === 0) {
+                fail(`${path}.points`, `expected a non-empty array of [x, y] offsets, got ${JSON.stringify(motion.points)}`);
+            } else {
+                motion.points.forEach((point, i) => checkPair(point, `${path}.points[${i}]`, true));
+            }
+            checkNumber(motion.period, `${path}.period`, { required: true, positive: true });
+            if (motion.loop !== undefined && typeof motion.loop !== 'boolean') fail(`${path}.loop`, `expected true or false, got ${describe(motion.loop)}`);
+        }
+        checkNumber(motion.time, `${path}.time`, { min: 0 });
+    }
+
+    function checkRegion(value, path) {
+        if (value === undefined) return fail(path, 'is required');
+        if (!Array.isArray(value) || value.length !== 4 || !value.every(isNumber)) {
+            return fail(path, `expected [x, y, width, height] numbers, got ${JSON.stringify(value)}`);
+        }
+        if (value[2] <= 0 || value[3] <= 0) fail(path, `width and height must be greater than 0, got ${JSON.stringify(value)}`);
+    }
+
+    function checkColors(value, path) {
+        if (value !== undefined && (!Array.isArray(value) || value.length === 0 || !value.every((c) => typeof c === 'string'))) {
+            fail(path, 'expected a non-empty array of color strings');
+        }
+    }
+
+    // A ball loses drag × airDrag of its velocity every sub-step, which must not be more than all of it
+    function checkDrag(drag, path) {
+        const airDrag = isObject(data.settings) && isNumber(data.settings.airDrag) ? data.settings.airDrag : undefined;
+        if (airDrag !== undefined && isNumber(drag) && drag * airDrag > 1) {
+            fail(path, `drag × scene.settings.airDrag must be at most 1, got ${drag} × ${airDrag}`);
+        }
+    }
+
+    function checkMaterial(value, path) {
+        if (value === undefined) return;
+        if (typeof value === 'string') {
+            try {
+                checkDrag(materialFromJSON(value).drag, path);
+            } catch (e) {
+                fail(path, e.message);
+            }
+            return;
+        }
+        if (!isObject(value)) return fail(path, `expected a material name or object, got ${describe(value)}`);
+        checkKeys(value, path, ['density', 'restitution', 'friction', 'drag', 'look']);
+        checkNumber(value.density, `${path}.density`, { positive: true });
+        checkNumber(value.restitution, `${path}.restitution`, { min: 0, max: 1 });
+        checkNumber(value.friction, `${path}.friction`, { min: 0 });
+        checkNumber(value.drag, `${path}.drag`, { min: 0 });
+        checkDrag(value.drag, `${path}.drag`);
+        if (value.look !== undefined) {
+            if (!isObject(value.look)) return fail(`${path}.look`, `expected an object, got ${describe(value.look)}`);
+            checkKeys(value.look, `${path}.look`, ['color', 'metalness', 'roughness']);
+            checkColor(value.look.color, `${path}.look.color`);
+            checkNumber(value.look.metalness, `${path}.look.metalness`, { min: 0, max: 1 });
+            checkNumber(value.look.roughness, `${path}.look.roughness`, { min: 0, max: 1 });
+        }
+    }
+
+    function checkList(value, path, checkItem) {
+        if (value === undefined) return;
+        if (!Array.isArray(value)) return fail(path, `expected an array, got ${describe(value)}`);
+        value.forEach((item, i) => {
+            const itemPath = `${path}[${i}]`;
+            if (!isObject(item)) return fail(itemPath, `expected an object, got ${describe(item)}`);
+            checkItem(item, itemPath);
+        });
+    }
+
+    if (!isObject(data)) {
+        fail('scene', `expected an object, got ${describe(data)}`);
+        return errors;
+    }
+
+    checkKeys(data, 'scene', ['version', 'units', 'settings', 'walls', 'colliders', 'bodies', 'constraints', 'fields', 'emitters', 'sinks', 'spawn']);
+    if (data.version === undefined) fail('scene.version', `is required (current version is ${SCENE_VERSION})`);
+    else if (data.version !== SCENE_VERSION) fail('scene.version', `unsupported version ${JSON.stringify(data.version)} (expected ${SCENE_VERSION})`);
+    checkUnits(data.units, 'scene.units');
+
+    if (data.settings !== undefined) {
+        const settings = data.settings;
+        if (!isObject(settings)) {
+            fail('scene.settings', `expected an object, got ${describe(settings)}`);
+        } else {
+            checkKeys(settings, 'scene.settings', ['gravity', 'restitution', 'friction', 'wallDamping', 'airDrag', 'subSteps', 'solverIterations']);
+            checkPair(settings.gravity, 'scene.settings.gravity', false);
+            checkNumber(settings.restitution, 'scene.settings.restitution', { min: 0, max: 1 });
+            checkNumber(settings.friction, 'scene.settings.friction', { min: 0 });
+            checkNumber(settings.wallDamping, 'scene.settings.wallDamping', { min: 0, max: 1 });
+            checkNumber(settings.airDrag, 'scene.settings.airDrag', { min: 0, max: 1 });
+            checkNumber(settings.subSteps, 'scene.settings.subSteps', { integer: true, positive: true });
+            checkNumber(settings.solverIterations, 'scene.settings.solverIterations', { integer: true, positive: true });
+        }
+    }
+
+    checkList(data.walls, 'scene.walls', (wall, path) => {
+        checkKeys(wall, path, ['p1', 'p2', 'thickness', 'restitution', 'friction', 'motion', 'units']);
+        checkPair(wall.p1, `${path}.p1`, true);
+        checkPair(wall.p2, `${path}.p2`, true);
+        checkNumber(wall.thickness, `${path}.thickness`, { required: true, positive: true });
+        checkNumber(wall.restitution, `${path}.restitution`, { min: 0, max: 1 });
+        checkNumber(wall.friction, `${path}.friction`, { min: 0 });
+        checkUnits(wall.units, `${path}.units`);
+        if (JSON.stringify(wall.p1) === JSON.stringify(wall.p2) && Array.isArray(wall.p1)) fail(path, 'p1 and p2 must be different points');
+        if (wall.motion !== undefined) checkMotion(wall.motion, `${path}.motion`);
+    });
+
+    checkList(data.colliders, 'scene.colliders', (collider, path) => {
+        if (!COLLIDER_TYPES.includes(collider.type)) {
+            return fail(`${path}.type`, `expected one of ${COLLIDER_TYPES.map((t) => `"${t}"`).join(', ')}, got ${describe(collider.type)}`);
+        }
+        const keys = ['type', 'restitution', 'friction', 'units'];
+        if (collider.type === 'peg') {
+            checkKeys(collider, path, keys.concat(['position', 'radius']));
+            checkPair(collider.position, `${path}.position`, true);
+            checkNumber(collider.radius, `${path}.radius`, { required: true, positive: true });
+        } else if (collider.type === 'arc') {
+            checkKeys(collider, path, keys.concat(['center', 'radius', 'startAngle', 'endAngle', 'thickness']));
+            checkPair(collider.center, `${path}.center`, true);
+            checkNumber(collider.radius, `${path}.radius`, { required: true, positive: true });
+            checkNumber(collider.startAngle, `${path}.startAngle`, { required: true });
+            checkNumber(collider.endAngle, `${path}.endAngle`, { required: true });
+            checkNumber(collider.thickness, `${path}.thickness`, { required: true, positive: true });
+            if (isNumber(collider.startAngle) && isNumber(collider.endAngle) && collider.endAngle <= collider.startAngle) {
+                fail(`${path}.endAngle`, `must be greater than startAngle (${collider.startAngle})`);
+            }
+        } else {
+            checkKeys(collider, path, keys.concat(['points']));
+            if (!Array.isArray(collider.points) || collider.points.length < 3) {
+                fail(`${path}.points`, `expected at least 3 [x, y] corners, got ${JSON.stringify(collider.points)}`);
+            } else {
+                const before = errors.length;
+                collider.points.forEach((point, i) => checkPair(point, `${path}.points[${i}]`, true));
+                if (errors.length === before) {
+                    // Scaling x and y to normalized units keeps a polygon convex, so this holds in either
+                    try {
+                        new ConvexPolygon(collider.points);
+                    } catch (e) {
+                        fail(`${path}.points`, e.message.replace('ConvexPolygon: ', ''));
+                    }
+                }
+            }
+        }
+        checkNumber(collider.restitution, `${path}.restitution`, { min: 0, max: 1 });
+        checkNumber(collider.friction, `${path}.friction`, { min: 0 });
+        checkUnits(collider.units, `${path}.units`);
+    });
+
+    checkList(data.bodies, 'scene.bodies', (body, path) => {
+        checkKeys(body, path, ['position', 'velocity', 'angle', 'angularVelocity', 'radius', 'mass', 'color', 'material', 'frozen', 'units']);
+        checkPair(body.position, `${path}.position`, true);
+        checkPair(body.velocity, `${path}.velocity`, false);
+        checkNumber(body.angle, `${path}.angle`);
+        checkNumber(body.angularVelocity, `${path}.angularVelocity`);
+        checkNumber(body.radius, `${path}.radius`, { required: true, positive: true });
+        checkNumber(body.mass, `${path}.mass`, { positive: true });
+        checkColor(body.color, `${path}.color`);
+        checkMaterial(body.material, `${path}.material`);
+        if (body.frozen !== undefined && typeof body.frozen !== 'boolean') fail(`${path}.frozen`, `expected true or false, got ${describe(body.frozen)}`);
+        checkUnits(body.units, `${path}.units`);
+    });
+
+    const bodyCount = Array.isArray(data.bodies) ? data.bodies.length : 0;
+    function checkBodyIndex(value, path) {
+        if (value === undefined) return fail(path, 'is required');
+        if (!Number.isInteger(value) || value < 0 || value >= bodyCount) {
+            fail(path, `expected the index of one of the ${bodyCount} scene bodies, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    checkList(data.constraints, 'scene.constraints', (constraint, path) => {
+        if (!CONSTRAINT_TYPES.includes(constraint.type)) {
+            return fail(`${path}.type`, `expected one of ${CONSTRAINT_TYPES.map((t) => `"${t}"`).join(', ')}, got ${describe(constraint.type)}`);
+        }
+        if (constraint.type === 'pin') {
+            checkKeys(constraint, path, ['type', 'body', 'anchor', 'length', 'units']);
+            checkBodyIndex(constraint.body, `${path}.body`);
+            checkPair(constraint.anchor, `${path}.anchor`, false);
+            checkUnits(constraint.units, `${path}.units`);
+        } else {
+            const keys = ['type', 'bodies', 'length', 'maxStrain'];
+            checkKeys(constraint, path, constraint.type === 'spring' ? keys.concat(['stiffness', 'damping']) : keys);
+            if (!Array.isArray(constraint.bodies) || constraint.bodies.length !== 2) {
+                fail(`${path}.bodies`, `expected a pair of body indices, got ${JSON.stringify(constraint.bodies)}`);
+            } else {
+                checkBodyIndex(constraint.bodies[0], `${path}.bodies[0]`);
+                checkBodyIndex(constraint.bodies[1], `${path}.bodies[1]`);
+                if (constraint.bodies[0] === constraint.bodies[1]) fail(`${path}.bodies`, 'must link two different bodies');
+            }
+            checkNumber(constraint.maxStrain, `${path}.maxStrain`, { positive: true });
+            checkNumber(constraint.stiffness, `${path}.stiffness`, { positive: true });
+            if (isNumber(constraint.stiffness) && constraint.stiffness > 1) fail(`${path}.stiffness`, `must be at most 1, got ${constraint.stiffness}`);
+            checkNumber(constraint.damping, `${path}.damping`, { min: 0 });
+            if (isNumber(constraint.damping) && constraint.damping > 1) fail(`${path}.damping`, `must be at most 1, got ${constraint.damping}`);
+        }
+        checkNumber(constraint.length, `${path}.length`, { min: 0 });
+    });
+
+    checkList(data.fields, 'scene.fields', (field, path) => {
+        if (!FIELD_TYPES.includes(field.type)) {
+            return fail(`${path}.type`, `expected one of ${FIELD_TYPES.map((t) => `"${t}"`).join(', ')}, got ${describe(field.type)}`);
+        }
+        const keys = ['type', 'falloff', 'time', 'units'];
+        if (field.type === 'wind') {
+            checkKeys(field, path, keys.concat(['region', 'force']));
+            checkRegion(field.region, `${path}.region`);
+            checkPair(field.force, `${path}.force`, true);
+        } else {
+            const strength = field.type === 'drag' ? 'drag' : 'strength';
+            const extra = { explosion: ['duration'], vortex: ['pull'] }[field.type] || [];
+            checkKeys(field, path, keys.concat(['position', 'radius', strength], extra));
+            checkPair(field.position, `${path}.position`, true);
+            checkNumber(field.radius, `${path}.radius`, { required: true, positive: true });
+            checkNumber(field[strength], `${path}.${strength}`, { required: true, min: field.type === 'vortex' ? undefined : 0 });
+            checkNumber(field.duration, `${path}.duration`, { positive: true });
+            checkNumber(field.pull, `${path}.pull`);
+        }
+        if (field.falloff !== undefined) {
+            try {
+                checkFalloff(field.falloff, 'falloff');
+            } catch (e) {
+                fail(`${path}.falloff`, e.message.replace('falloff: ', ''));
+            }
+        }
+        checkNumber(field.time, `${path}.time`, { min: 0 });
+        checkUnits(field.units, `${path}.units`);
+    });
+
+    checkList(data.emitters, 'scene.emitters', (emitter, path) => {
+        checkKeys(emitter, path, ['position', 'rate', 'velocity', 'spread', 'speedSpread', 'minRadius', 'maxRadius',
+            'colors', 'mass', 'maxBodies', 'time', 'units']);
+        checkPair(emitter.position, `${path}.position`, true);
+        checkNumber(emitter.rate, `${path}.rate`, { positive: true });
+        checkPair(emitter.velocity, `${path}.velocity`, false);
+        checkNumber(emitter.spread, `${path}.spread`, { min: 0 });
+        checkNumber(emitter.speedSpread, `${path}.speedSpread`, { min: 0, max: 1 });
+        checkNumber(emitter.minRadius, `${path}.minRadius`, { positive: true });
+        checkNumber(emitter.maxRadius, `${path}.maxRadius`, { positive: true });
+        if (isNumber(emitter.minRadius) && isNumber(emitter.maxRadius) && emitter.minRadius > emitter.maxRadius) {
+            fail(`${path}.minRadius`, `must not be larger than maxRadius (${emitter.maxRadius})`);
+        }
+        checkColors(emitter.colors, `${path}.colors`);
+        checkNumber(emitter.mass, `${path}.mass`, { positive: true });
+        checkNumber(emitter.maxBodies, `${path}.maxBodies`, { integer: true, min: 0 });
+        checkNumber(emitter.time, `${path}.time`, { min: 0 });
+        checkUnits(emitter.units, `${path}.units`);
+    });
+
+    checkList(data.sinks, 'scene.sinks', (sink, path) => {
+        checkKeys(sink, path, ['region', 'units']);
+        checkRegion(sink.region, `${path}.region`);
+        checkUnits(sink.units, `${path}.units`);
+    });
+
+    if (data.spawn !== undefined) {
+        const spawn = data.spawn;
+        const path = 'scene.spawn';
+        if (!isObject(spawn)) {
+            fail(path, `expected an object, got ${describe(spawn)}`);
+        } else {
+            checkKeys(spawn, path, ['count', 'minRadius', 'maxRadius', 'region', 'colors', 'materials', 'units']);
+            checkNumber(spawn.count, `${path}.count`, { required: true, integer: true, min: 0 });
+            checkNumber(spawn.minRadius, `${path}.minRadius`, { positive: true });
+            checkNumber(spawn.maxRadius, `${path}.maxRadius`, { positive: true });
+            if (isNumber(spawn.minRadius) && isNumber(spawn.maxRadius) && spawn.minRadius > spawn.maxRadius) {
+                fail(`${path}.minRadius`, `must not be larger than maxRadius (${spawn.maxRadius})`);
+            }
+            if (spawn.region !== undefined && (!Array.isArray(spawn.region) || spawn.region.length !== 4 || !spawn.region.every(isNumber))) {
+                fail(`${path}.region`, `expected [x, y, width, height] numbers, got ${JSON.stringify(spawn.region)}`);
+            }
+            checkColors(spawn.colors, `${path}.colors`);
+            if (spawn.materials !== undefined) {
+                if (!Array.isArray(spawn.materials) || spawn.materials.length === 0) {
+                    fail(`${path}.materials`, 'expected a non-empty array of materials');
+                } else {
+                    spawn.materials.forEach((material, i) => checkMaterial(material, `${path}.materials[${i}]`));
+                }
+            }
+            checkUnits(spawn.units, `${path}.units`);
+        }
+    }
+
+    return errors;
+}
+
+// Throws a SceneError listing every problem if data is not a valid scene
+function validateScene(data) {
+    const errors = collectSceneErrors(data);
+    if (errors.length > 0) throw new SceneError(errors);
+    return data;
+}
+
+//================================//
+//      LOAD & EXPORT
+//================================//
+// Replaces the world's bodies, walls, colliders, constraints, fields, emitters, sinks and settings with the scene. data may be an object or a JSON string.
+function loadScene(world, data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new SceneError([`scene: not valid JSON (${e.message})`]);
+        }
+    }
+    validateScene(data);
+
+    const sceneUnits = data.units || 'pixels';
+    function toWorld(pair, units) {
+        if ((units || sceneUnits) === 'normalized') return [pair[0] * world.width, pair[1] * world.height];
+        return pair;
+    }
+
+    function loadMotion(wall, motion, units) {
+        let kinematic;
+        if (motion.type === 'rotate') {
+            const pivot = toWorld(motion.pivot, units);
+            kinematic = new RotateMotion(pivot[0], pivot[1], motion.angularVelocity);
+        } else {
+            kinematic = new PathMotion(motion.points.map((point) => toWorld(point, units)), motion.period, motion.loop);
+        }
+        wall.setMotion(kinematic);
+        if (motion.time) {
+            // Start part way through the motion
+            kinematic.time = motion.time;
+            kinematic.pose(wall);
+            wall.setEndpoints(wall.target1.x, wall.target1.y, wall.target2.x, wall.target2.y);
+        }
+    }
+
+    world.clear();
+
+    const settings = data.settings || {};
+    applySettings(world, settings);
+
+    for (const wall of data.walls || []) {
+        const p1 = toWorld(wall.p1, wall.units);
+        const p2 = toWorld(wall.p2, wall.units);
+        const restitution = wall.restitution !== undefined ? wall.restitution : settings.wallDamping;
+        const newWall = world.addWall(new Wall(p1[0], p1[1], p2[0], p2[1], wall.thickness, restitution, wall.friction));
+        if (wall.motion) loadMotion(newWall, wall.motion, wall.units);
+    }
+
+    for (const collider of data.colliders || []) {
+        const restitution = collider.restitution !== undefined ? collider.restitution : settings.wallDamping;
+        if (collider.type === 'peg') {
+            const position = toWorld(collider.position, collider.units);
+            world.addCollider(new Peg(position[0], position[1], collider.radius, restitution, collider.friction));
+        } else if (collider.type === 'arc') {
+            const center = toWorld(collider.center, collider.units);
+            world.addCollider(new Arc(center[0], center[1], collider.radius, collider.startAngle, collider.endAngle,
+                collider.thickness, restitution, collider.friction));
+        } else {
+            const points = collider.points.map((point) => toWorld(point, collider.units));
+            world.addCollider(new ConvexPolygon(points, restitution, collider.friction));
+        }
+    }
+
+    // Verlet velocity is a per-sub-step displacement; scenes store velocity per second
+    const dt = world.subStepSeconds();
+    for (const body of data.bodies || []) {
+        const position = toWorld(body.position, body.units);
+        const velocity = toWorld(body.velocity || [0, 0], body.units);
+        const material = materialFromJSON(body.material);
+        const color = body.color || (material ? material.look.color : '#ffffff');
+        const newBody = new Body(position[0], position[1], body.radius, color, Math.PI * body.radius * body.radius).setMaterial(material);
+        if (body.mass !== undefined) newBody.mass = body.mass;
+        newBody.previouspos.set(position[0] - velocity[0] * dt, position[1] - velocity[1] * dt);
+        newBody.angle = body.angle || 0;
+        newBody.previousAngle = newBody.angle - (body.angularVelocity || 0) * dt;
+        newBody.frozen = body.frozen === true;
+        world.addBody(newBody);
+    }
+
+    // Scene bodies are the first ones in the world, so constraint indices map straight onto world.bodies
+    for (const constraint of data.constraints || []) {
+        if (constraint.type === 'pin') {
+            const body = world.bodies[constraint.body];
+            const anchor = constraint.anchor ? toWorld(constraint.anchor, constraint.units) : [body.position.x, body.position.y];
+            world.addConstraint(new PinConstraint(body, anchor[0], anchor[1], constraint.length));
+            continue;
+        }
+        const a = world.bodies[constraint.bodies[0]], b = world.bodies[constraint.bodies[1]];
+        if (constraint.type === 'spring') {
+            world.addConstraint(new Spring(a, b, constraint.length, constraint.stiffness, constraint.damping, constraint.maxStrain));
+        } else {
+            world.addConstraint(new DistanceConstraint(a, b, constraint.length, constraint.maxStrain));
+        }
+    }
+
+    function toWorldRegion(region, units) {
+        const origin = toWorld([region[0], region[1]], units), size = toWorld([region[2], region[3]], units);
+        return [origin[0], origin[1], size[0], size[1]];
+    }
+
+    for (const field of data.fields || []) {
+        let newField;
+        if (field.type === 'wind') {
+            const region = toWorldRegion(field.region, field.units);
+            newField = new WindZone(region[0], region[1], region[2], region[3], field.force[0], field.force[1], field.falloff);
+        } else {
+            const position = toWorld(field.position, field.units);
+            const x = position[0], y = position[1];
+            switch (field.type) {
+                case 'attractor': newField = new Attractor(x, y, field.radius, field.strength, field.falloff); break;
+                case 'repulsor': newField = new Repulsor(x, y, field.radius, field.strength, field.falloff); break;
+                case 'explosion': newField = new Explosion(x, y, field.radius, field.strength, field.duration, field.falloff); break;
+                case 'vortex': newField = new Vortex(x, y, field.radius, field.strength, field.falloff, field.pull); break;
+                case 'drag': newField = new DragRegion(x, y, field.radius, field.drag, field.falloff); break;
+            }
+        }
+        newField.time = field.time || 0;
+        world.addField(newField);
+    }
+
+    for (const emitter of data.emitters || []) {
+        const position = toWorld(emitter.position, emitter.units);
+        const newEmitter = world.addEmitter(new Emitter(position[0], position[1], {
+            rate: emitter.rate,
+            velocity: toWorld(emitter.velocity || [0, 0], emitter.units),
+            spread: emitter.spread,
+            speedSpread: emitter.speedSpread,
+            minRadius: emitter.minRadius,
+            maxRadius: emitter.maxRadius,
+            colors: emitter.colors,
+            mass: emitter.mass,
+            maxBodies: emitter.maxBodies
+        }));
+        newEmitter.time = emitter.time || 0;
+    }
+
+    for (const sink of data.sinks || []) {
+        const region = toWorldRegion(sink.region, sink.units);
+        world.addSink(new Sink(region[0], region[1], region[2], region[3]));
+    }
+
+    if (data.spawn) {
+        const spawn = data.spawn;
+        const region = spawn.region || [0, 0, 1, 1];
+        const units = spawn.region ? (spawn.units || sceneUnits) : 'normalized';
+        const origin = units === 'normalized' ? [region[0] * world.width, region[1] * world.height] : [region[0], region[1]];
+        const size = units === 'normalized' ? [region[2] * world.width, region[3] * world.height] : [region[2], region[3]];
+        spawnRandomBodies(world, {
+            count: spawn.count,
+            minRadius: spawn.minRadius,
+            maxRadius: spawn.maxRadius,
+            colors: spawn.colors,
+            materials: spawn.materials,
+            x: origin[0],
+            y: origin[1],
+            width: size[0],
+            height: size[1]
+        });
+    }
+
+    return world;
+}
+
+// Applies scene settings (the "settings" object of the format above) to a world, leaving out any that are
+// not given. wallDamping sets the restitution of every wall and collider already in the world.
+function applySettings(world, settings) {
+    if (settings.gravity) world.gravityVec.set(settings.gravity[0], settings.gravity[1]);
+    if (settings.restitution !== undefined) world.restitution = settings.restitution;
+    if (settings.friction !== undefined) world.friction = settings.friction;
+    if (settings.airDrag !== undefined) world.airDrag = settings.airDrag;
+    if (settings.subSteps !== undefined) world.setSubSteps(settings.subSteps);
+    if (settings.solverIterations !== undefined) world.solverIterations = settings.solverIterations;
+    if (settings.wallDamping !== undefined) {
+        for (const wall of world.walls) wall.restitution = settings.wallDamping;
+        for (const collider of world.colliders) collider.restitution = settings.wallDamping;
+    }
+    return world;
+}
+
+// Returns a scene object for the world's current walls, colliders, bodies, constraints, fields, emitters,
+// sinks and settings.
+// options: { units } - "pixels" (default) or "normalized"
+function exportScene(world, options) {
+    options = options || {};
+    const units = options.units || 'pixels';
+    if (!SCENE_UNITS.includes(units)) throw new SceneError([`options.units: expected one of ${SCENE_UNITS.join(', ')}, got ${describe(units)}`]);
+
+    const scaleX = units === 'normalized' ? 1 / world.width : 1;
+    const scaleY = units === 'normalized' ? 1 / world.height : 1;
+    const dt = world.subStepSeconds();
+    const bodyIndex = new Map(world.bodies.map((body, i) => [body, i]));
+    // [x, y, width, height] of a wind zone or sink, which keep their center and half size
+    function exportRegion(object) {
+        return [(object.position.x - object.halfWidth) * scaleX, (object.position.y - object.halfHeight) * scaleY,
+            object.halfWidth * 2 * scaleX, object.halfHeight * 2 * scaleY];
+    }
+
+    return {
+        version: SCENE_VERSION,
+        units: units,
+        settings: {
+            gravity: [world.gravityVec.x, world.gravityVec.y],
+            restitution: world.restitution,
+            friction: world.friction,
+            airDrag: world.airDrag,
+            subSteps: world.sub_steps,
+            solverIterations: world.solverIterations
+        },
+        walls: world.walls.map((wall) => {
+            const motion = wall.motion;
+            // A kinematic wall is saved at its base pose with the time into its motion
+            const p1 = motion ? [motion.base[0], motion.base[1]] : [wall.p1.x, wall.p1.y];
+            const p2 = motion ? [motion.base[2], motion.base[3]] : [wall.p2.x, wall.p2.y];
+            const exported = {
+                p1: [p1[0] * scaleX, p1[1] * scaleY],
+                p2: [p2[0] * scaleX, p2[1] * scaleY],
+                thickness: wall.thickness,
+                restitution: wall.restitution,
+                friction: wall.friction
+            };
+            if (motion && motion.type === 'rotate') {
+                exported.motion = { type: 'rotate', pivot: [motion.pivot.x * scaleX, motion.pivot.y * scaleY], angularVelocity: motion.angularVelocity, time: motion.time };
+            } else if (motion) {
+                exported.motion = {
+                    type: 'path',
+                    points: motion.points.map((point) => [point[0] * scaleX, point[1] * scaleY]),
+                    period: motion.period,
+                    loop: motion.loop,
+                    time: motion.time
+                };
+            }
+            return exported;
+        }),
+        colliders: world.colliders.map((collider) => {
+            let exported;
+            if (collider.type === 'peg') {
+                exported = { type: 'peg', position: [collider.position.x * scaleX, collider.position.y * scaleY], radius: collider.radius };
+            } else if (collider.type === 'arc') {
+                exported = {
+                    type: 'arc',
+                    center: [collider.center.x * scaleX, collider.center.y * scaleY],
+                    radius: collider.radius,
+                    startAngle: collider.startAngle,
+                    endAngle: collider.endAngle,
+                    thickness: collider.thickness
+                };
+            } else {
+                exported = { type: 'polygon', points: collider.points.map((point) => [point.x * scaleX, point.y * scaleY]) };
+            }
+            exported.restitution = collider.restitution;
+            exported.friction = collider.friction;
+            return exported;
+        }),
+        bodies: world.bodies.map((body) => {
+            const exported = {
+                position: [body.position.x * scaleX, body.position.y * scaleY],
+                velocity: [
+                    (body.position.x - body.previouspos.x) / dt * scaleX,
+                    (body.position.y - body.previouspos.y) / dt * scaleY
+                ],
+                angle: body.angle,
+                angularVelocity: (body.angle - body.previousAngle) / dt,
+                radius: body.radius,
+                mass: body.mass,
+                color: body.color
+            };
+            if (body.material) exported.material = materialToJSON(body.material);
+            if (body.frozen) exported.frozen = true;
+            return exported;
+        }),
+        constraints: world.constraints.map((constraint) => {
+            if (constraint.type === 'pin') {
+                return {
+                    type: 'pin',
+                    body: bodyIndex.get(constraint.a),
+                    anchor: [constraint.anchor.x * scaleX, constraint.anchor.y * scaleY],
+                    length: constraint.length
+                };
+            }
+            const exported = { type: constraint.type, bodies: [bodyIndex.get(constraint.a), bodyIndex.get(constraint.b)], length: constraint.length };
+            if (constraint.type === 'spring') {
+                exported.stiffness = constraint.stiffness;
+                exported.damping = constraint.damping;
+            }
+            if (constraint.maxStrain !== Infinity) exported.maxStrain = constraint.maxStrain;
+            return exported;
+        }),
+        fields: world.fields.map((field) => {
+            let exported;
+            if (field.type === 'wind') {
+                exported = { type: 'wind', region: exportRegion(field), force: [field.force.x, field.force.y] };
+            } else {
+                exported = { type: field.type, position: [field.position.x * scaleX, field.position.y * scaleY], radius: field.radius };
+                if (field.type === 'drag') exported.drag = field.drag;
+                else exported.strength = field.strength;
+                if (field.type === 'explosion') exported.duration = field.duration;
+                if (field.type === 'vortex') exported.pull = field.pull;
+            }
+            exported.falloff = field.falloff;
+            exported.time = field.time;
+            return exported;
+        }),
+        emitters: world.emitters.map((emitter) => {
+            const exported = {
+                position: [emitter.position.x * scaleX, emitter.position.y * scaleY],
+                rate: emitter.rate,
+                velocity: [emitter.velocity.x * scaleX, emitter.velocity.y * scaleY],
+                spread: emitter.spread,
+                speedSpread: emitter.speedSpread,
+                minRadius: emitter.minRadius,
+                maxRadius: emitter.maxRadius,
+                colors: emitter.colors.slice(),
+                maxBodies: emitter.maxBodies,
+                time: emitter.time
+            };
+            if (emitter.mass !== undefined) exported.mass = emitter.mass;
+            return exported;
+        }),
+        sinks: world.sinks.map((sink) => ({ region: exportRegion(sink) }))
+    };
+}
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { SCENE_VERSION, SceneError, DEFAULT_SCENE, validateScene, loadScene, applySettings, exportScene };
+}
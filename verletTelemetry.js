@@ -0,0 +1,186 @@
+/*
+* Verlet Ball Physics Demo - Telemetry
+*
+* Per-step totals measured from a World's bodies, for judging energy drift and stability while tuning the
+* restitution, wall damping, air drag and solverIterations:
+* kinetic and potential energy, linear momentum, contact count, maximum penetration depth and maximum
+* speed. The last few seconds of samples are kept in a ring of typed arrays, so recording every step
+* allocates nothing in steady state, and can be exported as CSV. No three.js or DOM dependency.
+*
+* Node example:
+*   const { Telemetry } = require('./verletTelemetry.js');
+*   const telemetry = new Telemetry(world);
+*   for (let i = 0; i < 600; i++) { world.step(1 / 60); telemetry.record(1 / 60); }
+*   fs.writeFileSync('telemetry.csv', telemetry.toCSV());
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// In Node, pull in the physics core; in the browser its classes are already globals.
+if (typeof module !== "undefined" && module.exports) {
+    var { Vec2, SpatialHash, colliderGap } = require("./verletPhysics.js");
+}
+
+// Sample fields, in CSV column order. Masses are in the World's mass units (π r² by default), lengths in
+// pixels and times in seconds.
+//   step            world.stepCount
+//   time            seconds recorded since the telemetry was created or cleared
+//   kinetic         Σ ½ m v² + ½ I ω², spin included
+//   potential       Σ m g·(reference - position), zero at the bottom center of the world
+//   energy          kinetic + potential
+//   momentumX/Y     Σ m v
+//   momentum        |Σ m v|
+//   contacts        touching ball-ball, ball-wall and ball-collider pairs
+//   maxPenetration  deepest overlap of any of those pairs (px)
+//   maxSpeed        fastest ball (px/s)
+const TELEMETRY_FIELDS = ['step', 'time', 'kinetic', 'potential', 'energy', 'momentumX', 'momentumY', 'momentum',
+    'contacts', 'maxPenetration', 'maxSpeed'];
+
+// Pairs closer than this (px) count as touching; the solver leaves resting contacts a hair apart
+const CONTACT_TOLERANCE = 0.5;
+
+// capacity: number of samples kept (default 600, ten seconds at 60 steps per second)
+var Telemetry = function(world, capacity) {
+    const telemetry = this;
+    capacity = capacity || 600;
+    const columns = {};
+    for (const field of TELEMETRY_FIELDS) columns[field] = new Float64Array(capacity);
+    let start = 0;
+    let length = 0;
+    let time = 0;
+
+    const broadPhase = new SpatialHash();
+    const closest = new Vec2();
+
+    this.capacity = capacity;
+    // The newest sample as a plain object, overwritten by every record() / measure()
+    this.latest = {};
+    for (const field of TELEMETRY_FIELDS) this.latest[field] = 0;
+
+    // Number of samples currently held
+    this.size = function() {
+        return length;
+    };
+
+    // Value of field in the sample at index, 0 being the oldest held
+    this.value = function(field, index) {
+        return columns[field][(start + index) % capacity];
+    };
+
+    // Fills out (default: telemetry.latest) with the totals for the world as it stands, after a step of
+    // delta seconds (world.fixedTimestep, when set, is used instead as it is by World.step)
+    this.measure = function(delta, out) {
+        out = out || telemetry.latest;
+        const bodies = world.bodies, walls = world.walls, colliders = world.colliders;
+        if (world.fixedTimestep) delta = world.fixedTimestep;
+        // Velocity is stored as displacement per sub-step
+        const perSecond = delta > 0 ? world.sub_steps / delta : 0;
+        const gravity = world.gravityVec;
+        const referenceX = world.width / 2, referenceY = world.height;
+
+        let kinetic = 0, potential = 0, momentumX = 0, momentumY = 0, maxSpeedSq = 0;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            const vx = (body.position.x - body.previouspos.x) * perSecond;
+            const vy = (body.position.y - body.previouspos.y) * perSecond;
+            const spin = (body.angle - body.previousAngle) * perSecond;
+            const speedSq = vx * vx + vy * vy;
+            kinetic += 0.5 * body.mass * speedSq + 0.5 * body.inertia() * spin * spin;
+            potential += body.mass * (gravity.x * (referenceX - body.position.x) + gravity.y * (referenceY - body.position.y));
+            momentumX += body.mass * vx;
+            momentumY += body.mass * vy;
+            if (speedSq > maxSpeedSq) maxSpeedSq = speedSq;
+        }
+
+        // Contacts from the same broad phase the solver uses
+        let contacts = 0, maxPenetration = 0;
+        broadPhase.build(bodies, walls, colliders);
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            const p = body.position;
+
+            const nearBodies = broadPhase.bodyCandidates[i];
+            for (let n = 0; n < broadPhase.bodyCandidateCount[i]; n++) {
+                const other = bodies[nearBodies[n]];
+                const dx = p.x - other.position.x, dy = p.y - other.position.y;
+                const gap = Math.sqrt(dx * dx + dy * dy) - body.radius - other.radius;
+                if (gap < CONTACT_TOLERANCE) contacts++;
+                if (-gap > maxPenetration) maxPenetration = -gap;
+            }
+
+            const nearWalls = broadPhase.wallCandidates[i];
+            for (let n = 0; n < broadPhase.wallCandidateCount[i]; n++) {
+                const wall = walls[nearWalls[n]];
+                let t = wall.lenSq > 0 ? ((p.x - wall.p1.x) * wall.dir.x + (p.y - wall.p1.y) * wall.dir.y) / wall.lenSq : 0;
+                t = Math.max(0, Math.min(1, t));
+                const dx = p.x - (wall.p1.x + wall.dir.x * t), dy = p.y - (wall.p1.y + wall.dir.y * t);
+                const gap = Math.sqrt(dx * dx + dy * dy) - body.radius - wall.thickness / 2;
+                if (gap < CONTACT_TOLERANCE) contacts++;
+                if (-gap > maxPenetration) maxPenetration = -gap;
+            }
+
+            const nearColliders = broadPhase.colliderCandidates[i];
+            for (let n = 0; n < broadPhase.colliderCandidateCount[i]; n++) {
+                const gap = colliderGap(colliders[nearColliders[n]], p, closest) - body.radius;
+                if (gap < CONTACT_TOLERANCE) contacts++;
+                if (-gap > maxPenetration) maxPenetration = -gap;
+            }
+        }
+
+        out.step = world.stepCount;
+        out.time = time;
+        out.kinetic = kinetic;
+        out.potential = potential;
+        out.energy = kinetic + potential;
+        out.momentumX = momentumX;
+        out.momentumY = momentumY;
+        out.momentum = Math.sqrt(momentumX * momentumX + momentumY * momentumY);
+        out.contacts = contacts;
+        out.maxPenetration = maxPenetration;
+        out.maxSpeed = Math.sqrt(maxSpeedSq);
+        return out;
+    };
+
+    // Measure the world after a step of delta seconds and keep the sample as the newest, overwriting the
+    // oldest once the ring is full. Returns telemetry.latest.
+    this.record = function(delta) {
+        time += world.fixedTimestep || delta;
+        const sample = telemetry.measure(delta);
+        let slot;
+        if (length < capacity) {
+            slot = (start + length) % capacity;
+            length++;
+        } else {
+            slot = start;
+            start = (start + 1) % capacity;
+        }
+        for (let f = 0; f < TELEMETRY_FIELDS.length; f++) {
+            const field = TELEMETRY_FIELDS[f];
+            columns[field][slot] = sample[field];
+        }
+        return sample;
+    };
+
+    // The samples held, oldest first, as CSV with a header row
+    this.toCSV = function() {
+        const lines = [TELEMETRY_FIELDS.join(',')];
+        for (let i = 0; i < length; i++) {
+            lines.push(TELEMETRY_FIELDS.map((field) => telemetry.value(field, i)).join(','));
+        }
+        return lines.join('\n') + '\n';
+    };
+
+    this.clear = function() {
+        start = 0;
+        length = 0;
+        time = 0;
+    };
+};
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { TELEMETRY_FIELDS, CONTACT_TOLERANCE, Telemetry };
+}
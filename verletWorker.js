@@ -0,0 +1,653 @@
+/*
+* Verlet Ball Physics Demo - Physics Worker
+*
+* Runs the World in a dedicated Web Worker, so a big pile of balls no longer holds up rendering and touch
+* input on the page. This file is both halves of that:
+* - Loaded as a worker (new Worker('verletWorker.js')), it hosts the World and steps it on its own fixed
+*   timestep loop, applying input events as they come in.
+* - Loaded as a page script, it defines PhysicsWorker, which drives such a worker from the page. The page
+*   keeps its own World as a copy of the worker's: the worker sends the state of the balls and walls after
+*   it steps, and PhysicsWorker writes it into the copy, interpolated between the last two states, for
+*   rendering, picking and the inspector. The copy is never stepped.
+*
+* The state goes through a SharedArrayBuffer when the page is cross-origin isolated (the worker writes it
+* under a sequence lock and the page copies it out when it changes), else through a few typed arrays that
+* are transferred to the page and handed back, so neither way allocates per frame.
+* Frame layout (Float64Array): FRAME_HEADER values (step count; body, wall, constraint and field counts;
+* steps taken since the world was loaded; load number), then BODY_FRAME_STRIDE values per body (id,
+* position, previous position, angle, previous angle, radius, mass, frozen) and WALL_FRAME_STRIDE values
+* per wall (ends, thickness, kinematic).
+*
+* Page to worker messages:
+*   { type: 'load', scene, snapshot, width, height, layout, options, timestep, shared, load }   start on a
+*                                               copy of the page's world (options are the World options)
+*   { type: 'replay', recording, options, shared, load }   replay an input recording (see verletRecorder.js)
+*   { type: 'input', event }                    apply an input event
+*   { type: 'pause', paused }, { type: 'step' }
+*   { type: 'record', start }                   start, or stop and send back, an input recording
+*   { type: 'export' }                          send back the world as a scene
+*   { type: 'release', frame }                  hand back a transferred frame
+* Worker to page messages:
+*   { type: 'frame', frame }                    a transferred frame
+*   { type: 'buffer', buffer }                  the SharedArrayBuffer frames are now written to
+*   { type: 'colors', colors, load }            [id, color, material, ...] of new, recolored or re-materialed
+*                                               bodies (materials as in materialToJSON)
+*   { type: 'layout', constraints, fields, load }   indices (in the loaded world) of the constraints and
+*                                               fields left, after some broke or ran out
+*   { type: 'recording', recording }, { type: 'scene', scene }, { type: 'replayDone' }, { type: 'error', message }
+*
+* Ball ids are the order of the bodies when the world was loaded, then counting up as balls are added.
+* Every load and replay is numbered by the page, and frames still on their way from before it are dropped.
+* World events and plugins (see verletPhysics.js) fire in the worker, not on the page's copy.
+*
+* By Jeff Miller. Released under MIT License.
+*/
+
+// Force restrictive declarations
+"use strict";
+
+// In Node, pull in the physics core, scene and recorder files; in the browser they are already globals
+// (the worker loads them with importScripts at the bottom of this file).
+if (typeof module !== "undefined" && module.exports) {
+    var { World, Body, Wall, snapshotFromJSON, snapshotToJSON, materialToJSON, materialFromJSON } = require("./verletPhysics.js");
+    var { loadScene, exportScene } = require("./verletScene.js");
+    var { applyInput, InputRecorder, InputPlayer } = require("./verletRecorder.js");
+}
+
+const FRAME_HEADER = 7;
+const BODY_FRAME_STRIDE = 10;
+const WALL_FRAME_STRIDE = 6;
+// Most steps the worker takes to catch up in one go; past that it drops the backlog, like MainLoop's panic
+const MAX_CATCH_UP_STEPS = 10;
+// Transferable frames in flight between the worker and the page
+const FRAME_BUFFERS = 3;
+// Longest gap (ms) between two frames the page interpolates over, so the first frame after a pause moves
+// at once rather than as slowly as the pause was long
+const MAX_INTERPOLATION_GAP = 100;
+// Scripts the worker loads, next to this one
+const WORKER_SCRIPTS = ['verletPhysics.js', 'verletConstraints.js', 'verletFields.js', 'verletScene.js', 'verletRecorder.js'];
+// Input events the page also applies to its copy of the world: pointers, pinch and settings so the UI
+// reads them straight back, and resizes so fields, emitters and sinks move along. The others change the
+// bodies or walls, which come back in the next frame.
+const MIRRORED_INPUTS = ['dragStart', 'dragMove', 'dragEnd', 'pinch', 'gravity', 'settings', 'resize'];
+// Stands in for a kinematic wall's motion in the page's copy of the world; the worker has the real one
+const COPIED_MOTION = { type: 'copied', time: 0, pose: function() {} };
+
+function frameLength(bodyCount, wallCount) {
+    return FRAME_HEADER + bodyCount * BODY_FRAME_STRIDE + wallCount * WALL_FRAME_STRIDE;
+}
+
+//================================//
+//      WORKER SIDE
+//================================//
+// Hosts the World in the worker. scope is the worker's global scope (anything with postMessage and
+// addEventListener('message')).
+var PhysicsWorkerHost = function(scope) {
+    let world = null;
+    let timestep = 1 / 60;
+    let paused = false;
+    let player = null;
+    let recorder = null;
+
+    // Body ids, and what the page has been sent
+    let ids = new WeakMap();
+    let nextId = 0;
+    const sentColors = new Map();
+    const sentMaterials = new Map();
+    let constraintIndices = new Map(), fieldIndices = new Map();
+    let sentConstraints = 0, sentFields = 0;
+    let stepsTaken = 0;
+    let load = 0;
+
+    // Frame buffers: one SharedArrayBuffer, or transferable arrays handed back by the page
+    let shared = false;
+    let sharedLock = null, sharedFrame = null;
+    const freeFrames = [];
+    let framesOut = 0;
+
+    let lastTick = 0;
+    let timer = null;
+
+    function post(message, transfer) {
+        scope.postMessage(message, transfer || []);
+    }
+
+    function idOf(body) {
+        let id = ids.get(body);
+        if (id === undefined) {
+            id = nextId++;
+            ids.set(body, id);
+        }
+        return id;
+    }
+
+    // A freshly loaded world: ids and layout indices start over from its order
+    function adopt(newWorld, options) {
+        world = newWorld;
+        ids = new WeakMap();
+        nextId = 0;
+        sentColors.clear();
+        sentMaterials.clear();
+        for (const body of world.bodies) {
+            sentColors.set(idOf(body), body.color);
+            sentMaterials.set(idOf(body), body.material);
+        }
+        constraintIndices = new Map(world.constraints.map((constraint, index) => [constraint, index]));
+        fieldIndices = new Map(world.fields.map((field, index) => [field, index]));
+        sentConstraints = world.constraints.length;
+        sentFields = world.fields.length;
+        world.on('bodyRemoved', (event) => {
+            sentColors.delete(ids.get(event.body));
+            sentMaterials.delete(ids.get(event.body));
+        });
+        shared = options.shared;
+        sharedFrame = null;
+        recorder = null;
+        stepsTaken = 0;
+        load = options.load;
+        postFrame();
+        lastTick = performance.now();
+        if (timer === null) timer = setTimeout(tick, 0);
+    }
+
+    function sendChanges() {
+        let colors = null;
+        const bodies = world.bodies;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i], id = idOf(body);
+            if (sentColors.get(id) === body.color && sentMaterials.get(id) === body.material) continue;
+            sentColors.set(id, body.color);
+            sentMaterials.set(id, body.material);
+            if (!colors) colors = [];
+            colors.push(id, body.color, materialToJSON(body.material));
+        }
+        if (colors) post({ type: 'colors', colors: colors, load: load });
+
+        if (world.constraints.length !== sentConstraints || world.fields.length !== sentFields) {
+            sentConstraints = world.constraints.length;
+            sentFields = world.fields.length;
+            post({
+                type: 'layout',
+                constraints: world.constraints.map((constraint) => constraintIndices.get(constraint)),
+                fields: world.fields.map((field) => fieldIndices.get(field)),
+                load: load
+            });
+        }
+    }
+
+    function writeFrame(frame) {
+        const bodies = world.bodies, walls = world.walls;
+        frame[0] = world.stepCount;
+        frame[1] = bodies.length;
+        frame[2] = walls.length;
+        frame[3] = world.constraints.length;
+        frame[4] = world.fields.length;
+        frame[5] = stepsTaken;
+        frame[6] = load;
+        let o = FRAME_HEADER;
+        for (let i = 0; i < bodies.length; i++, o += BODY_FRAME_STRIDE) {
+            const body = bodies[i];
+            frame[o] = idOf(body);
+            frame[o + 1] = body.position.x;
+            frame[o + 2] = body.position.y;
+            frame[o + 3] = body.previouspos.x;
+            frame[o + 4] = body.previouspos.y;
+            frame[o + 5] = body.angle;
+            frame[o + 6] = body.previousAngle;
+            frame[o + 7] = body.radius;
+            frame[o + 8] = body.mass;
+            frame[o + 9] = body.frozen ? 1 : 0;
+        }
+        for (let i = 0; i < walls.length; i++, o += WALL_FRAME_STRIDE) {
+            const wall = walls[i];
+            frame[o] = wall.p1.x;
+            frame[o + 1] = wall.p1.y;
+            frame[o + 2] = wall.p2.x;
+            frame[o + 3] = wall.p2.y;
+            frame[o + 4] = wall.thickness;
+            frame[o + 5] = wall.motion ? 1 : 0;
+        }
+    }
+
+    // Send the current state. Without a transferable frame to write to (the page has not handed one back
+    // yet) it is skipped; the next one carries on from there.
+    function postFrame() {
+        sendChanges();
+        const length = frameLength(world.bodies.length, world.walls.length);
+        if (shared) {
+            if (!sharedFrame || sharedFrame.length < length) {
+                const buffer = new SharedArrayBuffer(8 + length * 2 * 8);
+                sharedLock = new Int32Array(buffer, 0, 2);
+                sharedFrame = new Float64Array(buffer, 8);
+                post({ type: 'buffer', buffer: buffer });
+            }
+            // Odd while writing; the page only keeps a copy made while it stayed at the same even value
+            Atomics.add(sharedLock, 0, 1);
+            writeFrame(sharedFrame);
+            Atomics.add(sharedLock, 0, 1);
+        } else {
+            let frame = freeFrames.pop();
+            if (!frame) {
+                if (framesOut >= FRAME_BUFFERS) return;
+                framesOut++;
+            }
+            if (!frame || frame.length < length) frame = new Float64Array(length * 2);
+            writeFrame(frame);
+            post({ type: 'frame', frame: frame }, [frame.buffer]);
+        }
+    }
+
+    function stepOnce() {
+        if (player) {
+            player.step();
+            if (player.done()) {
+                player.applyDue();
+                player = null;
+                post({ type: 'replayDone' });
+            }
+        } else {
+            world.step(timestep);
+        }
+        stepsTaken++;
+    }
+
+    // Take the steps that are due by the clock, then send the state
+    function tick() {
+        const now = performance.now();
+        if (!paused) {
+            const due = Math.floor((now - lastTick) / (timestep * 1000));
+            const steps = Math.min(due, MAX_CATCH_UP_STEPS);
+            for (let s = 0; s < steps; s++) stepOnce();
+            lastTick = due > MAX_CATCH_UP_STEPS ? now : lastTick + steps * timestep * 1000;
+            if (steps > 0) postFrame();
+        } else {
+            lastTick = now;
+        }
+        timer = setTimeout(tick, Math.max(0, lastTick + timestep * 1000 - performance.now()));
+    }
+
+    function handle(message) {
+        switch (message.type) {
+            case 'load': {
+                const loaded = new World(message.options);
+                loaded.width = message.width;
+                loaded.height = message.height;
+                loadScene(loaded, message.scene);
+                Object.assign(loaded.layout, message.layout);
+                loaded.restore(snapshotFromJSON(message.snapshot));
+                timestep = message.timestep;
+                player = null;
+                adopt(loaded, message);
+                break;
+            }
+            case 'replay': {
+                const loaded = new World(message.options);
+                player = new InputPlayer(loaded, message.recording);
+                timestep = message.recording.timestep;
+                adopt(loaded, message);
+                break;
+            }
+            case 'input':
+                // Live input is ignored while a recording is being replayed
+                if (player) break;
+                applyInput(world, message.event);
+                if (recorder) recorder.record(message.event);
+                break;
+            case 'pause':
+                paused = message.paused;
+                break;
+            case 'step':
+                stepOnce();
+                postFrame();
+                break;
+            case 'record':
+                if (message.start) {
+                    recorder = new InputRecorder(world, timestep);
+                    recorder.start();
+                } else {
+                    post({ type: 'recording', recording: recorder ? recorder.stop() : null });
+                    recorder = null;
+                }
+                break;
+            case 'export':
+                post({ type: 'scene', scene: exportScene(world, { units: 'normalized' }) });
+                break;
+            case 'release':
+                freeFrames.push(message.frame);
+                break;
+            default:
+                throw new Error(`Unknown physics worker message "${message.type}"`);
+        }
+    }
+
+    scope.addEventListener('message', (event) => {
+        try {
+            handle(event.data);
+        } catch (err) {
+            post({ type: 'error', message: err.message });
+        }
+    });
+};
+
+//================================//
+//      PAGE SIDE
+//================================//
+// Runs world's simulation in worker (a Worker running this file) from now on, keeping world as a copy of
+// it. timestep: seconds per step, as MainLoop would take them.
+var PhysicsWorker = function(world, worker, timestep) {
+    const physicsWorker = this;
+    const canShare = typeof SharedArrayBuffer !== 'undefined' && typeof crossOriginIsolated !== 'undefined' && crossOriginIsolated;
+
+    this.timestep = timestep;
+    this.shared = canShare;
+    this.paused = false;
+    // True from replay() until the worker reaches the end of the recording
+    this.replaying = false;
+
+    // Number of the current load; messages from earlier ones are dropped
+    let load = 0;
+
+    // The last two frames, for interpolating between them, with the time each arrived (ms) and each ball's
+    // index in them by id
+    let previous = new Float64Array(0), current = new Float64Array(0);
+    let previousTime = 0, currentTime = 0;
+    let previousIndex = new Map(), currentIndex = new Map();
+    // Steps the worker had taken at the last frame written into world
+    let stepsApplied = 0;
+    // The shared frame and its sequence lock, and the copy taken out of it
+    let sharedLock = null, sharedFrame = null, sharedSeen = 0;
+    let sharedCopy = new Float64Array(0);
+
+    // The page's copies of the balls by id, their colors and materials, and the constraints and fields the world was
+    // loaded with (the worker sends which of them are left)
+    const bodiesById = new Map();
+    const colors = new Map();
+    const materials = new Map();
+    const liveIds = new Set();
+    let loadedConstraints = [], loadedFields = [];
+
+    // Replies the worker sends back to a request, by reply type
+    const waiting = { recording: [], scene: [] };
+
+    function post(message) {
+        worker.postMessage(message);
+    }
+
+    function worldOptions() {
+        return { seed: world.seed, fixedTimestep: world.fixedTimestep, resizeMode: world.resizeMode };
+    }
+
+    // world was just loaded in full: number its balls and start the frames over
+    function reset() {
+        load++;
+        bodiesById.clear();
+        colors.clear();
+        materials.clear();
+        for (let i = 0; i < world.bodies.length; i++) {
+            bodiesById.set(i, world.bodies[i]);
+            colors.set(i, world.bodies[i].color);
+            materials.set(i, world.bodies[i].material);
+        }
+        loadedConstraints = world.constraints.slice();
+        loadedFields = world.fields.slice();
+        current = new Float64Array(0);
+        previous = new Float64Array(0);
+        currentIndex.clear();
+        previousIndex.clear();
+        stepsApplied = 0;
+        physicsWorker.recorder.recording = false;
+    }
+
+    // Start the worker on a copy of world as it is now, e.g. just after a scene was loaded into it
+    this.load = function() {
+        reset();
+        physicsWorker.replaying = false;
+        post({
+            type: 'load',
+            scene: exportScene(world),
+            snapshot: snapshotToJSON(world.snapshot()),
+            width: world.width,
+            height: world.height,
+            layout: Object.assign({}, world.layout),
+            options: worldOptions(),
+            timestep: physicsWorker.timestep,
+            shared: canShare,
+            load: load
+        });
+    };
+
+    // Replay an input recording in the worker. world is set to its start as well, for the first frames.
+    this.replay = function(recording) {
+        const options = worldOptions();
+        new InputPlayer(world, recording);
+        reset();
+        physicsWorker.replaying = true;
+        post({ type: 'replay', recording: recording, options: options, shared: canShare, load: load });
+    };
+
+    this.input = function(event) {
+        post({ type: 'input', event: event });
+        if (MIRRORED_INPUTS.includes(event.type)) applyInput(world, event);
+    };
+
+    this.setPaused = function(paused) {
+        if (paused === physicsWorker.paused) return;
+        physicsWorker.paused = paused;
+        post({ type: 'pause', paused: paused });
+    };
+
+    this.step = function() {
+        post({ type: 'step' });
+    };
+
+    function request(type, message) {
+        return new Promise((resolve) => {
+            waiting[type].push(resolve);
+            post(message);
+        });
+    }
+
+    // Same interface as an InputRecorder, but the worker records, since only it knows which step each
+    // event landed on; stop() returns a Promise of the recording
+    this.recorder = {
+        recording: false,
+        start: function() {
+            physicsWorker.recorder.recording = true;
+            post({ type: 'record', start: true });
+        },
+        record: function() {},
+        stop: function() {
+            physicsWorker.recorder.recording = false;
+            return request('recording', { type: 'record', start: false });
+        }
+    };
+
+    // Promise of the worker's world as a scene (normalized units)
+    this.exportScene = function() {
+        return request('scene', { type: 'export' });
+    };
+
+    // Copy a frame of the current load in as the current one
+    function receive(frame) {
+        if (frame[6] !== load) return;
+        const length = frameLength(frame[1], frame[2]);
+        const swap = previous;
+        previous = current;
+        current = swap.length >= length ? swap : new Float64Array(length * 2);
+        current.set(frame.subarray(0, length));
+        const swapIndex = previousIndex;
+        previousIndex = currentIndex;
+        currentIndex = swapIndex;
+        currentIndex.clear();
+        for (let i = 0, o = FRAME_HEADER; i < current[1]; i++, o += BODY_FRAME_STRIDE) currentIndex.set(current[o], i);
+        previousTime = currentTime;
+        currentTime = performance.now();
+    }
+
+    // Take a copy of the shared frame if the worker has finished a new one since the last, keeping it
+    // only if the worker did not start writing over it meanwhile (then it is tried again next time)
+    function readShared() {
+        if (!sharedFrame) return;
+        const seen = Atomics.load(sharedLock, 0);
+        if (seen === sharedSeen || seen % 2 === 1) return;
+        const length = frameLength(sharedFrame[1], sharedFrame[2]);
+        if (!(length <= sharedFrame.length)) return;
+        if (sharedCopy.length < length) sharedCopy = new Float64Array(sharedFrame.length);
+        sharedCopy.set(sharedFrame.subarray(0, length));
+        if (Atomics.load(sharedLock, 0) !== seen) return;
+        sharedSeen = seen;
+        receive(sharedCopy);
+    }
+
+    function bodyFor(id, o) {
+        let body = bodiesById.get(id);
+        if (!body) {
+            body = new Body(current[o + 1], current[o + 2], current[o + 7], colors.get(id) || '#ffffff', current[o + 8]);
+            body.material = materials.get(id) || null;
+            bodiesById.set(id, body);
+        }
+        return body;
+    }
+
+    // Write the newest frame into world exactly. Returns the number of steps the worker took since the last
+    // call, 0 if nothing new came in.
+    this.poll = function() {
+        readShared();
+        if (current.length === 0 || current[5] === stepsApplied) return 0;
+        const steps = current[5] - stepsApplied;
+        stepsApplied = current[5];
+
+        world.stepCount = current[0];
+        const bodies = world.bodies;
+        const count = current[1];
+        bodies.length = count;
+        for (let i = 0, o = FRAME_HEADER; i < count; i++, o += BODY_FRAME_STRIDE) {
+            const body = bodyFor(current[o], o);
+            body.position.set(current[o + 1], current[o + 2]);
+            body.previouspos.set(current[o + 3], current[o + 4]);
+            body.angle = current[o + 5];
+            body.previousAngle = current[o + 6];
+            body.radius = current[o + 7];
+            body.mass = current[o + 8];
+            body.frozen = current[o + 9] === 1;
+            bodies[i] = body;
+        }
+        // Forget the balls that have gone
+        if (bodiesById.size > count) {
+            liveIds.clear();
+            for (let i = 0, o = FRAME_HEADER; i < count; i++, o += BODY_FRAME_STRIDE) liveIds.add(current[o]);
+            for (const id of bodiesById.keys()) {
+                if (!liveIds.has(id)) {
+                    bodiesById.delete(id);
+                    colors.delete(id);
+                    materials.delete(id);
+                }
+            }
+        }
+
+        const walls = world.walls;
+        const wallCount = current[2];
+        for (let i = 0, o = FRAME_HEADER + count * BODY_FRAME_STRIDE; i < wallCount; i++, o += WALL_FRAME_STRIDE) {
+            let wall = walls[i];
+            if (!wall) wall = walls[i] = new Wall(current[o], current[o + 1], current[o + 2], current[o + 3], current[o + 4]);
+            wall.setEndpoints(current[o], current[o + 1], current[o + 2], current[o + 3]);
+            wall.thickness = current[o + 4];
+            // Only the worker moves kinematic walls; the copy just needs to know which they are
+            if ((current[o + 5] === 1) !== !!wall.motion) wall.motion = current[o + 5] === 1 ? COPIED_MOTION : null;
+        }
+        walls.length = wallCount;
+        return steps;
+    };
+
+    // Move world's balls and walls to where they were alpha of the way from the previous frame to the
+    // current one, alpha being how far now (ms) is past the current frame's arrival in units of the gap
+    // between the two. Rendering a frame behind keeps the motion smooth whatever the worker's rhythm.
+    this.interpolate = function(now) {
+        if (previous.length === 0 || currentTime === previousTime || current[5] !== stepsApplied) return;
+        const alpha = Math.min(1, (now - currentTime) / Math.min(currentTime - previousTime, MAX_INTERPOLATION_GAP));
+        const bodies = world.bodies;
+        for (let i = 0, o = FRAME_HEADER; i < bodies.length; i++, o += BODY_FRAME_STRIDE) {
+            const p = previousIndex.get(current[o]);
+            if (p === undefined) continue;
+            const po = FRAME_HEADER + p * BODY_FRAME_STRIDE;
+            const body = bodies[i];
+            const x = previous[po + 1] + (current[o + 1] - previous[po + 1]) * alpha;
+            const y = previous[po + 2] + (current[o + 2] - previous[po + 2]) * alpha;
+            body.previouspos.x += x - body.position.x;
+            body.previouspos.y += y - body.position.y;
+            body.position.x = x;
+            body.position.y = y;
+            body.angle = previous[po + 5] + (current[o + 5] - previous[po + 5]) * alpha;
+        }
+
+        const walls = world.walls;
+        if (previous[2] !== current[2]) return;
+        const start = FRAME_HEADER + current[1] * BODY_FRAME_STRIDE, previousStart = FRAME_HEADER + previous[1] * BODY_FRAME_STRIDE;
+        for (let i = 0; i < walls.length; i++) {
+            const o = start + i * WALL_FRAME_STRIDE, po = previousStart + i * WALL_FRAME_STRIDE;
+            if (current[o] === previous[po] && current[o + 1] === previous[po + 1] && current[o + 2] === previous[po + 2] && current[o + 3] === previous[po + 3]) continue;
+            walls[i].setEndpoints(
+                previous[po] + (current[o] - previous[po]) * alpha, previous[po + 1] + (current[o + 1] - previous[po + 1]) * alpha,
+                previous[po + 2] + (current[o + 2] - previous[po + 2]) * alpha, previous[po + 3] + (current[o + 3] - previous[po + 3]) * alpha);
+        }
+    };
+
+    worker.addEventListener('message', (event) => {
+        const message = event.data;
+        if (message.load !== undefined && message.load !== load) return;
+        switch (message.type) {
+            case 'frame':
+                receive(message.frame);
+                worker.postMessage({ type: 'release', frame: message.frame }, [message.frame.buffer]);
+                break;
+            case 'buffer':
+                sharedLock = new Int32Array(message.buffer, 0, 2);
+                sharedFrame = new Float64Array(message.buffer, 8);
+                sharedSeen = 0;
+                break;
+            case 'colors':
+                for (let i = 0; i < message.colors.length; i += 3) {
+                    const id = message.colors[i], color = message.colors[i + 1];
+                    const material = materialFromJSON(message.colors[i + 2]);
+                    colors.set(id, color);
+                    materials.set(id, material);
+                    if (bodiesById.has(id)) {
+                        bodiesById.get(id).color = color;
+                        bodiesById.get(id).material = material;
+                    }
+                }
+                break;
+            case 'layout': {
+                const constraints = world.constraints, fields = world.fields;
+                constraints.length = 0;
+                for (const index of message.constraints) constraints.push(loadedConstraints[index]);
+                fields.length = 0;
+                for (const index of message.fields) fields.push(loadedFields[index]);
+                break;
+            }
+            case 'replayDone':
+                physicsWorker.replaying = false;
+                break;
+            case 'recording':
+            case 'scene': {
+                const resolve = waiting[message.type].shift();
+                if (resolve) resolve(message[message.type]);
+                break;
+            }
+            case 'error':
+                console.error("Physics worker error:", message.message);
+                break;
+        }
+    });
+};
+
+// Loaded as a worker: host the physics
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+    importScripts(...WORKER_SCRIPTS);
+    new PhysicsWorkerHost(self);
+}
+
+// Export for Node (headless use). In the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { FRAME_HEADER, BODY_FRAME_STRIDE, WALL_FRAME_STRIDE, MIRRORED_INPUTS, frameLength, PhysicsWorkerHost, PhysicsWorker };
+}